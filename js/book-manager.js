@@ -1,9 +1,83 @@
+/**
+ * @typedef {Object} ImportChange
+ * @property {string} field - 項目（BookManager.IMPORT_FIELDS のキー）
+ * @property {*} before - 現在の値
+ * @property {*} after - インポートする値
+ */
+
+/**
+ * @typedef {Object} ImportPlanEntry
+ * @property {string} bookId - インポートする本のbookId
+ * @property {Object} book - インポートする本
+ * @property {'add'|'update'|'unchanged'|'duplicate'|'excluded'} status - 追加・更新・変更なし・ファイル内で重複・除外
+ * @property {string} [existingBookId] - 同じ本とみなした蔵書の本のbookId
+ * @property {ImportChange[]} changes - 既存の本に適用する変更
+ */
+
+/**
+ * @typedef {Object} ImportRecord
+ * @property {string} id - 記録ID
+ * @property {string} date - インポート日時（ISO文字列）
+ * @property {string} source - インポート元（kindle_import, goodreads_import など）
+ * @property {number} total - ファイル内の冊数
+ * @property {string[]} added - 追加した本のbookId
+ * @property {{bookId: string, title: string, changes: ImportChange[]}[]} updated - 更新した本と変更内容
+ * @property {{bookId: string, title: string, action: string}[]} [removed] - エクスポートに含まれなくなった本と処理内容
+ */
+
+/**
+ * @typedef {Object} ImportRemoval
+ * @property {string} bookId - 処理する蔵書の本のbookId
+ * @property {'unowned'|'archived'|'delete'} action - BookManager.REMOVAL_ACTIONS のキー（keep 以外）
+ */
+
 /**
  * BookManager - 蔵書の CRUD 管理を担当するクラス
  * kindle.json からのインポート、手動追加、削除機能を提供
  */
 class BookManager {
-    constructor() {
+    /**
+     * インポートで既存の本を更新する項目
+     */
+    static IMPORT_FIELDS = {
+        title: 'タイトル',
+        authors: '著者',
+        acquiredTime: '購入日',
+        readStatus: '既読状態',
+        productImage: '表紙',
+        ownership: '所有状況'
+    };
+
+    /**
+     * 所有状況（未設定の本は所有している）
+     */
+    static OWNERSHIP_STATUSES = {
+        unowned: { label: '所有していない', icon: '📤' },
+        archived: { label: 'アーカイブ', icon: '🗄️' }
+    };
+
+    /**
+     * Kindleのエクスポートに含まれなくなった本の処理
+     */
+    static REMOVAL_ACTIONS = {
+        keep: 'そのまま',
+        unowned: '所有していないことにする',
+        archived: 'アーカイブする',
+        delete: '削除する'
+    };
+
+    /**
+     * 残すインポート記録の件数
+     */
+    static IMPORT_LOG_LIMIT = 20;
+
+    /**
+     * @param {StorageManager|null} storage - 保存先（省略時は保存しない）
+     */
+    constructor(storage = null) {
+        this.storage = storage;
+        // 書誌情報の取得元（MetadataManager、未設定の場合は既定の設定で生成）
+        this.metadata = null;
         this.library = {
             books: [],
             metadata: {
@@ -19,17 +93,18 @@ class BookManager {
      * ライブラリデータを初期化・読み込み
      */
     async initialize() {
-        // まずLocalStorageから確認
-        const savedLibrary = localStorage.getItem('virtualBookshelf_library');
-        if (savedLibrary) {
+        // まず保存先（LocalStorageなど）から確認
+        if (this.storage) {
             try {
-                const parsedLibrary = JSON.parse(savedLibrary);
-                // 後方互換性: 古い形式（asin）から新形式（bookId）に変換
-                this.library = this.normalizeLibrary(parsedLibrary);
-                // Data restored from localStorage
-                return;
+                const parsedLibrary = await this.storage.load(StorageManager.KEYS.library);
+                if (parsedLibrary) {
+                    // 後方互換性: 古い形式（asin）から新形式（bookId）に変換
+                    this.library = this.normalizeLibrary(parsedLibrary);
+                    // Data restored from storage
+                    return;
+                }
             } catch (error) {
-                // LocalStorage loading error (fallback to file)
+                // Storage loading error (fallback to file)
             }
         }
 
@@ -44,7 +119,8 @@ class BookManager {
                     totalBooks: libraryData.stats?.totalBooks || Object.keys(libraryData.books).length,
                     manuallyAdded: 0,
                     importedFromKindle: libraryData.stats?.totalBooks || Object.keys(libraryData.books).length,
-                    lastImportDate: libraryData.exportDate
+                    lastImportDate: libraryData.exportDate,
+                    importLog: libraryData.importLog || []
                 }
             };
             // Data loaded from library.json
@@ -77,8 +153,11 @@ class BookManager {
      * 書籍データを正規化（asin → bookId の後方互換性対応）
      */
     normalizeBook(book, key) {
+        const bookId = book.bookId || book.asin || key;  // bookId優先、なければasin、なければキー
+        // ISBNはbookId（ASIN・GoogleボリュームID）とは別にISBN-13で持つ
+        const isbn = this.toIsbn13(book.isbn) || this.toIsbn13(bookId);
         return {
-            bookId: book.bookId || book.asin || key,  // bookId優先、なければasin、なければキー
+            bookId: bookId,
             title: book.title,
             authors: book.authors,
             acquiredTime: book.acquiredTime,
@@ -87,8 +166,12 @@ class BookManager {
             source: book.source,
             addedDate: book.addedDate,
             // 追加フィールドも含める
+            ...(isbn && { isbn }),
+            ...(book.yomi && { yomi: book.yomi }),
             ...(book.memo && { memo: book.memo }),
             ...(book.rating && { rating: book.rating }),
+            ...(BookManager.OWNERSHIP_STATUSES[book.ownership] && { ownership: book.ownership }),
+            ...(book.mergedBookIds?.length && { mergedBookIds: book.mergedBookIds }),
             ...(book.updatedBookId && { updatedBookId: book.updatedBookId }),
             ...(book.updatedAsin && { updatedBookId: book.updatedAsin })  // 旧形式対応
         };
@@ -123,9 +206,17 @@ class BookManager {
     }
 
     /**
-     * kindle.jsonから新しいデータをインポート（重複チェック付き）
+     * kindle.jsonから新しいデータをインポート（既存の本は変更された項目を上書き）
+     * @param {File|string|null} fileInput - 読み込むファイル（省略時は data/kindle.json）
+     * @param {{dryRun?: boolean, exclude?: string[], removed?: string}} [options] - dryRun: 変更内容の確認のみ、
+     *   exclude: 適用しない変更（"bookId" で本ごと、"bookId/title" のように項目ごとに指定）、
+     *   removed: エクスポートに含まれなくなった本の処理（REMOVAL_ACTIONS のキー、exclude で指定した本は除く）
      */
-    async importFromKindle(fileInput = null) {
+    async importFromKindle(fileInput = null, { dryRun = false, exclude = [], removed = 'keep' } = {}) {
+        if (!BookManager.REMOVAL_ACTIONS[removed]) {
+            throw new Error(`不明な処理です: ${removed}（${Object.keys(BookManager.REMOVAL_ACTIONS).join(', ')} のいずれかを指定してください）`);
+        }
+
         let kindleBooks;
 
         if (fileInput) {
@@ -138,129 +229,246 @@ class BookManager {
             kindleBooks = await response.json();
         }
 
-        const importResults = {
-            total: kindleBooks.length,
-            added: 0,
-            updated: 0,
-            skipped: 0
-        };
+        const excluded = new Set(exclude);
+        const plan = this.planImport(kindleBooks, { updateExisting: true }).map(entry => {
+            if (excluded.has(entry.bookId)) {
+                return { ...entry, status: 'excluded', changes: [] };
+            }
+            return { ...entry, changes: entry.changes.filter(change => !excluded.has(`${entry.bookId}/${change.field}`)) };
+        });
 
-        for (const kindleBook of kindleBooks) {
-            const bookId = kindleBook.bookId || kindleBook.asin;
-            const existingBook = this.library.books.find(book => book.bookId === bookId);
-
-            if (existingBook) {
-                // 既存書籍の更新（新しい情報で上書き）
-                if (this.shouldUpdateBook(existingBook, kindleBook)) {
-                    Object.assign(existingBook, {
-                        title: kindleBook.title,
-                        authors: kindleBook.authors,
-                        acquiredTime: kindleBook.acquiredTime,
-                        readStatus: kindleBook.readStatus,
-                        productImage: kindleBook.productImage
-                    });
-                    importResults.updated++;
-                }
-                else {
-                    importResults.skipped++;
+        const removedBooks = this.findRemovedBooks(plan);
+        const removals = removed === 'keep' ? [] : removedBooks
+            .filter(book => !excluded.has(book.bookId))
+            .map(book => ({ bookId: book.bookId, action: removed }));
+
+        if (dryRun) {
+            return { ...this.summarizeImportPlan(plan), plan, removedBooks, removals, dryRun: true };
+        }
+
+        return { ...(await this.applyImport(plan, { removals })), plan, removedBooks };
+    }
+
+    /**
+     * 以前Kindleからインポートした本のうち、今回のエクスポートに含まれない本（返却・Kindle Unlimitedの期限切れ・削除など）
+     * 既に所有していない・アーカイブにした本は除く
+     * @param {ImportPlanEntry[]} plan - Kindleエクスポートの planImport の結果
+     * @returns {Object[]}
+     */
+    findRemovedBooks(plan) {
+        const matchedBookIds = new Set(plan.map(entry => entry.existingBookId).filter(Boolean));
+        return this.library.books.filter(book =>
+            book.source === 'kindle_import' && !book.ownership && !matchedBookIds.has(book.bookId));
+    }
+
+    /**
+     * インポートする本と蔵書を比較し、本ごとの処理内容と項目ごとの変更を求める（蔵書は変更しない）
+     * @param {Object[]} importBooks - インポートする本（Kindleエクスポート・CSVから変換した本）
+     * @param {{updateExisting?: boolean}} [options] - updateExisting: 既存の本の変更点も求める
+     * @returns {ImportPlanEntry[]} importBooks と同じ順序
+     */
+    planImport(importBooks, { updateExisting = false } = {}) {
+        // 既存の本の識別子（ISBNは10桁・13桁の両方） → 本
+        const existingBooks = new Map();
+        this.library.books.forEach(book => {
+            this.getBookIdentifierKeys(book).forEach(key => {
+                if (!existingBooks.has(key)) {
+                    existingBooks.set(key, book);
                 }
-            } else {
-                // 新規書籍の追加
-                this.library.books.push({
-                    ...this.normalizeBook(kindleBook, bookId),
-                    source: 'kindle_import',
-                    addedDate: Date.now()
-                });
-                importResults.added++;
+            });
+        });
+
+        const seenKeys = new Set();
+        return importBooks.map(book => {
+            const bookId = book.bookId || book.asin;
+            const keys = Array.from(this.getIdentifierKeys(bookId, book.isbn));
+
+            if (keys.some(key => seenKeys.has(key))) {
+                return { bookId, book, status: 'duplicate', changes: [] };
             }
-        }
+            keys.forEach(key => seenKeys.add(key));
 
-        // メタデータ更新
-        this.library.metadata.lastImportDate = Date.now();
-        this.library.metadata.totalBooks = this.library.books.length;
-        this.library.metadata.importedFromKindle = this.library.books.filter(book => book.source === 'kindle_import').length;
+            const existingBook = existingBooks.get(bookId) || keys.map(key => existingBooks.get(key)).find(Boolean);
+            if (!existingBook) {
+                return { bookId, book, status: 'add', changes: [] };
+            }
 
-        await this.saveLibrary();
+            // 統合した本（mergedBookIds）としてだけ一致した場合は別の版のため、残した本の値は上書きせず空の項目だけ補う
+            // （一致は findRemovedBooks で「エクスポートに含まれない本」から除くために使う）
+            const ownKeys = this.getIdentifierKeys(existingBook.bookId, existingBook.updatedBookId, existingBook.isbn);
+            const mergedMatch = !keys.some(key => ownKeys.has(key));
+            const changes = !updateExisting ? [] : this.getImportChanges(existingBook, book)
+                .filter(change => !mergedMatch || change.before === undefined || change.before === '');
+            // 所有していない・アーカイブにした本がエクスポートに戻ってきた場合は所有している状態に戻す
+            if (updateExisting && !mergedMatch && existingBook.ownership) {
+                changes.push({ field: 'ownership', before: existingBook.ownership, after: undefined });
+            }
+            return {
+                bookId,
+                book,
+                status: changes.length > 0 ? 'update' : 'unchanged',
+                existingBookId: existingBook.bookId,
+                changes
+            };
+        });
+    }
 
-        console.log('インポート結果:', importResults);
-        return importResults;
+    /**
+     * 既存の本とインポートする本で値が異なる項目（インポート側が空の項目は上書きしない）
+     * @returns {ImportChange[]}
+     */
+    getImportChanges(existingBook, importBook) {
+        return Object.keys(BookManager.IMPORT_FIELDS)
+            .filter(field => importBook[field] !== undefined && importBook[field] !== '' && importBook[field] !== existingBook[field])
+            .map(field => ({ field, before: existingBook[field], after: importBook[field] }));
+    }
+
+    summarizeImportPlan(plan) {
+        const added = plan.filter(entry => entry.status === 'add').length;
+        const updated = plan.filter(entry => entry.status === 'update' && entry.changes.length > 0).length;
+        return {
+            total: plan.length,
+            added,
+            updated,
+            skipped: plan.length - added - updated
+        };
     }
 
-    async importSelectedBooks(selectedBooks) {
+    /**
+     * planImport の結果を蔵書に適用し、変更内容をインポート記録に残す
+     * 除外する追加・変更は、呼び出し側で plan から取り除いておく
+     * 削除する本のメモ・評価（ユーザーデータ）は残すため、同じ本を再度インポートすると元に戻る
+     * @param {ImportPlanEntry[]} plan
+     * @param {{source?: string, removals?: ImportRemoval[]}} [options] - source: 記録に残すインポート元、
+     *   removals: エクスポートに含まれなくなった本の処理（findRemovedBooks の本から選択）
+     */
+    async applyImport(plan, { source = 'kindle_import', removals = [] } = {}) {
         const importedBooks = [];
         const duplicateBooks = [];
         const errorBooks = [];
+        const record = {
+            id: `import_${Date.now()}`,
+            date: new Date().toISOString(),
+            source,
+            total: plan.length,
+            added: [],
+            updated: [],
+            removed: []
+        };
 
-        // 既存の本のbookIdを取得
-        const existingBookIds = new Set(this.library.books.map(book => book.bookId));
-
-        for (const book of selectedBooks) {
+        for (const entry of plan) {
+            const { bookId, book } = entry;
             try {
-                const bookId = book.bookId || book.asin;
-                // 重複チェック
-                if (existingBookIds.has(bookId)) {
+                if (entry.status === 'add') {
+                    // 確認中に手動追加された本などは追加しない
+                    if (this.findDuplicateBook({ bookId, isbn: book.isbn })) {
+                        duplicateBooks.push({ title: book.title, bookId, reason: '既に存在' });
+                        continue;
+                    }
+
+                    // Goodreads・読書メーターのCSVは各インポート元のsourceを持つ
+                    const bookToAdd = {
+                        ...this.normalizeBook(book, bookId),
+                        source: book.source || 'kindle_import',
+                        addedDate: Date.now()
+                    };
+                    this.library.books.push(bookToAdd);
+                    importedBooks.push(bookToAdd);
+                    record.added.push(bookToAdd.bookId);
+                } else if (entry.status === 'update' && entry.changes.length > 0) {
+                    const existingBook = this.findBookById(entry.existingBookId);
+                    if (!existingBook) {
+                        throw new Error('更新する書籍が見つかりません');
+                    }
+
+                    entry.changes.forEach(change => {
+                        if (change.after === undefined) {
+                            delete existingBook[change.field];
+                        } else {
+                            existingBook[change.field] = change.after;
+                        }
+                    });
+                    record.updated.push({ bookId: existingBook.bookId, title: existingBook.title, changes: entry.changes });
+                } else if (entry.status === 'duplicate' || entry.status === 'unchanged') {
                     duplicateBooks.push({
                         title: book.title,
-                        bookId: bookId,
-                        reason: '既に存在'
+                        bookId,
+                        reason: entry.status === 'duplicate' ? 'ファイル内で重複' : '既に存在'
                     });
-                    continue;
                 }
-
-                // 本を追加
-                const bookToAdd = {
-                    ...this.normalizeBook(book, bookId),
-                    source: 'kindle_import',
-                    addedDate: Date.now()
-                };
-
-                this.library.books.push(bookToAdd);
-                importedBooks.push(bookToAdd);
-
             } catch (error) {
                 console.error(`本の処理エラー: ${book.title}`, error);
-                errorBooks.push({
-                    title: book.title,
-                    bookId: book.bookId || book.asin,
-                    reason: error.message
-                });
+                errorBooks.push({ title: book.title, bookId, reason: error.message });
             }
         }
 
+        removals.forEach(({ bookId, action }) => {
+            const index = this.library.books.findIndex(book => book.bookId === bookId);
+            if (index === -1 || !BookManager.REMOVAL_ACTIONS[action] || action === 'keep') return;
+
+            const book = this.library.books[index];
+            if (action === 'delete') {
+                this.library.books.splice(index, 1);
+            } else {
+                book.ownership = action;
+            }
+            record.removed.push({ bookId, title: book.title, action });
+        });
+
         // メタデータを更新
         this.library.metadata = {
+            ...this.library.metadata,
             totalBooks: this.library.books.length,
             manuallyAdded: this.library.books.filter(b => b.source === 'manual_add').length,
             importedFromKindle: this.library.books.filter(b => b.source === 'kindle_import').length,
             lastImportDate: Date.now()
         };
+        if (record.added.length > 0 || record.updated.length > 0 || record.removed.length > 0) {
+            this.library.metadata.importLog = [record, ...(this.library.metadata.importLog || [])]
+                .slice(0, BookManager.IMPORT_LOG_LIMIT);
+        }
 
-        // ライブラリを保存
         await this.saveLibrary();
 
-        console.log(`選択インポート完了: ${importedBooks.length}件追加`);
+        console.log(`インポート完了: ${importedBooks.length}件追加・${record.updated.length}件更新・${record.removed.length}件処理`);
 
         return {
             success: true,
-            total: selectedBooks.length,
+            total: plan.length,
             added: importedBooks.length,
-            updated: 0, // 選択インポートでは更新なし
-            skipped: duplicateBooks.length + errorBooks.length,
+            updated: record.updated.length,
+            skipped: plan.length - importedBooks.length - record.updated.length,
+            removed: record.removed.length,
             imported: importedBooks,
             duplicates: duplicateBooks,
-            errors: errorBooks
+            errors: errorBooks,
+            record
         };
     }
 
+    /**
+     * インポート記録（新しい順）
+     * @returns {ImportRecord[]}
+     */
+    getImportLog() {
+        return this.library.metadata?.importLog || [];
+    }
 
     /**
-     * 書籍更新が必要かチェック
+     * 変更内容の表示用に値を文字列にする
      */
-    shouldUpdateBook(existingBook, newBook) {
-        return existingBook.acquiredTime !== newBook.acquiredTime ||
-               existingBook.readStatus !== newBook.readStatus ||
-               existingBook.title !== newBook.title ||
-               existingBook.productImage !== newBook.productImage;
+    formatImportValue(field, value) {
+        if (field === 'ownership') {
+            const status = BookManager.OWNERSHIP_STATUSES[value];
+            return status ? `${status.icon} ${status.label}` : '所有している';
+        }
+        if (value === undefined || value === null || value === '') {
+            return '（なし）';
+        }
+        if (field === 'acquiredTime') {
+            return new Date(value).toLocaleDateString('ja-JP');
+        }
+        return String(value);
     }
 
     /**
@@ -283,86 +491,40 @@ class BookManager {
     }
 
     /**
-     * ASIN から書籍情報を自動取得（複数APIの組み合わせ）
+     * ASIN・ISBN から書籍情報を自動取得（config.json の metadata で指定した取得元を順に問い合わせる）
      */
     async fetchBookDataFromAmazon(asin) {
         console.log(`書籍情報取得開始: ${asin}`);
 
-        try {
-            // Google Books APIで検索（実際に動作）
-            const googleBooksData = await this.fetchFromGoogleBooks(asin);
-            if (googleBooksData && googleBooksData.title && googleBooksData.title !== 'タイトル未取得') {
-                console.log('Google Books で取得成功:', googleBooksData);
-                return googleBooksData;
-            }
-        } catch (error) {
-            console.log('Google Books 検索失敗:', error.message);
+        if (!this.metadata) {
+            this.metadata = MetadataManager.create();
         }
 
-        // Google Books で見つからない場合はテンプレートを返す
-        console.log('自動取得失敗、テンプレートで代替');
-        return this.generateSmartBookData(asin);
-    }
-
-    /**
-     * Google Books APIから書籍情報を取得（ISBN/ASIN検索）
-     */
-    async fetchFromGoogleBooks(asin) {
         try {
-            console.log(`Google Books API検索: ${asin}`);
-
-            // ISBNとして検索
-            let url = `https://www.googleapis.com/books/v1/volumes?q=isbn:${asin}`;
-            let response = await fetch(url);
-            let data = await response.json();
-
-            console.log('Google Books ISBN検索結果:', data);
-
-            if (data.items && data.items.length > 0) {
-                const book = data.items[0].volumeInfo;
-                console.log('見つかった書籍:', book);
-
-                return {
-                    bookId: asin,
-                    title: book.title || 'タイトル未取得',
-                    authors: book.authors ? book.authors.join(', ') : '著者未取得',
-                    acquiredTime: Date.now(),
-                    readStatus: 'UNKNOWN',
-                    productImage: book.imageLinks ?
-                        (book.imageLinks.large || book.imageLinks.medium || book.imageLinks.thumbnail) :
-                        `https://images-na.ssl-images-amazon.com/images/P/${asin}.01.L.jpg`
-                };
-            }
-
-            // ISBNで見つからない場合、一般検索を試行
-            url = `https://www.googleapis.com/books/v1/volumes?q=${asin}`;
-            response = await fetch(url);
-            data = await response.json();
-
-            console.log('Google Books 一般検索結果:', data);
-
-            if (data.items && data.items.length > 0) {
-                const book = data.items[0].volumeInfo;
-                console.log('一般検索で見つかった書籍:', book);
+            const isbn = this.toIsbn13(asin);
+            const metadata = await this.metadata.lookup({ bookId: asin, ...(isbn && { isbn }) });
+            if (metadata) {
+                console.log(`書籍情報を取得しました（${metadata.sources.join(', ')}）:`, metadata);
+                const amazonId = this.getAmazonId(asin) || asin;
 
                 return {
                     bookId: asin,
-                    title: book.title || 'タイトル未取得',
-                    authors: book.authors ? book.authors.join(', ') : '著者未取得',
+                    title: metadata.title,
+                    authors: metadata.authors || '',
                     acquiredTime: Date.now(),
                     readStatus: 'UNKNOWN',
-                    productImage: book.imageLinks ?
-                        (book.imageLinks.large || book.imageLinks.medium || book.imageLinks.thumbnail) :
-                        `https://images-na.ssl-images-amazon.com/images/P/${asin}.01.L.jpg`
+                    productImage: metadata.productImage ||
+                        `https://images-na.ssl-images-amazon.com/images/P/${amazonId}.01.L.jpg`,
+                    ...(isbn && { isbn })
                 };
             }
-
-            throw new Error('書籍が見つかりませんでした');
-
         } catch (error) {
-            console.warn('Google Books API エラー:', error);
-            throw error;
+            console.log('書籍情報の取得失敗:', error.message);
         }
+
+        // どの取得元でも見つからない場合はテンプレートを返す
+        console.log('自動取得失敗、テンプレートで代替');
+        return this.generateSmartBookData(asin);
     }
 
 
@@ -377,8 +539,8 @@ class BookManager {
             // Kindle本の場合
             title = '';  // 空にして手動入力を促す
             authors = '';
-        } else if (/^\d{9}[\dX]$/.test(bookId)) {
-            // ISBN-10の場合
+        } else if (this.isValidIsbn(bookId)) {
+            // ISBN-10/13の場合
             title = '';
             authors = '';
         } else {
@@ -393,8 +555,8 @@ class BookManager {
             authors: authors,
             acquiredTime: Date.now(),
             readStatus: 'UNKNOWN',
-            productImage: this.isValidASIN(bookId) ?
-                `https://images-na.ssl-images-amazon.com/images/P/${bookId}.01.L.jpg` : null
+            productImage: this.getAmazonId(bookId) ?
+                `https://images-na.ssl-images-amazon.com/images/P/${this.getAmazonId(bookId)}.01.L.jpg` : null
         };
     }
 
@@ -422,10 +584,10 @@ class BookManager {
         if (book.productImage) {
             return book.productImage;
         }
-        // ASINの場合のみAmazon画像URLを生成
-        const effectiveId = this.getEffectiveBookId(book);
-        if (this.isValidASIN(effectiveId)) {
-            return `https://images-na.ssl-images-amazon.com/images/P/${effectiveId}.01.L.jpg`;
+        // ASIN・ISBNの場合のみAmazon画像URLを生成
+        const amazonId = this.getAmazonId(this.getEffectiveBookId(book));
+        if (amazonId) {
+            return `https://images-na.ssl-images-amazon.com/images/P/${amazonId}.01.L.jpg`;
         }
         // それ以外はプレースホルダー
         return 'images/no-cover.png';
@@ -436,7 +598,7 @@ class BookManager {
      */
     canGenerateAmazonLink(book) {
         const effectiveId = this.getEffectiveBookId(book);
-        return this.isValidASIN(effectiveId);
+        return this.isValidASIN(effectiveId) || this.isValidIsbn13(effectiveId);
     }
 
     /**
@@ -444,16 +606,22 @@ class BookManager {
      */
     getAmazonUrl(book, affiliateId = null) {
         const effectiveId = this.getEffectiveBookId(book);
-
-        // ASINでない場合はnullを返す
-        if (!this.isValidASIN(effectiveId)) {
+        const amazonId = this.getAmazonId(effectiveId);
+
+        let url;
+        if (amazonId) {
+            // ISBN-13は商品ページのIDとして使えるISBN-10に変換
+            url = `https://www.amazon.co.jp/dp/${amazonId}`;
+        } else if (this.isValidIsbn13(effectiveId)) {
+            // 979で始まるISBN-13にはISBN-10がないため検索結果にリンク
+            url = `https://www.amazon.co.jp/s?k=${effectiveId}`;
+        } else {
+            // ASIN・ISBNでない場合はnullを返す
             return null;
         }
 
-        let url = `https://www.amazon.co.jp/dp/${effectiveId}`;
-
         if (affiliateId) {
-            url += `?tag=${affiliateId}`;
+            url += `${url.includes('?') ? '&' : '?'}tag=${affiliateId}`;
         }
 
         return url;
@@ -498,20 +666,24 @@ class BookManager {
             throw new Error('有効な識別子が必要です');
         }
 
-        // 重複チェック
-        if (this.library.books.find(book => book.bookId === bookId)) {
+        // 重複チェック（ISBN-10とISBN-13の違いも同じ本とみなす）
+        if (this.findDuplicateBook({ bookId, isbn: bookData.isbn })) {
             throw new Error('この本は既に蔵書に追加されています');
         }
 
+        const isbn = this.toIsbn13(bookData.isbn) || this.toIsbn13(bookId);
+        const amazonId = this.getAmazonId(bookId);
+
         const newBook = {
             bookId: bookId,
             title: bookData.title || 'タイトル未設定',
             authors: bookData.authors || '著者未設定',
             acquiredTime: bookData.acquiredTime || Date.now(),
             readStatus: bookData.readStatus || 'UNKNOWN',
-            productImage: bookData.productImage || (this.isValidASIN(bookId) ? `https://images-na.ssl-images-amazon.com/images/P/${bookId}.01.L.jpg` : null),
+            productImage: bookData.productImage || (amazonId ? `https://images-na.ssl-images-amazon.com/images/P/${amazonId}.01.L.jpg` : null),
             source: bookData.source || 'manual_add',
-            addedDate: Date.now()
+            addedDate: Date.now(),
+            ...(isbn && { isbn })
         };
 
         this.library.books.push(newBook);
@@ -612,6 +784,195 @@ class BookManager {
         return /^[A-Z0-9]{10}$/.test(id);
     }
 
+    /**
+     * ISBNの入力値を正規化（ハイフン・空白を除去して大文字に）
+     */
+    normalizeIsbn(value) {
+        return (value || '').replace(/[\s-]/g, '').toUpperCase();
+    }
+
+    /**
+     * ISBN-10の妥当性チェック（チェックディジットを含む）
+     */
+    isValidIsbn10(id) {
+        if (!/^\d{9}[\dX]$/.test(id || '')) {
+            return false;
+        }
+        const sum = id.split('').reduce((total, char, index) =>
+            total + (char === 'X' ? 10 : Number(char)) * (10 - index), 0);
+        return sum % 11 === 0;
+    }
+
+    /**
+     * ISBN-13の妥当性チェック（978/979で始まり、チェックディジットが正しいもの）
+     */
+    isValidIsbn13(id) {
+        if (!/^97[89]\d{10}$/.test(id || '')) {
+            return false;
+        }
+        const sum = id.split('').reduce((total, char, index) =>
+            total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+        return sum % 10 === 0;
+    }
+
+    isValidIsbn(id) {
+        return this.isValidIsbn10(id) || this.isValidIsbn13(id);
+    }
+
+    convertIsbn10To13(isbn10) {
+        const body = `978${isbn10.slice(0, 9)}`;
+        const sum = body.split('').reduce((total, char, index) =>
+            total + Number(char) * (index % 2 === 0 ? 1 : 3), 0);
+        return `${body}${(10 - sum % 10) % 10}`;
+    }
+
+    /**
+     * ISBN-13をISBN-10に変換（979で始まるISBNは変換できないためnull）
+     */
+    convertIsbn13To10(isbn13) {
+        if (!isbn13.startsWith('978')) {
+            return null;
+        }
+        const body = isbn13.slice(3, 12);
+        const sum = body.split('').reduce((total, char, index) => total + Number(char) * (10 - index), 0);
+        const checkDigit = (11 - sum % 11) % 11;
+        return `${body}${checkDigit === 10 ? 'X' : checkDigit}`;
+    }
+
+    /**
+     * ISBN-10/13をISBN-13に揃える（ISBNでなければnull）
+     */
+    toIsbn13(id) {
+        const isbn = this.normalizeIsbn(id);
+        if (this.isValidIsbn13(isbn)) {
+            return isbn;
+        }
+        return this.isValidIsbn10(isbn) ? this.convertIsbn10To13(isbn) : null;
+    }
+
+    /**
+     * Amazonの商品ページ・表紙画像に使えるID（ASIN、またはISBN-13から変換したISBN-10）
+     */
+    getAmazonId(id) {
+        if (this.isValidASIN(id)) {
+            return id;
+        }
+        return this.isValidIsbn13(id) ? this.convertIsbn13To10(id) : null;
+    }
+
+    /**
+     * Google Books APIのvolumeInfoからISBN-13を取得
+     */
+    getIsbnFromGoogleBooks(volumeInfo) {
+        const identifiers = volumeInfo.industryIdentifiers || [];
+        const identifier = identifiers.find(item => item.type === 'ISBN_13') ||
+            identifiers.find(item => item.type === 'ISBN_10');
+        return identifier ? this.toIsbn13(identifier.identifier) : null;
+    }
+
+    /**
+     * 商品コード（ASIN・ISBN-10・ISBN-13）の妥当性チェック
+     * 数字だけの10桁・13桁はISBNとしてチェックディジットも確認する
+     */
+    isValidProductCode(id) {
+        if (/^\d{9}[\dX]$/.test(id) || /^\d{13}$/.test(id)) {
+            return this.isValidIsbn(id);
+        }
+        return this.isValidASIN(id);
+    }
+
+    /**
+     * 同じ本とみなす識別子の一覧（ISBNは10桁・13桁の両方）
+     * @returns {Set<string>}
+     */
+    getIdentifierKeys(...ids) {
+        const keys = new Set();
+        ids.filter(Boolean).forEach(id => {
+            keys.add(id);
+            const isbn13 = this.toIsbn13(id);
+            if (isbn13) {
+                keys.add(isbn13);
+                const isbn10 = this.convertIsbn13To10(isbn13);
+                if (isbn10) {
+                    keys.add(isbn10);
+                }
+            }
+        });
+        return keys;
+    }
+
+    /**
+     * 蔵書の本の識別子（bookId・変更後bookId・ISBN・統合した本のbookId）
+     */
+    getBookIdentifierKeys(book) {
+        return this.getIdentifierKeys(book.bookId, book.updatedBookId, book.isbn, ...(book.mergedBookIds || []));
+    }
+
+    /**
+     * 同じ本が蔵書にあれば返す（bookId・変更後bookId・ISBN・統合した本のbookIdのいずれかが一致）
+     * @param {{bookId: string, updatedBookId?: string, isbn?: string}} bookData
+     * @param {string|null} excludeBookId - 編集中の本など、比較から除外するbookId
+     */
+    findDuplicateBook(bookData, excludeBookId = null) {
+        const keys = this.getIdentifierKeys(bookData.bookId, bookData.updatedBookId, bookData.isbn);
+        return this.library.books.find(book => book.bookId !== excludeBookId &&
+            Array.from(this.getBookIdentifierKeys(book)).some(key => keys.has(key)));
+    }
+
+    /**
+     * 重複している本（紙とKindle・版違いなど）を1冊にまとめる
+     * 残す本の空の項目は統合する本の値で補い、購入日は最も古い日、既読はどれかが既読なら既読にする
+     * 統合した本のbookIdは mergedBookIds に残し、再インポート時の重複判定とハイライトの読み込みに使う
+     * （メモ・評価・本棚はユーザーデータのため呼び出し側でまとめる）
+     * @param {string} keepBookId - 残す本
+     * @param {string[]} mergeBookIds - 統合して削除する本
+     */
+    async mergeBooks(keepBookId, mergeBookIds) {
+        const keepBook = this.findBookById(keepBookId);
+        if (!keepBook) {
+            throw new Error('指定された書籍が見つかりません');
+        }
+
+        const mergeBooks = mergeBookIds.filter(bookId => bookId !== keepBookId).map(bookId => {
+            const book = this.findBookById(bookId);
+            if (!book) {
+                throw new Error(`統合する書籍が見つかりません: ${bookId}`);
+            }
+            return book;
+        });
+
+        mergeBooks.forEach(book => {
+            ['title', 'authors', 'productImage', 'isbn'].forEach(field => {
+                if (!keepBook[field] && book[field]) {
+                    keepBook[field] = book[field];
+                }
+            });
+            if (book.acquiredTime && (!keepBook.acquiredTime || book.acquiredTime < keepBook.acquiredTime)) {
+                keepBook.acquiredTime = book.acquiredTime;
+            }
+            if (book.readStatus === 'READ') {
+                keepBook.readStatus = 'READ';
+            }
+            // どれかを所有していれば所有している
+            if (!book.ownership) {
+                delete keepBook.ownership;
+            }
+        });
+
+        keepBook.mergedBookIds = Array.from(new Set([
+            ...(keepBook.mergedBookIds || []),
+            ...mergeBooks.flatMap(book => [book.bookId, book.updatedBookId, ...(book.mergedBookIds || [])].filter(Boolean))
+        ]));
+
+        this.library.books = this.library.books.filter(book => !mergeBooks.includes(book));
+        this.library.metadata.totalBooks = this.library.books.length;
+        this.library.metadata.manuallyAdded = this.library.books.filter(book => book.source === 'manual_add').length;
+        this.library.metadata.importedFromKindle = this.library.books.filter(book => book.source === 'kindle_import').length;
+
+        await this.saveLibrary();
+        return keepBook;
+    }
+
     /**
      * bookIdの妥当性チェック（汎用 - 空でなければOK）
      */
@@ -635,8 +996,10 @@ class BookManager {
      * ライブラリデータをファイルに保存（エクスポート用）
      */
     async saveLibrary() {
-        // LocalStorage に保存
-        localStorage.setItem('virtualBookshelf_library', JSON.stringify(this.library));
+        // 保存先（LocalStorage / IndexedDB / 同期サーバー）に保存
+        if (this.storage) {
+            await this.storage.save(StorageManager.KEYS.library, this.library);
+        }
 
         // ダウンロード可能な形でエクスポート
         return this.library;
@@ -735,6 +1098,7 @@ class BookManager {
 
         const data = await response.json();
         const volumeInfo = data.volumeInfo;
+        const isbn = this.getIsbnFromGoogleBooks(volumeInfo);
 
         return {
             bookId: volumeId,
@@ -744,7 +1108,8 @@ class BookManager {
             source: 'google_books',
             acquiredTime: Date.now(),
             readStatus: 'UNKNOWN',
-            addedDate: Date.now()
+            addedDate: Date.now(),
+            ...(isbn && { isbn })
         };
     }
 
@@ -802,14 +1167,14 @@ class BookManager {
             }
         }
 
-        // 重複チェック
-        if (this.library.books.find(book => book.bookId === volumeId)) {
-            throw new Error('この本は既に蔵書に追加されています');
-        }
-
         // 書籍情報を取得
         const bookData = await this.fetchFromGoogleBooksById(volumeId);
 
+        // 重複チェック（統合した本のbookId・ISBNが一致する紙の本・Kindle版も同じ本とみなす）
+        if (this.findDuplicateBook({ bookId: volumeId, isbn: bookData.isbn })) {
+            throw new Error('この本は既に蔵書に追加されています');
+        }
+
         // ライブラリに追加
         this.library.books.push(bookData);
         this.library.metadata.totalBooks = this.library.books.length;
@@ -838,3 +1203,8 @@ class AutoSaveManager {
         });
     }
 }
+
+// Node.js（scripts/）からも利用できるようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BookManager;
+}
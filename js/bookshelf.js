@@ -32,6 +32,29 @@ class VirtualBookshelf {
         this.enableSeriesGrouping = false;
         this.displayItems = []; // 表示用アイテム（本またはシリーズ）
 
+        // ハイライト全文検索関連
+        this.searchHighlights = false;
+        this.highlightSearchResults = [];
+        this.highlightSearchRequestId = 0;
+        this.highlightBookIds = new Set();
+
+        // 検索式（author:〜 rating:>=4 など）
+        this.searchQuery = '';
+        this.parsedQuery = SearchQuery.parse('');
+
+        this.statsDashboard = new StatsDashboard(this);
+        this.serverSync = new ServerSync(this);
+        this.history = new HistoryManager(this);
+        this.snapshotManager = new SnapshotManager(this);
+        this.metadataRefresher = new MetadataRefresher(this);
+        this.duplicateFinder = new DuplicateFinder(this);
+        this.tagManager = new TagManager(this);
+        this.facetFilter = new FacetFilter(this);
+
+        // 保存先（LocalStorage / IndexedDB / 同期サーバー）
+        this.storage = null;
+        this.storageErrorNotified = false;
+
         this.init();
     }
 
@@ -42,14 +65,39 @@ class VirtualBookshelf {
             this.updateBookshelfSelector();
             this.updateSortDirectionButton();
             this.renderBookshelfOverview();
+            this.tagManager.renderTagCloud();
             this.updateDisplay();
             this.updateStats();
             
             // Initialize HighlightsManager after bookshelf is ready
             window.highlightsManager = new HighlightsManager(this);
+
+            // ハイライトのある本を読み込み、スマート本棚の「ハイライトがある」条件に反映
+            window.highlightsManager.loadHighlightBookIds().then(bookIds => {
+                this.highlightBookIds = bookIds;
+                if (this.userData.bookshelves?.some(bookshelf => SmartBookshelf.usesField(bookshelf, 'highlights'))) {
+                    this.refreshLibraryView();
+                } else {
+                    this.applyFilters(); // 絞り込みのハイライトの冊数を更新
+                }
+            });
+
+            // 共有されたURL（?q=）の検索式を復元
+            this.restoreSearchFromUrl();
             
             // Hide loading indicator
             this.hideLoading();
+
+            // 読み込んだ状態を操作履歴の基準にする
+            this.history.initialize();
+
+            // 起動時と1時間ごとにスナップショットを作成
+            this.snapshotManager.initialize();
+
+            // 同期サーバー利用時は他の端末の変更を取り込む
+            if (this.storage.isRemote) {
+                this.syncStorage();
+            }
         } catch (error) {
             console.error('初期化エラー:', error);
             this.showError('データの読み込みに失敗しました。');
@@ -58,13 +106,6 @@ class VirtualBookshelf {
     }
 
     async loadData() {
-        // Initialize BookManager
-        this.bookManager = new BookManager();
-        await this.bookManager.initialize();
-
-        // Get books from BookManager instead of direct kindle.json
-        this.books = this.bookManager.getAllBooks();
-        
         // Load config data
         let config = {};
         try {
@@ -74,13 +115,24 @@ class VirtualBookshelf {
             console.error('Failed to load config.json:', error);
             throw new Error('設定ファイルの読み込みに失敗しました');
         }
+
+        // Initialize storage (端末ごとの設定 → config.json の storage → LocalStorage)
+        this.storage = this.createStorage(config.storage);
+
+        // Initialize BookManager
+        this.bookManager = new BookManager(this.storage);
+        this.bookManager.metadata = this.createMetadataManager(config.metadata);
+        await this.bookManager.initialize();
+
+        // Get books from BookManager instead of direct kindle.json
+        this.books = this.bookManager.getAllBooks();
         
-        // Check localStorage first for user data
-        const savedUserData = localStorage.getItem('virtualBookshelf_userData');
+        // Check storage first for user data
+        const savedUserData = await this.storage.load(StorageManager.KEYS.userData);
         
         if (savedUserData) {
-            // Use localStorage data as primary source
-            this.userData = JSON.parse(savedUserData);
+            // Use stored data as primary source
+            this.userData = savedUserData;
         } else {
             // Fallback to file if localStorage is empty
             try {
@@ -109,15 +161,14 @@ class VirtualBookshelf {
                     // 書籍データからnotesを再構築
                     if (libraryData.books) {
                         Object.keys(libraryData.books).forEach(asin => {
-                            const book = libraryData.books[asin];
-                            if (book.memo || book.rating) {
-                                this.userData.notes[asin] = {
-                                    memo: book.memo || '',
-                                    rating: book.rating || 0
-                                };
+                            const note = this.extractNoteFromLibraryBook(libraryData.books[asin]);
+                            if (note) {
+                                this.userData.notes[asin] = note;
                             }
                         });
                     }
+                    // 「サーバーデータを適用」の差分比較の基準として記録
+                    this.serverSync.recordBase(libraryData);
                 }
             } catch (error) {
                 console.error('Failed to load library.json:', error);
@@ -189,6 +240,30 @@ class VirtualBookshelf {
         document.getElementById('search-input').addEventListener('input', (e) => {
             this.search(e.target.value);
         });
+
+        // Highlight full-text search toggle
+        const searchHighlightsCheckbox = document.getElementById('search-highlights');
+        if (searchHighlightsCheckbox) {
+            searchHighlightsCheckbox.addEventListener('change', (e) => {
+                this.searchHighlights = e.target.checked;
+                this.search(document.getElementById('search-input').value);
+            });
+        }
+
+        // Highlight search results - open book detail
+        const highlightSearchResults = document.getElementById('highlight-search-results');
+        if (highlightSearchResults) {
+            highlightSearchResults.addEventListener('click', (e) => {
+                const bookElement = e.target.closest('.highlight-search-book-title');
+                if (!bookElement) return;
+
+                e.preventDefault();
+                const book = this.books.find(b => b.bookId === bookElement.dataset.bookId);
+                if (book) {
+                    this.showBookDetail(book);
+                }
+            });
+        }
         
         // Filters
         
@@ -198,6 +273,16 @@ class VirtualBookshelf {
             document.getElementById(id).addEventListener('change', () => this.applyFilters());
         });
 
+        // Reading status filters
+        document.querySelectorAll('.status-filter-checkboxes input').forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.applyFilters());
+        });
+
+        // Ownership filters
+        document.querySelectorAll('.ownership-filter-checkboxes input').forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.applyFilters());
+        });
+
         // Series grouping toggle
         const seriesGroupingCheckbox = document.getElementById('series-grouping');
         if (seriesGroupingCheckbox) {
@@ -324,6 +409,8 @@ class VirtualBookshelf {
             cancelBookshelfForm.addEventListener('click', () => this.closeBookshelfForm());
         }
 
+        this.setupSmartRulesListeners();
+
         const saveBookshelfForm = document.getElementById('save-bookshelf-form');
         if (saveBookshelfForm) {
             saveBookshelfForm.addEventListener('click', () => this.saveBookshelfForm());
@@ -406,6 +493,170 @@ class VirtualBookshelf {
             });
         }
 
+        // Snapshots modal
+        const showSnapshotsBtn = document.getElementById('show-snapshots');
+        if (showSnapshotsBtn) {
+            showSnapshotsBtn.addEventListener('click', () => this.snapshotManager.show());
+        }
+
+        const snapshotModalClose = document.getElementById('snapshot-modal-close');
+        if (snapshotModalClose) {
+            snapshotModalClose.addEventListener('click', () => this.snapshotManager.close());
+        }
+
+        const takeSnapshotBtn = document.getElementById('take-snapshot');
+        if (takeSnapshotBtn) {
+            takeSnapshotBtn.addEventListener('click', async () => {
+                const snapshot = await this.snapshotManager.takeSnapshot('manual');
+                if (!snapshot) {
+                    alert('❌ スナップショットの作成に失敗しました');
+                    return;
+                }
+                await this.snapshotManager.renderList();
+            });
+        }
+
+        // Undo / Redo
+        const undoBtn = document.getElementById('undo-action');
+        if (undoBtn) {
+            undoBtn.addEventListener('click', () => this.history.undo());
+        }
+
+        const redoBtn = document.getElementById('redo-action');
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.history.redo());
+        }
+
+        document.addEventListener('keydown', (e) => this.history.handleKeydown(e));
+
+        // Server sync review modal
+        const serverSyncModalClose = document.getElementById('server-sync-modal-close');
+        if (serverSyncModalClose) {
+            serverSyncModalClose.addEventListener('click', () => this.serverSync.closeReviewDialog());
+        }
+
+        const serverSyncCancelBtn = document.getElementById('server-sync-cancel');
+        if (serverSyncCancelBtn) {
+            serverSyncCancelBtn.addEventListener('click', () => this.serverSync.closeReviewDialog());
+        }
+
+        const serverSyncApplyBtn = document.getElementById('server-sync-apply');
+        if (serverSyncApplyBtn) {
+            serverSyncApplyBtn.addEventListener('click', () => this.serverSync.apply());
+        }
+
+        // Metadata refresh modal
+        const refreshMetadataBtn = document.getElementById('refresh-metadata');
+        if (refreshMetadataBtn) {
+            refreshMetadataBtn.addEventListener('click', () => this.metadataRefresher.showDialog());
+        }
+
+        const metadataRefreshModalClose = document.getElementById('metadata-refresh-modal-close');
+        if (metadataRefreshModalClose) {
+            metadataRefreshModalClose.addEventListener('click', () => this.metadataRefresher.closeDialog());
+        }
+
+        const metadataRefreshCancelBtn = document.getElementById('metadata-refresh-cancel');
+        if (metadataRefreshCancelBtn) {
+            metadataRefreshCancelBtn.addEventListener('click', () => this.metadataRefresher.closeDialog());
+        }
+
+        const metadataRefreshStartBtn = document.getElementById('metadata-refresh-start');
+        if (metadataRefreshStartBtn) {
+            metadataRefreshStartBtn.addEventListener('click', () => this.metadataRefresher.start());
+        }
+
+        const metadataRefreshStopBtn = document.getElementById('metadata-refresh-stop');
+        if (metadataRefreshStopBtn) {
+            metadataRefreshStopBtn.addEventListener('click', () => this.metadataRefresher.stop());
+        }
+
+        const metadataRefreshApplyBtn = document.getElementById('metadata-refresh-apply');
+        if (metadataRefreshApplyBtn) {
+            metadataRefreshApplyBtn.addEventListener('click', () => this.metadataRefresher.apply());
+        }
+
+        // Facet filter (入手元・購入年・著者などの絞り込み)
+        this.facetFilter.setupEventListeners();
+
+        // Tag filter and bulk tagging
+        const tagFilterMode = document.getElementById('tag-filter-mode');
+        if (tagFilterMode) {
+            tagFilterMode.addEventListener('change', (e) => this.tagManager.setFilterMode(e.target.value));
+        }
+
+        const bulkTagBtn = document.getElementById('bulk-tag');
+        if (bulkTagBtn) {
+            bulkTagBtn.addEventListener('click', () => this.tagManager.showBulkDialog());
+        }
+
+        ['bulk-tag-modal-close', 'bulk-tag-cancel'].forEach(id => {
+            const closeBtn = document.getElementById(id);
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => this.tagManager.closeBulkDialog());
+            }
+        });
+
+        const bulkTagAddBtn = document.getElementById('bulk-tag-add');
+        if (bulkTagAddBtn) {
+            bulkTagAddBtn.addEventListener('click', () => this.tagManager.applyBulk('add'));
+        }
+
+        const bulkTagRemoveBtn = document.getElementById('bulk-tag-remove');
+        if (bulkTagRemoveBtn) {
+            bulkTagRemoveBtn.addEventListener('click', () => this.tagManager.applyBulk('remove'));
+        }
+
+        // Duplicates modal
+        const findDuplicatesBtn = document.getElementById('find-duplicates');
+        if (findDuplicatesBtn) {
+            findDuplicatesBtn.addEventListener('click', () => this.duplicateFinder.showDialog());
+        }
+
+        ['duplicates-modal-close', 'duplicates-close'].forEach(id => {
+            const closeBtn = document.getElementById(id);
+            if (closeBtn) {
+                closeBtn.addEventListener('click', () => this.duplicateFinder.closeDialog());
+            }
+        });
+
+        // Storage settings modal
+        const storageSettingsBtn = document.getElementById('storage-settings');
+        if (storageSettingsBtn) {
+            storageSettingsBtn.addEventListener('click', () => this.showStorageSettingsModal());
+        }
+
+        const storageSettingsModalClose = document.getElementById('storage-settings-modal-close');
+        if (storageSettingsModalClose) {
+            storageSettingsModalClose.addEventListener('click', () => this.closeStorageSettingsModal());
+        }
+
+        const storageTypeSelect = document.getElementById('storage-type');
+        if (storageTypeSelect) {
+            storageTypeSelect.addEventListener('change', () => this.updateStorageSettingsForm());
+        }
+
+        const testStorageBtn = document.getElementById('test-storage-connection');
+        if (testStorageBtn) {
+            testStorageBtn.addEventListener('click', () => this.testStorageConnection());
+        }
+
+        const saveStorageBtn = document.getElementById('save-storage-settings');
+        if (saveStorageBtn) {
+            saveStorageBtn.addEventListener('click', () => this.saveStorageSettings());
+        }
+
+        // Stats dashboard modal
+        const showStatsBtn = document.getElementById('show-stats');
+        if (showStatsBtn) {
+            showStatsBtn.addEventListener('click', () => this.statsDashboard.show());
+        }
+
+        const statsModalClose = document.getElementById('stats-modal-close');
+        if (statsModalClose) {
+            statsModalClose.addEventListener('click', () => this.statsDashboard.close());
+        }
+
         // Static share modal
         const staticShareModalClose = document.getElementById('static-share-modal-close');
         if (staticShareModalClose) {
@@ -457,19 +708,208 @@ class VirtualBookshelf {
         this.saveUserData();
     }
 
-    search(query) {
-        this.searchQuery = query.toLowerCase();
+    async search(query) {
+        this.searchQuery = query;
+        this.parsedQuery = SearchQuery.parse(query, { bookshelves: this.userData.bookshelves || [] });
+        this.renderSearchErrors();
+        this.updateSearchUrl();
+
+        // ハイライト本文も検索する場合はインデックスから一致箇所を取得（項目名のない語のみ）
+        const requestId = ++this.highlightSearchRequestId;
+        const highlightSearchText = SearchQuery.getHighlightSearchText(this.parsedQuery);
+        let results = [];
+        if (this.searchHighlights && highlightSearchText && window.highlightsManager) {
+            results = await window.highlightsManager.searchInHighlights(highlightSearchText);
+            if (requestId !== this.highlightSearchRequestId) {
+                return; // 入力中に次の検索が始まった場合は古い結果を捨てる
+            }
+        }
+
+        this.highlightSearchResults = results;
+        this.renderHighlightSearchResults();
         this.applyFilters();
     }
 
+    /**
+     * 検索式の書き方の誤りを検索ボックスの下に表示
+     */
+    renderSearchErrors() {
+        const input = document.getElementById('search-input');
+        const container = document.getElementById('search-errors');
+        const { errors } = this.parsedQuery;
+
+        input.classList.toggle('has-error', errors.length > 0);
+        if (!container) return;
+        container.innerHTML = errors.map(error => `<div>⚠️ ${this.escapeHtml(error)}</div>`).join('');
+        container.style.display = errors.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * 検索式をURL（?q=）に反映（そのURLを共有すると同じ検索結果を開ける）
+     */
+    updateSearchUrl() {
+        const params = SearchQuery.toUrlParams(this.searchQuery, { searchHighlights: this.searchHighlights }).toString();
+        const url = `${window.location.pathname}${params ? `?${params}` : ''}${window.location.hash}`;
+        if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+            window.history.replaceState(null, '', url);
+        }
+    }
+
+    restoreSearchFromUrl() {
+        const { query, searchHighlights } = SearchQuery.fromUrlParams(window.location.search);
+        if (!query) return;
+
+        document.getElementById('search-input').value = query;
+        const searchHighlightsCheckbox = document.getElementById('search-highlights');
+        if (searchHighlightsCheckbox) {
+            searchHighlightsCheckbox.checked = searchHighlights;
+        }
+        this.searchHighlights = searchHighlights;
+        this.search(query);
+    }
+
+    /**
+     * ハイライト検索結果（一致した文章と本）を表示
+     */
+    renderHighlightSearchResults() {
+        const container = document.getElementById('highlight-search-results');
+        if (!container) return;
+
+        const highlightSearchText = SearchQuery.getHighlightSearchText(this.parsedQuery);
+        if (!this.searchHighlights || !highlightSearchText) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const results = this.highlightSearchResults;
+        const terms = highlightSearchText.split(/\s+/);
+        const totalHighlights = results.reduce((sum, result) => sum + result.highlights.length, 0);
+        const maxBooks = 20;
+        const maxHighlightsPerBook = 3;
+
+        let html = `<h3>🎯 ハイライト検索結果: ${totalHighlights}件（${results.length}冊）</h3>`;
+
+        if (results.length === 0) {
+            html += '<p class="no-highlights">一致するハイライトはありません</p>';
+        }
+
+        results.slice(0, maxBooks).forEach(({ book, highlights }) => {
+            html += `
+                <div class="highlight-search-book">
+                    <a href="#" class="highlight-search-book-title" data-book-id="${this.escapeHtml(book.bookId)}">
+                        📖 ${this.escapeHtml(book.title)} <span class="highlight-search-book-author">${this.escapeHtml(book.authors)}</span>
+                    </a>
+                    ${highlights.slice(0, maxHighlightsPerBook).map(highlight => `
+                        <div class="highlight-item">
+                            <div class="highlight-text">"${this.createHighlightSnippet(highlight.text, terms)}"</div>
+                            ${highlight.location ? `<div class="highlight-location">${this.escapeHtml(highlight.location)}</div>` : ''}
+                        </div>
+                    `).join('')}
+                    ${highlights.length > maxHighlightsPerBook ? `<p class="highlight-search-more">他${highlights.length - maxHighlightsPerBook}件</p>` : ''}
+                </div>
+            `;
+        });
+
+        if (results.length > maxBooks) {
+            html += `<p class="highlight-search-more">他${results.length - maxBooks}冊に一致があります</p>`;
+        }
+
+        container.innerHTML = html;
+        container.style.display = 'block';
+    }
+
+    /**
+     * 一致箇所の前後を切り出し、検索語を<mark>で強調したHTMLを生成
+     * @param {string} text - ハイライト本文
+     * @param {string[]} terms - 検索語（全角・半角、ひらがな・カタカナ、大文字・小文字の違いは無視）
+     * @returns {string}
+     */
+    createHighlightSnippet(text, terms) {
+        const matches = this.findHighlightMatches(text, terms);
+        const matchIndex = matches[0]?.start ?? 0;
+
+        const start = Math.max(0, matchIndex - 60);
+        const end = Math.min(text.length, matchIndex + 140);
+
+        // 一致箇所を<mark>で囲む（エスケープ前の位置で区切るので<mark>タグ自体への再マッチは起きない）
+        let snippet = '';
+        let position = start;
+        matches.filter(match => match.end > start && match.start < end).forEach(match => {
+            const from = Math.max(match.start, position);
+            const to = Math.min(match.end, end);
+            snippet += `${this.escapeHtml(text.slice(position, from))}<mark>${this.escapeHtml(text.slice(from, to))}</mark>`;
+            position = to;
+        });
+        snippet += this.escapeHtml(text.slice(position, end));
+
+        return `${start > 0 ? '…' : ''}${snippet}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * 検索語に一致する範囲（インデックスと同じ HighlightsManager.normalizeSearchText で揃えて探し、元の文章の位置に戻す）
+     * @returns {{start: number, end: number}[]} 先頭から順に、重なる範囲はまとめる
+     */
+    findHighlightMatches(text, terms) {
+        // 1文字ずつ（濁点・半濁点などの結合文字は前の文字と一緒に）正規化し、正規化後の各文字の元の範囲を記録
+        let normalized = '';
+        const origins = [];
+        for (const { 0: chunk, index } of text.matchAll(/[\s\S][\u0300-\u036f\u3099\u309a\uff9e\uff9f]*/gu)) {
+            const value = /^\s+$/.test(chunk) ? chunk : HighlightsManager.normalizeSearchText(chunk);
+            normalized += value;
+            for (let i = 0; i < value.length; i++) {
+                origins.push({ start: index, end: index + chunk.length });
+            }
+        }
+
+        const ranges = [];
+        terms.map(term => HighlightsManager.normalizeSearchText(term)).filter(Boolean).forEach(term => {
+            for (let index = normalized.indexOf(term); index !== -1; index = normalized.indexOf(term, index + term.length)) {
+                ranges.push({ start: origins[index].start, end: origins[index + term.length - 1].end });
+            }
+        });
+
+        return ranges.sort((a, b) => a.start - b.start).reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+            return merged;
+        }, []);
+    }
+
     applyFilters() {
-        this.filteredBooks = this.books.filter(book => {
-            // Bookshelf filter
-            if (this.currentBookshelf && this.currentBookshelf !== 'all') {
-                const bookshelf = this.userData.bookshelves?.find(b => b.id === this.currentBookshelf);
-                if (bookshelf && bookshelf.books && !bookshelf.books.includes(book.bookId)) {
-                    return false;
+        const highlightMatchBookIds = new Set(this.highlightSearchResults.map(result => result.book.bookId));
+        const enabledStatuses = Array.from(document.querySelectorAll('.status-filter-checkboxes input:checked'))
+            .map(checkbox => checkbox.value);
+        const enabledOwnerships = Array.from(document.querySelectorAll('.ownership-filter-checkboxes input:checked'))
+            .map(checkbox => checkbox.value);
+
+        const currentBookshelf = this.currentBookshelf && this.currentBookshelf !== 'all' ?
+            this.userData.bookshelves?.find(b => b.id === this.currentBookshelf) : null;
+        const bookshelfBookIds = currentBookshelf ? new Set(this.getBookshelfBookIds(currentBookshelf)) : null;
+
+        // 検索式の shelf: に一致する本棚の本（値ごとに1回だけ集める）
+        const searchBookshelfBookIds = new Map();
+        const searchContext = {
+            notes: this.userData.notes,
+            getReadingStatus: (book) => this.getReadingStatus(book),
+            getBookshelfBookIds: (text) => {
+                if (!searchBookshelfBookIds.has(text)) {
+                    const bookshelves = SearchQuery.findBookshelves(text, this.userData.bookshelves || []);
+                    searchBookshelfBookIds.set(text, new Set(bookshelves.flatMap(bookshelf => this.getBookshelfBookIds(bookshelf))));
                 }
+                return searchBookshelfBookIds.get(text);
+            },
+            highlightMatchBookIds
+        };
+
+        this.filteredBooks = this.books.filter(book => {
+            // Bookshelf filter（スマート本棚は条件に一致する本）
+            if (bookshelfBookIds && !bookshelfBookIds.has(book.bookId)) {
+                return false;
             }
             
             
@@ -484,23 +924,45 @@ class VirtualBookshelf {
             if (!enabledRatings.includes(bookRating)) {
                 return false;
             }
-            
-            // Search filter
-            if (this.searchQuery) {
-                const searchText = `${book.title} ${book.authors}`.toLowerCase();
-                if (!searchText.includes(this.searchQuery)) {
-                    return false;
-                }
+
+            // Reading status filter
+            if (!enabledStatuses.includes(this.getReadingStatus(book))) {
+                return false;
+            }
+
+            // Ownership filter (アーカイブした本は既定で非表示)
+            if (!enabledOwnerships.includes(book.ownership || 'owned')) {
+                return false;
+            }
+
+            // Tag filter
+            if (!this.tagManager.matchesFilter(book)) {
+                return false;
             }
             
             return true;
         });
+
+        // 検索式で絞り込み（項目名のない語はタイトル・著者・読み、ハイライト検索が有効なら本文からも探す。
+        // 一致する本がなければ打ち間違いを許して探し直す）
+        this.filteredBooks = SearchQuery.filter(this.filteredBooks, this.parsedQuery, searchContext);
+
+        // Facet filter（入手元・購入年・著者などの選択。サイドバーの冊数もここで更新）
+        this.filteredBooks = this.facetFilter.apply(this.filteredBooks);
         
         this.applySorting();
     }
 
     applySorting() {
         this.filteredBooks.sort((a, b) => {
+            // タイトル・著者は日本語の並び順（タイトルは読みが登録されていれば読みの順）
+            if (this.sortOrder === 'title' || this.sortOrder === 'authors') {
+                const comparison = this.sortOrder === 'title' ?
+                    JapaneseText.compare(a.yomi || a.title, b.yomi || b.title) :
+                    JapaneseText.compare(a.authors, b.authors);
+                return this.sortDirection === 'asc' ? comparison : -comparison;
+            }
+
             let aValue = a[this.sortOrder];
             let bValue = b[this.sortOrder];
             
@@ -761,7 +1223,7 @@ class VirtualBookshelf {
 
     createBookElement(book, displayType) {
         const bookElement = document.createElement('div');
-        bookElement.className = 'book-item';
+        bookElement.className = `book-item ${book.ownership ? 'not-owned' : ''}`;
         bookElement.dataset.bookId = book.bookId;
         
         // Add drag-and-drop attributes
@@ -777,6 +1239,8 @@ class VirtualBookshelf {
             bookElement.innerHTML = `
                 <div class="book-cover-container">
                     <div class="drag-handle">⋮⋮</div>
+                    ${this.generateReadingStatusBadge(book)}
+                    ${this.generateOwnershipBadge(book)}
                     <a href="${bookUrl}" target="_blank" rel="noopener noreferrer" class="book-cover-link">
                         ${book.productImage ?
                             `<img class="book-cover lazy" data-src="${this.escapeHtml(this.bookManager.getProductImageUrl(book))}" alt="${this.escapeHtml(book.title)}">` :
@@ -799,6 +1263,8 @@ class VirtualBookshelf {
             bookElement.innerHTML = `
                 <div class="book-cover-container">
                     <div class="drag-handle">⋮⋮</div>
+                    ${this.generateReadingStatusBadge(book)}
+                    ${this.generateOwnershipBadge(book)}
                     <a href="${bookUrl}" target="_blank" rel="noopener noreferrer" class="book-cover-link">
                         ${book.productImage ?
                             `<img class="book-cover lazy" data-src="${this.escapeHtml(this.bookManager.getProductImageUrl(book))}" alt="${this.escapeHtml(book.title)}">` :
@@ -865,7 +1331,7 @@ class VirtualBookshelf {
 
         const representativeBook = series.representativeBook;
         const totalVolumes = series.filteredVolumes ? series.filteredVolumes.length : series.totalVolumes;
-        const progress = this.seriesManager.getSeriesProgress(series);
+        const progress = this.seriesManager.getSeriesProgress(series, book => this.getReadingStatus(book) === 'read');
         const bookUrlInfo = this.bookManager.getBookUrl(representativeBook, this.userData.settings.affiliateId);
         const bookUrl = bookUrlInfo?.url || '#';
         const bookLinkLabel = bookUrlInfo?.label || '詳細';
@@ -1061,7 +1527,11 @@ class VirtualBookshelf {
                             </div>
                             <p style="margin: 0 0 0.5rem 0; color: #7f8c8d;"><strong>著者:</strong> ${book.authors}</p>
                             <p style="margin: 0 0 0.5rem 0; color: #7f8c8d;"><strong>購入日:</strong> ${new Date(book.acquiredTime).toLocaleDateString('ja-JP')}</p>
+                            <p style="margin: 0 0 0.5rem 0; color: #7f8c8d;"><strong>読書状況:</strong> ${this.formatReadingStatus(book)}</p>
+                            ${this.tagManager.getTags(book.bookId).length > 0 ? `<p class="book-detail-tags" style="margin: 0 0 0.5rem 0; color: #7f8c8d;"><strong>タグ:</strong> ${this.tagManager.renderTagLinks(book.bookId)}</p>` : ''}
+                            ${BookManager.OWNERSHIP_STATUSES[book.ownership] ? `<p style="margin: 0 0 0.5rem 0; color: #7f8c8d;"><strong>所有状況:</strong> ${this.bookManager.formatImportValue('ownership', book.ownership)}</p>` : ''}
                             <p style="margin: 0 0 0.5rem 0; color: #7f8c8d;"><strong>商品コード:</strong> ${book.bookId}</p>
+                            ${book.isbn && book.isbn !== book.bookId ? `<p style="margin: 0 0 0.5rem 0; color: #7f8c8d;"><strong>ISBN:</strong> ${book.isbn}</p>` : ''}
                             ${book.updatedAsin ? `<p style="margin: 0 0 0.5rem 0; color: #7f8c8d;"><strong>変更後商品コード:</strong> ${book.updatedAsin}</p>` : ''}
                         </div>
                         <div class="book-edit-section" ${!isEditMode ? 'style="display: none;"' : ''}>
@@ -1069,6 +1539,11 @@ class VirtualBookshelf {
                                 <label>📖 タイトル</label>
                                 <input type="text" class="edit-title" data-book-id="${book.bookId}" value="${book.title}" />
                             </div>
+                            <div class="edit-field">
+                                <label>🔤 読み（オプション）</label>
+                                <input type="text" class="edit-yomi" data-book-id="${book.bookId}" value="${this.escapeHtml(book.yomi || '')}" placeholder="例: からあげのほん" />
+                                <small class="field-help">※ タイトル順の並び替えと検索に使います（漢字のタイトルを読み順に並べたい場合に入力）</small>
+                            </div>
                             <div class="edit-field">
                                 <label>✍️ 著者</label>
                                 <input type="text" class="edit-authors" data-book-id="${book.bookId}" value="${book.authors}" />
@@ -1079,12 +1554,12 @@ class VirtualBookshelf {
                             </div>
                             <div class="edit-field">
                                 <label>🔖 オリジナル商品コード</label>
-                                <input type="text" class="edit-original-asin" data-book-id="${book.bookId}" value="${book.bookId}" maxlength="10" pattern="[A-Z0-9]{10}" />
+                                <input type="text" class="edit-original-asin" data-book-id="${book.bookId}" value="${book.bookId}" />
                                 <small class="field-help">※ 元の商品コード（通常は変更不要）</small>
                             </div>
                             <div class="edit-field">
                                 <label>🔗 変更後商品コード（オプション）</label>
-                                <input type="text" class="edit-updated-asin" data-book-id="${book.bookId}" value="${book.updatedAsin || ''}" placeholder="新しい商品コードがある場合のみ入力" maxlength="10" pattern="[A-Z0-9]{10}" />
+                                <input type="text" class="edit-updated-asin" data-book-id="${book.bookId}" value="${book.updatedAsin || ''}" placeholder="新しい商品コードがある場合のみ入力" />
                                 <small class="field-help">※ Amazonで商品コードが変更された場合の新しいコードを入力</small>
                             </div>
                             <div class="edit-actions" style="margin-top: 1rem; display: flex; gap: 0.5rem;">
@@ -1108,7 +1583,7 @@ class VirtualBookshelf {
                                 <label for="bookshelf-select-${book.bookId}">📚 本棚に追加:</label>
                                 <select id="bookshelf-select-${book.bookId}" class="bookshelf-select">
                                     <option value="">本棚を選択...</option>
-                                    ${this.userData.bookshelves ? this.userData.bookshelves.map(bs => 
+                                    ${this.userData.bookshelves ? this.userData.bookshelves.filter(bs => !SmartBookshelf.isSmart(bs)).map(bs => 
                                         `<option value="${bs.id}">${bs.emoji || '📚'} ${bs.name}</option>`
                                     ).join('') : ''}
                                 </select>
@@ -1119,8 +1594,12 @@ class VirtualBookshelf {
                                 <label>📚 現在の本棚:</label>
                                 <div id="current-bookshelves-${book.bookId}">
                                     ${this.userData.bookshelves ? this.userData.bookshelves
-                                        .filter(bs => bs.books && bs.books.includes(book.bookId))
-                                        .map(bs => `
+                                        .filter(bs => this.getBookshelfBookIds(bs).includes(book.bookId))
+                                        .map(bs => SmartBookshelf.isSmart(bs) ? `
+                                            <div class="bookshelf-item" style="display: inline-flex; align-items: center; margin: 0.25rem; padding: 0.25rem 0.5rem; background-color: #f0f0f0; border-radius: 4px;" title="条件に一致するため自動で追加されています">
+                                                <span>${bs.emoji || '📚'} ${bs.name} 🪄</span>
+                                            </div>
+                                        ` : `
                                             <div class="bookshelf-item" style="display: inline-flex; align-items: center; margin: 0.25rem; padding: 0.25rem 0.5rem; background-color: #f0f0f0; border-radius: 4px;">
                                                 <span>${bs.emoji || '📚'} ${bs.name}</span>
                                                 <button class="btn btn-small btn-danger remove-from-bookshelf" 
@@ -1132,7 +1611,7 @@ class VirtualBookshelf {
                                             </div>
                                         `).join('') : ''}
                                 </div>
-                                ${this.userData.bookshelves && this.userData.bookshelves.filter(bs => bs.books && bs.books.includes(book.bookId)).length === 0 ? 
+                                ${this.userData.bookshelves && this.userData.bookshelves.filter(bs => this.getBookshelfBookIds(bs).includes(book.bookId)).length === 0 ? 
                                     '<p style="color: #888; font-style: italic; margin: 0.5rem 0;">この本はまだどの本棚にも追加されていません</p>' : ''}
                             </div>
                         </div>
@@ -1158,6 +1637,34 @@ class VirtualBookshelf {
                         </div>
                         <button class="btn btn-small rating-reset" data-book-id="${book.bookId}">評価をリセット</button>
                     </div>
+
+                    <div class="reading-status-section" style="${isEditMode ? '' : 'display: none;'}">
+                        <h4>📖 読書状況</h4>
+                        <select class="reading-status-select" data-book-id="${book.bookId}">
+                            ${Object.entries(VirtualBookshelf.READING_STATUSES).map(([value, info]) =>
+                                `<option value="${value}" ${value === this.getReadingStatus(book) ? 'selected' : ''}>${info.icon} ${info.label}</option>`
+                            ).join('')}
+                        </select>
+                        <div class="reading-dates">
+                            <label>開始日 <input type="date" class="reading-started-date" data-book-id="${book.bookId}" value="${this.formatDateForInput(userNote.startedDate)}" /></label>
+                            <label>読了日 <input type="date" class="reading-finished-date" data-book-id="${book.bookId}" value="${this.formatDateForInput(userNote.finishedDate)}" /></label>
+                        </div>
+                    </div>
+
+                    <div class="ownership-section" style="${isEditMode ? '' : 'display: none;'}">
+                        <h4>📚 所有状況</h4>
+                        <select class="ownership-select" data-book-id="${book.bookId}">
+                            <option value="owned">📚 所有している</option>
+                            ${Object.entries(BookManager.OWNERSHIP_STATUSES).map(([value, info]) =>
+                                `<option value="${value}" ${value === book.ownership ? 'selected' : ''}>${info.icon} ${info.label}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+
+                    <div class="tags-section" style="${isEditMode ? '' : 'display: none;'}">
+                        <h4>🏷️ タグ</h4>
+                        ${this.tagManager.renderTagEditor(book.bookId)}
+                    </div>
                 </div>
                 
                 <div class="book-highlights-section" id="highlights-${book.bookId}">
@@ -1218,6 +1725,43 @@ class VirtualBookshelf {
             });
         }
 
+        // Reading status select and dates
+        const readingStatusSelect = modalBody.querySelector('.reading-status-select');
+        if (readingStatusSelect) {
+            readingStatusSelect.addEventListener('change', (e) => {
+                const bookId = e.target.dataset.bookId;
+                this.saveReadingStatus(bookId, e.target.value);
+
+                // 自動設定された開始日・読了日をフォームに反映
+                const note = this.userData.notes[bookId] || {};
+                modalBody.querySelector('.reading-started-date').value = this.formatDateForInput(note.startedDate);
+                modalBody.querySelector('.reading-finished-date').value = this.formatDateForInput(note.finishedDate);
+
+                this.applyFilters();
+            });
+        }
+
+        const ownershipSelect = modalBody.querySelector('.ownership-select');
+        if (ownershipSelect) {
+            ownershipSelect.addEventListener('change', async (e) => {
+                try {
+                    await this.saveOwnership(e.target.dataset.bookId, e.target.value);
+                } catch (error) {
+                    alert(`❌ 所有状況の保存に失敗しました: ${error.message}`);
+                }
+            });
+        }
+
+        this.tagManager.setupTagEditor(modalBody, book.bookId);
+        this.tagManager.setupTagLinks(modalBody);
+
+        modalBody.querySelectorAll('.reading-started-date, .reading-finished-date').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const field = e.target.classList.contains('reading-started-date') ? 'startedDate' : 'finishedDate';
+                this.saveReadingDate(e.target.dataset.bookId, field, e.target.value);
+            });
+        });
+
         const deleteBtn = modalBody.querySelector('.delete-btn');
         if (deleteBtn) {
             deleteBtn.addEventListener('click', (e) => {
@@ -1317,7 +1861,7 @@ class VirtualBookshelf {
             return;
         }
 
-        const progress = this.seriesManager.getSeriesProgress(series);
+        const progress = this.seriesManager.getSeriesProgress(series, book => this.getReadingStatus(book) === 'read');
 
         // シリーズモーダルオーバーレイを作成（既存があれば削除）
         let overlay = document.querySelector('.series-modal-overlay');
@@ -1333,7 +1877,8 @@ class VirtualBookshelf {
             const userNote = this.userData.notes[book.bookId];
             const hasNote = userNote && userNote.memo;
             const rating = userNote ? userNote.rating : 0;
-            const isRead = book.readStatus && book.readStatus.toLowerCase() === 'read';
+            const status = this.getReadingStatus(book);
+            const statusInfo = VirtualBookshelf.READING_STATUSES[status];
 
             return `
                 <div class="series-volume-item" data-book-id="${book.bookId}">
@@ -1346,6 +1891,7 @@ class VirtualBookshelf {
                         <div class="series-volume-title">${this.escapeHtml(book.title)}</div>
                     </div>
                     <div class="series-volume-icons">
+                        ${status !== 'none' ? `<span class="series-volume-icon" title="${statusInfo.label}">${statusInfo.icon}</span>` : ''}
                         ${hasNote ? '<span class="series-volume-icon" title="メモあり">📝</span>' : ''}
                         ${rating > 0 ? `<span class="series-volume-icon" title="${rating}つ星">${'★'.repeat(rating)}${'☆'.repeat(5 - rating)}</span>` : ''}
                     </div>
@@ -1355,7 +1901,7 @@ class VirtualBookshelf {
 
         // 本棚選択オプションを生成
         const bookshelfOptions = this.userData.bookshelves ?
-            this.userData.bookshelves.map(bs =>
+            this.userData.bookshelves.filter(bs => !SmartBookshelf.isSmart(bs)).map(bs =>
                 `<option value="${bs.id}">${bs.emoji || '📚'} ${bs.name}</option>`
             ).join('') : '';
 
@@ -1365,6 +1911,7 @@ class VirtualBookshelf {
                     <div>
                         <h2 class="series-modal-title">${this.escapeHtml(series.seriesName)}</h2>
                         <div class="series-modal-author">${this.escapeHtml(series.authors)}</div>
+                        <div class="series-modal-progress">✅ 読了 ${progress.read}/${progress.total}巻</div>
                     </div>
                     <button class="series-modal-close">&times;</button>
                 </div>
@@ -1588,63 +2135,266 @@ class VirtualBookshelf {
     }
 
     saveUserData() {
-        localStorage.setItem('virtualBookshelf_userData', JSON.stringify(this.userData));
+        return this.storage.save(StorageManager.KEYS.userData, this.userData).catch(error => {
+            console.error('保存エラー:', error);
+            alert('❌ データの保存に失敗しました: ' + error.message);
+        });
     }
 
-    // exportUserData function removed - replaced with exportUnifiedData
+    // ===== 保存先・同期 関連メソッド =====
 
-    autoSaveUserDataFile() {
-        // BookManagerから書籍データを取得
-        const bookManager = window.bookManager;
-        const books = {};
-        
-        // 書籍データを統合形式に変換
-        if (bookManager && bookManager.library && bookManager.library.books) {
-            bookManager.library.books.forEach(book => {
-                const asin = book.bookId;
-                books[asin] = {
-                    title: book.title,
-                    authors: book.authors,
-                    acquiredTime: book.acquiredTime,
-                    readStatus: book.readStatus,
-                    productImage: book.productImage,
-                    source: book.source,
-                    addedDate: book.addedDate,
-                    memo: this.userData.notes[asin]?.memo || '',
-                    rating: this.userData.notes[asin]?.rating || 0
-                };
-            });
+    /**
+     * 保存先を初期化（設定に誤りがある場合はLocalStorageに保存）
+     */
+    createStorage(defaults = {}) {
+        let storage;
+        try {
+            storage = StorageManager.create(StorageManager.loadConfig(defaults));
+        } catch (error) {
+            console.error('保存先の初期化エラー:', error);
+            alert(`⚠️ 保存先の設定に誤りがあるため、このブラウザ内に保存します\n\n${error.message}`);
+            storage = StorageManager.create();
         }
 
-        const backupData = {
-            exportDate: new Date().toISOString(),
-            books: books,
-            bookshelves: this.userData.bookshelves,
-            settings: this.userData.settings,
-            bookOrder: this.userData.bookOrder,
-            stats: {
-                totalBooks: Object.keys(books).length,
-                notesCount: Object.keys(this.userData.notes).length
-            },
-            version: '2.0'
-        };
-        
-        const blob = new Blob([JSON.stringify(backupData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = 'library.json';
-        a.style.display = 'none';
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        console.log('📁 library.jsonファイルを自動生成しました');
+        storage.onChange = (key, data) => this.applyStoredData(key, data);
+        storage.onConflict = (key, conflicts) => this.resolveStorageConflicts(key, conflicts);
+        storage.onError = (key, error) => this.notifyStorageError(error);
+        storage.onSave = () => this.history.schedule();
+        return storage;
     }
 
-    updateBookshelfSelector() {
-        const selector = document.getElementById('bookshelf-selector');
+    /**
+     * 書誌情報の取得元を初期化（設定に誤りがある場合は既定の取得元を使う）
+     */
+    createMetadataManager(config = {}) {
+        try {
+            return MetadataManager.create(config);
+        } catch (error) {
+            console.error('書誌情報の取得元の初期化エラー:', error);
+            return MetadataManager.create();
+        }
+    }
+
+    /**
+     * 現在のデータで保存先と同期
+     */
+    async syncStorage() {
+        await Promise.all([
+            this.storage.sync(StorageManager.KEYS.library, this.bookManager.library),
+            this.storage.sync(StorageManager.KEYS.userData, this.userData)
+        ]);
+    }
+
+    /**
+     * 他の端末で保存された変更を画面に反映
+     */
+    applyStoredData(key, data) {
+        if (key === StorageManager.KEYS.library) {
+            this.bookManager.library = this.bookManager.normalizeLibrary(data);
+        } else {
+            // StaticBookshelfGenerator なども同じオブジェクトを参照しているため中身を入れ替える
+            Object.keys(this.userData).forEach(field => delete this.userData[field]);
+            Object.assign(this.userData, data);
+        }
+
+        // 他の端末の変更は操作履歴に残さない
+        this.history.resync();
+        this.refreshLibraryView();
+    }
+
+    /**
+     * 他の端末と同じレコードを変更していた場合に、どちらを採用するか確認
+     * @returns {'local'|'remote'}
+     */
+    resolveStorageConflicts(key, conflicts) {
+        const formatTime = (timestamp) => timestamp ? new Date(timestamp).toLocaleString('ja-JP') : '不明';
+        const lines = conflicts.slice(0, 5).map(conflict =>
+            `• ${this.describeStorageRecord(conflict.recordId, conflict.local ?? conflict.remote)}\n` +
+            `   この端末: ${formatTime(conflict.localTimestamp)} / 他の端末: ${formatTime(conflict.remoteTimestamp)}`
+        );
+        if (conflicts.length > 5) {
+            lines.push(`…他 ${conflicts.length - 5}件`);
+        }
+
+        const message = `⚠️ 他の端末でも同じデータが変更されています（${conflicts.length}件）
+
+${lines.join('\n')}
+
+OK: この端末の変更を優先して保存
+キャンセル: 他の端末の変更を採用`;
+
+        return confirm(message) ? 'local' : 'remote';
+    }
+
+    /**
+     * 同期レコードの表示名
+     */
+    describeStorageRecord(recordId, value) {
+        const separator = recordId.indexOf('/');
+        const collection = separator === -1 ? recordId : recordId.slice(0, separator);
+        const id = recordId.slice(separator + 1);
+
+        switch (collection) {
+        case 'books':
+        case 'notes': {
+            const book = this.books.find(b => b.bookId === id);
+            const title = book?.title || value?.title || id;
+            return collection === 'notes' ? `📝 「${title}」のメモ・評価` : `📖 「${title}」`;
+        }
+        case 'bookshelves':
+            return `📚 本棚「${value?.name || id}」`;
+        case 'bookOrder':
+            return `🔀 並び順（${id}）`;
+        default:
+            return `⚙️ ${recordId}`;
+        }
+    }
+
+    /**
+     * 同期サーバーへの保存失敗を通知（同じセッションでは1回だけ）
+     */
+    notifyStorageError(error) {
+        if (this.storageErrorNotified) return;
+        this.storageErrorNotified = true;
+        alert(`⚠️ 同期サーバーと通信できませんでした\nこのブラウザには保存されているので、次回の保存時に再度同期します。\n\n${error.message}`);
+    }
+
+    /**
+     * 保存先・同期設定モーダルを表示
+     */
+    showStorageSettingsModal() {
+        const config = StorageManager.loadConfig();
+        document.getElementById('storage-type').value = config.type || 'localStorage';
+        document.getElementById('storage-url').value = config.url || '';
+        document.getElementById('storage-username').value = config.username || '';
+        document.getElementById('storage-password').value = config.password || '';
+        document.getElementById('storage-token').value = config.token || '';
+        this.updateStorageSettingsForm();
+
+        document.getElementById('storage-settings-modal').classList.add('show');
+    }
+
+    closeStorageSettingsModal() {
+        document.getElementById('storage-settings-modal').classList.remove('show');
+    }
+
+    updateStorageSettingsForm() {
+        const isRemote = document.getElementById('storage-type').value === 'remote';
+        document.getElementById('storage-remote-settings').style.display = isRemote ? 'block' : 'none';
+    }
+
+    /**
+     * フォームから保存先設定を取得
+     */
+    getStorageSettingsFromForm() {
+        const type = document.getElementById('storage-type').value;
+        if (type !== 'remote') {
+            return { type };
+        }
+
+        const config = {
+            type,
+            url: document.getElementById('storage-url').value.trim(),
+            username: document.getElementById('storage-username').value.trim(),
+            password: document.getElementById('storage-password').value,
+            token: document.getElementById('storage-token').value.trim()
+        };
+        if (!config.url) {
+            throw new Error('サーバーURLを入力してください');
+        }
+        return config;
+    }
+
+    /**
+     * 同期サーバーへの接続を確認
+     */
+    async testStorageConnection() {
+        try {
+            const config = this.getStorageSettingsFromForm();
+            if (config.type !== 'remote') {
+                alert('✅ このブラウザ内に保存します（接続テストは不要です）');
+                return;
+            }
+
+            const adapter = new RemoteStorageAdapter(config);
+            const envelope = await adapter.read(StorageManager.KEYS.library);
+            alert(envelope ?
+                `✅ 接続できました\n\n📚 サーバー上のデータ: ${envelope.data?.books?.length || 0}冊（${envelope.savedAt ? new Date(envelope.savedAt).toLocaleString('ja-JP') : '保存日時不明'}）` :
+                '✅ 接続できました\n\nサーバーにはまだデータがありません。保存するとこのブラウザのデータがアップロードされます。');
+        } catch (error) {
+            console.error('接続テストエラー:', error);
+            alert('❌ 接続できませんでした: ' + error.message);
+        }
+    }
+
+    /**
+     * 保存先設定を保存して再読み込み
+     */
+    saveStorageSettings() {
+        try {
+            const config = this.getStorageSettingsFromForm();
+            StorageManager.saveConfig(config);
+            // 新しい保存先で読み込み直す（同期サーバーの場合は現在のデータと統合される）
+            window.location.reload();
+        } catch (error) {
+            alert('❌ ' + error.message);
+        }
+    }
+
+    // exportUserData function removed - replaced with exportUnifiedData
+
+    autoSaveUserDataFile() {
+        // BookManagerから書籍データを取得
+        const bookManager = window.bookManager;
+        const books = {};
+        
+        // 書籍データを統合形式に変換
+        if (bookManager && bookManager.library && bookManager.library.books) {
+            bookManager.library.books.forEach(book => {
+                const asin = book.bookId;
+                books[asin] = {
+                    title: book.title,
+                    authors: book.authors,
+                    acquiredTime: book.acquiredTime,
+                    readStatus: book.readStatus,
+                    productImage: book.productImage,
+                    source: book.source,
+                    addedDate: book.addedDate,
+                    memo: this.userData.notes[asin]?.memo || '',
+                    rating: this.userData.notes[asin]?.rating || 0
+                };
+            });
+        }
+
+        const backupData = {
+            exportDate: new Date().toISOString(),
+            books: books,
+            bookshelves: this.userData.bookshelves,
+            settings: this.userData.settings,
+            bookOrder: this.userData.bookOrder,
+            stats: {
+                totalBooks: Object.keys(books).length,
+                notesCount: Object.keys(this.userData.notes).length
+            },
+            version: '2.0'
+        };
+        
+        const blob = new Blob([JSON.stringify(backupData, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'library.json';
+        a.style.display = 'none';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        
+        console.log('📁 library.jsonファイルを自動生成しました');
+    }
+
+    updateBookshelfSelector() {
+        const selector = document.getElementById('bookshelf-selector');
         if (!selector) return;
         
         selector.innerHTML = '<option value="all">📚 全ての本</option>';
@@ -1659,6 +2409,30 @@ class VirtualBookshelf {
         }
     }
 
+    /**
+     * 本棚の本のbookId（スマート本棚は条件に一致する本を蔵書から集める）
+     * @returns {string[]}
+     */
+    getBookshelfBookIds(bookshelf) {
+        if (SmartBookshelf.isSmart(bookshelf)) {
+            return SmartBookshelf.filterBooks(bookshelf.rules, this.books, this.getSmartBookshelfContext())
+                .map(book => book.bookId);
+        }
+        return bookshelf.books || [];
+    }
+
+    /**
+     * スマート本棚の条件の判定に使うデータ
+     * @returns {SmartContext}
+     */
+    getSmartBookshelfContext() {
+        return {
+            notes: this.userData.notes,
+            highlightBookIds: this.highlightBookIds,
+            getReadingStatus: (book) => this.getReadingStatus(book)
+        };
+    }
+
     switchBookshelf(bookshelfId) {
         this.currentBookshelf = bookshelfId;
         this.updateStaticPageButton(bookshelfId);
@@ -1684,9 +2458,10 @@ class VirtualBookshelf {
 
         let html = '';
         this.userData.bookshelves.forEach(bookshelf => {
-            const bookCount = bookshelf.books ? bookshelf.books.length : 0;
+            const bookCount = this.getBookshelfBookIds(bookshelf).length;
             const isPublic = bookshelf.isPublic || false;
             const publicBadge = isPublic ? '<span class="public-badge">📤 公開中</span>' : '';
+            const smartBadge = SmartBookshelf.isSmart(bookshelf) ? '<span class="smart-badge">🪄 スマート</span>' : '';
 
 
 
@@ -1694,8 +2469,9 @@ class VirtualBookshelf {
                 <div class="bookshelf-item" data-id="${bookshelf.id}" draggable="true">
                     <div class="bookshelf-drag-handle">⋮⋮</div>
                     <div class="bookshelf-info">
-                        <h4>${bookshelf.emoji || '📚'} ${bookshelf.name} ${publicBadge}</h4>
+                        <h4>${bookshelf.emoji || '📚'} ${bookshelf.name} ${smartBadge} ${publicBadge}</h4>
                         <p>${bookshelf.description || ''}</p>
+                        ${SmartBookshelf.isSmart(bookshelf) ? `<p class="smart-rules-description">🪄 ${this.escapeHtml(SmartBookshelf.describe(bookshelf.rules, VirtualBookshelf.READING_STATUSES))}</p>` : ''}
                         <span class="book-count">${bookCount}冊</span>
 
                     </div>
@@ -1740,6 +2516,7 @@ class VirtualBookshelf {
         const emojiInput = document.getElementById('bookshelf-emoji');
         const descriptionInput = document.getElementById('bookshelf-description');
         const isPublicInput = document.getElementById('bookshelf-is-public');
+        const isSmartInput = document.getElementById('bookshelf-is-smart');
 
         // Set form title and populate fields for editing
         if (bookshelfToEdit) {
@@ -1755,6 +2532,13 @@ class VirtualBookshelf {
             descriptionInput.value = '';
             isPublicInput.checked = false;
         }
+
+        // スマート本棚の条件
+        isSmartInput.checked = SmartBookshelf.isSmart(bookshelfToEdit);
+        this.renderSmartRulesEditor(bookshelfToEdit?.rules || {
+            match: 'all',
+            conditions: [this.createSmartCondition('rating')]
+        });
         
         // Store current editing bookshelf
         this.currentEditingBookshelf = bookshelfToEdit;
@@ -1774,6 +2558,7 @@ class VirtualBookshelf {
         const emojiInput = document.getElementById('bookshelf-emoji');
         const descriptionInput = document.getElementById('bookshelf-description');
         const isPublicInput = document.getElementById('bookshelf-is-public');
+        const isSmart = document.getElementById('bookshelf-is-smart').checked;
 
         const name = nameInput.value.trim();
         if (!name) {
@@ -1782,6 +2567,13 @@ class VirtualBookshelf {
             return;
         }
 
+        const rules = isSmart ? this.readSmartRulesForm() : null;
+        const ruleErrors = rules ? SmartBookshelf.validate(rules) : [];
+        if (ruleErrors.length > 0) {
+            alert(`❌ スマート本棚の条件を確認してください:\n${ruleErrors.join('\n')}`);
+            return;
+        }
+
         if (this.currentEditingBookshelf) {
             // Edit existing bookshelf
             this.currentEditingBookshelf.name = name;
@@ -1789,6 +2581,12 @@ class VirtualBookshelf {
             this.currentEditingBookshelf.description = descriptionInput.value.trim();
             this.currentEditingBookshelf.isPublic = isPublicInput.checked;
             this.currentEditingBookshelf.lastUpdated = new Date().toISOString();
+            // 手で追加した本（books）は、スマート本棚をやめたときのために残す
+            if (rules) {
+                this.currentEditingBookshelf.rules = rules;
+            } else {
+                delete this.currentEditingBookshelf.rules;
+            }
         } else {
             // Create new bookshelf
             const newBookshelf = {
@@ -1798,6 +2596,7 @@ class VirtualBookshelf {
                 description: descriptionInput.value.trim(),
                 isPublic: isPublicInput.checked,
                 books: [],
+                ...(rules && { rules }),
                 createdAt: new Date().toISOString()
             };
             this.userData.bookshelves.push(newBookshelf);
@@ -1806,9 +2605,146 @@ class VirtualBookshelf {
         this.saveUserData();
         this.updateBookshelfSelector();
         this.renderBookshelfList();
+        this.renderBookshelfOverview();
+        this.applyFilters();
         this.closeBookshelfForm();
     }
 
+    /**
+     * スマート本棚の条件（項目を変えたときの初期値）
+     * @returns {SmartCondition}
+     */
+    createSmartCondition(field) {
+        const defaults = {
+            rating: 4,
+            acquiredYear: new Date().getFullYear(),
+            readingStatus: 'read'
+        };
+        return { field, operator: SmartBookshelf.FIELDS[field].operators[0], value: defaults[field] ?? '' };
+    }
+
+    /**
+     * スマート本棚の条件の入力欄を表示
+     * @param {SmartRules} rules
+     */
+    renderSmartRulesEditor(rules) {
+        const container = document.getElementById('bookshelf-rules');
+        const isSmart = document.getElementById('bookshelf-is-smart').checked;
+        container.style.display = isSmart ? '' : 'none';
+
+        const renderValue = ({ field, value }) => {
+            const type = SmartBookshelf.FIELDS[field].type;
+            if (type === 'none') return '';
+            if (type === 'status') {
+                return `<select class="smart-value">${Object.entries(VirtualBookshelf.READING_STATUSES).map(([status, info]) =>
+                    `<option value="${status}" ${status === value ? 'selected' : ''}>${info.icon} ${info.label}</option>`).join('')}</select>`;
+            }
+            return `<input type="${type === 'number' ? 'number' : 'text'}" class="smart-value" value="${this.escapeHtml(value ?? '')}" ${field === 'tag' ? 'list="tag-suggestions"' : ''}>`;
+        };
+
+        container.innerHTML = `
+            <select class="smart-match">
+                ${Object.entries(SmartBookshelf.MATCH_MODES).map(([match, label]) =>
+                    `<option value="${match}" ${match === rules.match ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+            <div class="smart-conditions">
+                ${rules.conditions.map((condition, index) => `
+                    <div class="smart-condition" data-index="${index}">
+                        <select class="smart-field">
+                            ${Object.entries(SmartBookshelf.FIELDS).map(([field, info]) =>
+                                `<option value="${field}" ${field === condition.field ? 'selected' : ''}>${info.label}</option>`).join('')}
+                        </select>
+                        ${renderValue(condition)}
+                        <select class="smart-operator">
+                            ${SmartBookshelf.FIELDS[condition.field].operators.map(operator =>
+                                `<option value="${operator}" ${operator === condition.operator ? 'selected' : ''}>${SmartBookshelf.OPERATORS[operator]}</option>`).join('')}
+                        </select>
+                        <button type="button" class="btn btn-small btn-secondary smart-remove" title="条件を削除">✕</button>
+                    </div>
+                `).join('')}
+            </div>
+            <button type="button" class="btn btn-small btn-secondary smart-add">＋ 条件を追加</button>
+            <div class="smart-preview"></div>
+        `;
+
+        this.updateSmartRulesPreview();
+    }
+
+    /**
+     * 入力中のスマート本棚の条件
+     * @returns {SmartRules}
+     */
+    readSmartRulesForm() {
+        const container = document.getElementById('bookshelf-rules');
+        return {
+            match: container.querySelector('.smart-match')?.value || 'all',
+            conditions: Array.from(container.querySelectorAll('.smart-condition')).map(row => {
+                const field = row.querySelector('.smart-field').value;
+                const value = row.querySelector('.smart-value')?.value.trim() ?? '';
+                return {
+                    field,
+                    operator: row.querySelector('.smart-operator').value,
+                    ...(SmartBookshelf.FIELDS[field].type !== 'none' && {
+                        value: SmartBookshelf.FIELDS[field].type === 'number' && value !== '' ? Number(value) : value
+                    })
+                };
+            })
+        };
+    }
+
+    /**
+     * 入力中の条件に一致する冊数（誤りがあれば内容）を表示
+     */
+    updateSmartRulesPreview() {
+        const preview = document.querySelector('#bookshelf-rules .smart-preview');
+        if (!preview) return;
+
+        const rules = this.readSmartRulesForm();
+        const errors = SmartBookshelf.validate(rules);
+        preview.classList.toggle('error', errors.length > 0);
+        preview.textContent = errors.length > 0 ?
+            `⚠️ ${errors.join(' / ')}` :
+            `📚 条件に一致する本: ${SmartBookshelf.filterBooks(rules, this.books, this.getSmartBookshelfContext()).length}冊`;
+    }
+
+    /**
+     * スマート本棚の条件の入力欄のイベント（項目の変更・条件の追加と削除）
+     */
+    setupSmartRulesListeners() {
+        const isSmartInput = document.getElementById('bookshelf-is-smart');
+        const container = document.getElementById('bookshelf-rules');
+        if (!isSmartInput || !container) return;
+
+        isSmartInput.addEventListener('change', () => {
+            container.style.display = isSmartInput.checked ? '' : 'none';
+            this.updateSmartRulesPreview();
+        });
+
+        container.addEventListener('change', (e) => {
+            if (e.target.classList.contains('smart-field')) {
+                const rules = this.readSmartRulesForm();
+                const index = Number(e.target.closest('.smart-condition').dataset.index);
+                rules.conditions[index] = this.createSmartCondition(e.target.value);
+                this.renderSmartRulesEditor(rules);
+                return;
+            }
+            this.updateSmartRulesPreview();
+        });
+        container.addEventListener('input', () => this.updateSmartRulesPreview());
+
+        container.addEventListener('click', (e) => {
+            if (e.target.classList.contains('smart-add')) {
+                const rules = this.readSmartRulesForm();
+                rules.conditions.push(this.createSmartCondition('rating'));
+                this.renderSmartRulesEditor(rules);
+            } else if (e.target.classList.contains('smart-remove')) {
+                const rules = this.readSmartRulesForm();
+                rules.conditions.splice(Number(e.target.closest('.smart-condition').dataset.index), 1);
+                this.renderSmartRulesEditor(rules);
+            }
+        });
+    }
+
     editBookshelf(bookshelfId) {
         const bookshelf = this.userData.bookshelves.find(b => b.id === bookshelfId);
         if (!bookshelf) return;
@@ -1820,7 +2756,7 @@ class VirtualBookshelf {
         const bookshelf = this.userData.bookshelves.find(b => b.id === bookshelfId);
         if (!bookshelf) return;
 
-        if (confirm(`📚 本棚「${bookshelf.name}」を削除しますか？\n\n⚠️ この操作は取り消せません。`)) {
+        if (confirm(`📚 本棚「${bookshelf.name}」を削除しますか？\n\n↩️ 削除後も「元に戻す」（Ctrl+Z）で復元できます。`)) {
             this.userData.bookshelves = this.userData.bookshelves.filter(b => b.id !== bookshelfId);
             this.saveUserData();
             this.updateBookshelfSelector();
@@ -2033,8 +2969,8 @@ class VirtualBookshelf {
 
         const confirmMessage = `🗑️ 書籍「${book.title}」を完全削除しますか？
 
-⚠️ この操作は取り消せません。
-📝 お気に入り、メモ、本棚からも削除されます。`;
+📝 お気に入り、メモ、本棚からも削除されます。
+↩️ 削除後も「元に戻す」（Ctrl+Z）で復元できます。`;
 
         if (!confirm(confirmMessage)) {
             return;
@@ -2078,26 +3014,33 @@ class VirtualBookshelf {
 
 
     showBookSelectionForImport(books, source) {
-        this.pendingImportBooks = books;
         this.importSource = source;
+        // Kindleエクスポートは既存の本の変更点も確認してから取り込む
+        this.pendingImportPlan = this.bookManager.planImport(books, { updateExisting: source === 'file' });
+        // 以前Kindleからインポートし、今回のエクスポートに含まれない本
+        this.pendingRemovedBooks = source === 'file' ? this.bookManager.findRemovedBooks(this.pendingImportPlan) : [];
 
-        // インポートオプションを非表示にして選択UIを表示
+        // インポートオプション・列の対応付けを非表示にして選択UIを表示
         document.querySelector('.import-options').style.display = 'none';
+        document.getElementById('import-mapping').style.display = 'none';
+        document.getElementById('import-results').style.display = 'none';
         const selectionDiv = document.getElementById('book-selection');
         selectionDiv.style.display = 'block';
 
-        // 既存の本を取得（重複チェック用）
-        const existingBookIds = new Set(this.bookManager.getAllBooks().map(book => book.bookId));
-
         // 本のリストを生成（フィルター機能付き）
-        this.renderBookList(books, existingBookIds);
+        this.renderBookList(this.pendingImportPlan);
+        this.renderRemovedBooks(this.pendingRemovedBooks);
 
         // イベントリスナーを追加
         this.setupBookSelectionListeners();
         this.updateSelectedCount();
     }
 
-    renderBookList(books, existingBookIds) {
+    /**
+     * インポートする本の一覧（新しい本は本ごと、既存の本の変更は項目ごとに選択）
+     * @param {ImportPlanEntry[]} plan
+     */
+    renderBookList(plan) {
         const bookList = document.getElementById('book-list');
         bookList.innerHTML = '';
 
@@ -2105,34 +3048,124 @@ class VirtualBookshelf {
         const hideExisting = document.getElementById('hide-existing-books').checked;
 
         let visibleCount = 0;
-        books.forEach((book, index) => {
-            const isExisting = existingBookIds.has(book.bookId);
+        plan.forEach((entry, index) => {
+            const { book, status } = entry;
+            const isExisting = status !== 'add';
 
-            // フィルター適用: インポート済みを非表示にする場合はスキップ
-            if (hideExisting && isExisting) {
+            // フィルター適用: インポート済みを非表示にする場合はスキップ（変更がある本は表示）
+            if (hideExisting && isExisting && status !== 'update') {
                 return;
             }
 
             visibleCount++;
             const bookItem = document.createElement('div');
-            bookItem.className = `book-selection-item ${isExisting ? 'existing-book' : ''}`;
+            bookItem.className = `book-selection-item ${isExisting ? 'existing-book' : ''} ${status === 'update' ? 'has-changes' : ''}`;
             bookItem.dataset.bookIndex = index;
+            const label = { update: '(変更あり)', unchanged: '(既にインポート済み)', duplicate: '(ファイル内で重複)' }[status] || '';
             bookItem.innerHTML = `
-                <input type="checkbox" id="book-${index}" value="${index}" ${isExisting ? 'disabled' : ''}>
+                <input type="checkbox" class="import-book" id="book-${index}" value="${index}" ${isExisting ? 'disabled' : ''}>
                 <div class="book-selection-info">
-                    <div class="book-selection-title">${book.title} ${isExisting ? '(既にインポート済み)' : ''}</div>
-                    <div class="book-selection-author">${book.authors}</div>
-                    <div class="book-selection-meta">${new Date(book.acquiredTime).toLocaleDateString('ja-JP')}</div>
+                    <div class="book-selection-title">${this.escapeHtml(book.title || '')} ${label}</div>
+                    <div class="book-selection-author">${this.escapeHtml(book.authors || '')}</div>
+                    <div class="book-selection-meta">${new Date(book.acquiredTime).toLocaleDateString('ja-JP')}${this.formatImportData(book.importData)}</div>
+                    ${status === 'update' ? `
+                        <div class="book-selection-changes">
+                            ${entry.changes.map(change => `
+                                <label class="book-selection-change">
+                                    <input type="checkbox" class="import-change" data-index="${index}" data-field="${change.field}" checked>
+                                    ${this.renderImportChange(change)}
+                                </label>
+                            `).join('')}
+                        </div>
+                    ` : ''}
                 </div>
             `;
             bookList.appendChild(bookItem);
         });
 
         // 表示件数を更新
-        this.updateBookListStats(books.length, visibleCount, existingBookIds.size);
+        this.updateBookListStats(plan, visibleCount);
+    }
+
+    /**
+     * Kindleのエクスポートに含まれない本と、本ごとの処理（既定は「そのまま」）
+     */
+    renderRemovedBooks(removedBooks) {
+        const container = document.getElementById('removed-books');
+        if (removedBooks.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const actionOptions = (selected) => Object.entries(BookManager.REMOVAL_ACTIONS).map(([value, label]) =>
+            `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`
+        ).join('');
+
+        container.innerHTML = `
+            <h4>📤 Kindleのエクスポートに含まれない本: ${removedBooks.length}冊</h4>
+            <p class="removed-books-note">返却・Kindle Unlimitedの期限切れ・削除などで、以前インポートした本がエクスポートに含まれていません。メモ・評価はどの処理でも残ります。</p>
+            <div class="removed-books-controls">
+                <label>まとめて変更:
+                    <select class="removal-action-all">
+                        <option value="">選択...</option>
+                        ${actionOptions('')}
+                    </select>
+                </label>
+            </div>
+            <div class="removed-book-list">
+                ${removedBooks.map(book => `
+                    <div class="removed-book-item">
+                        <div class="book-selection-info">
+                            <div class="book-selection-title">${this.escapeHtml(book.title || '')}</div>
+                            <div class="book-selection-author">${this.escapeHtml(book.authors || '')}</div>
+                        </div>
+                        <select class="removal-action" data-book-id="${this.escapeHtml(book.bookId)}">
+                            ${actionOptions('keep')}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+        container.style.display = 'block';
+    }
+
+    /**
+     * 項目ごとの変更（変更前 → 変更後）
+     * @param {ImportChange} change
+     */
+    renderImportChange(change) {
+        const format = (value) => this.escapeHtml(this.bookManager.formatImportValue(change.field, value));
+        return `
+            <span class="import-change-field">${BookManager.IMPORT_FIELDS[change.field]}</span>
+            <span class="import-change-value"><del>${format(change.before)}</del> → <ins>${format(change.after)}</ins></span>
+        `;
+    }
+
+    /**
+     * CSVインポートの評価・読書ステータス・本棚を選択画面用に表示
+     */
+    formatImportData(importData) {
+        if (!importData) return '';
+
+        const parts = [];
+        if (importData.rating) {
+            parts.push('⭐'.repeat(importData.rating));
+        }
+        if (importData.readingStatus) {
+            const { icon, label } = VirtualBookshelf.READING_STATUSES[importData.readingStatus];
+            parts.push(`${icon} ${label}`);
+        }
+        if (importData.memo) {
+            parts.push('📝 感想あり');
+        }
+        if (importData.shelves && importData.shelves.length > 0) {
+            parts.push(`📚 ${importData.shelves.map(shelf => this.escapeHtml(shelf)).join(', ')}`);
+        }
+        return parts.length > 0 ? ` ・ ${parts.join(' ・ ')}` : '';
     }
 
-    updateBookListStats(totalBooks, visibleBooks, existingBooks) {
+    updateBookListStats(plan, visibleBooks) {
         // 統計情報を表示する要素を追加/更新
         let statsElement = document.getElementById('book-list-stats');
         if (!statsElement) {
@@ -2142,17 +3175,21 @@ class VirtualBookshelf {
             document.getElementById('book-list').parentNode.insertBefore(statsElement, document.getElementById('book-list'));
         }
 
-        const newBooks = totalBooks - existingBooks;
+        const newBooks = plan.filter(entry => entry.status === 'add').length;
+        const updatedBooks = plan.filter(entry => entry.status === 'update').length;
         statsElement.innerHTML = `
-            📊 総数: ${totalBooks}冊 | 新規: ${newBooks}冊 | インポート済み: ${existingBooks}冊 | 表示中: ${visibleBooks}冊
+            📊 総数: ${plan.length}冊 | 新規: ${newBooks}冊 | 変更あり: ${updatedBooks}冊 | インポート済み: ${plan.length - newBooks - updatedBooks}冊 | 表示中: ${visibleBooks}冊
         `;
     }
     
     setupBookSelectionListeners() {
+        // 2回目以降のインポートで重複して登録しない
+        if (this.bookSelectionListenersReady) return;
+        this.bookSelectionListenersReady = true;
+
         // フィルター変更時にリストを再描画
         document.getElementById('hide-existing-books').addEventListener('change', () => {
-            const existingBookIds = new Set(this.bookManager.getAllBooks().map(book => book.bookId));
-            this.renderBookList(this.pendingImportBooks, existingBookIds);
+            this.renderBookList(this.pendingImportPlan);
             this.updateSelectedCount();
         });
 
@@ -2175,6 +3212,16 @@ class VirtualBookshelf {
             this.updateSelectedCount();
         });
 
+        // エクスポートに含まれない本の処理を変更（まとめて変更は全ての本に反映）
+        document.getElementById('removed-books').addEventListener('change', (e) => {
+            if (e.target.classList.contains('removal-action-all') && e.target.value) {
+                document.querySelectorAll('#removed-books .removal-action').forEach(select => {
+                    select.value = e.target.value;
+                });
+            }
+            this.updateSelectedCount();
+        });
+
         // 選択した本をインポート
         document.getElementById('import-selected-books').addEventListener('click', () => {
             this.importSelectedBooks();
@@ -2187,35 +3234,77 @@ class VirtualBookshelf {
     }
     
     updateSelectedCount() {
-        const checkboxes = document.querySelectorAll('#book-list input[type="checkbox"]:checked');
-        const count = checkboxes.length;
-        document.getElementById('selected-count').textContent = count;
+        const count = document.querySelectorAll('#book-list .import-book:checked').length;
+        const changeCount = document.querySelectorAll('#book-list .import-change:checked').length;
+        const removalCount = this.getSelectedRemovals().length;
+        document.getElementById('selected-count').textContent = [
+            `${count}冊`,
+            ...(changeCount > 0 ? [`変更 ${changeCount}項目`] : []),
+            ...(removalCount > 0 ? [`含まれない本 ${removalCount}冊`] : [])
+        ].join('・');
         
         const importButton = document.getElementById('import-selected-books');
-        importButton.disabled = count === 0;
+        importButton.disabled = count === 0 && changeCount === 0 && removalCount === 0;
     }
-    
+
+    /**
+     * エクスポートに含まれない本のうち「そのまま」以外を選んだ本
+     * @returns {ImportRemoval[]}
+     */
+    getSelectedRemovals() {
+        return Array.from(document.querySelectorAll('#removed-books .removal-action'))
+            .filter(select => select.value !== 'keep')
+            .map(select => ({ bookId: select.dataset.bookId, action: select.value }));
+    }
+
+    /**
+     * 選択した本の追加と、選択した項目の変更を適用
+     */
     async importSelectedBooks() {
-        const checkboxes = document.querySelectorAll('#book-list input[type="checkbox"]:checked');
-        const selectedIndices = Array.from(checkboxes).map(cb => parseInt(cb.value));
-        const selectedBooks = selectedIndices.map(index => this.pendingImportBooks[index]);
+        const selectedIndices = new Set(Array.from(document.querySelectorAll('#book-list .import-book:checked'))
+            .map(cb => parseInt(cb.value)));
+        const selectedChanges = new Set(Array.from(document.querySelectorAll('#book-list .import-change:checked'))
+            .map(cb => `${cb.dataset.index}/${cb.dataset.field}`));
+
+        const plan = this.pendingImportPlan
+            .map((entry, index) => {
+                if (entry.status === 'add') {
+                    return selectedIndices.has(index) ? entry : null;
+                }
+                const changes = entry.changes.filter(change => selectedChanges.has(`${index}/${change.field}`));
+                return changes.length > 0 ? { ...entry, changes } : null;
+            })
+            .filter(Boolean);
+        const removals = this.getSelectedRemovals();
         
-        if (selectedBooks.length === 0) {
+        if (plan.length === 0 && removals.length === 0) {
             alert('📚 インポートする本を選択してください');
             return;
         }
+
+        const deleteCount = removals.filter(removal => removal.action === 'delete').length;
+        if (deleteCount > 0 && !confirm(`🗑️ エクスポートに含まれない本を${deleteCount}冊削除しますか？\n\n📝 メモ・評価は残り、同じ本を再度インポートすると元に戻ります。\n↩️ スナップショットから復元することもできます。`)) {
+            return;
+        }
         
         try {
-            const results = await this.bookManager.importSelectedBooks(selectedBooks);
+            await this.snapshotManager.takeSnapshot('before-import');
+            const selectedBooks = plan.filter(entry => entry.status === 'add').map(entry => entry.book);
+            const results = await this.bookManager.applyImport(plan, {
+                source: CsvImporter.FORMATS[this.importSource]?.source ||
+                    (this.importSource === 'mapping' ? ImportMapper.SOURCE : 'kindle_import'),
+                removals
+            });
+            this.applyImportData(selectedBooks, results.imported);
             this.showImportResults(results);
             
             // 表示を更新
-            this.books = this.bookManager.getAllBooks();
-            this.applyFilters();
-            this.updateStats();
+            this.refreshLibraryView();
             
             // 選択UIを非表示
             document.getElementById('book-selection').style.display = 'none';
+            this.pendingImportPlan = null;
+            this.pendingRemovedBooks = null;
             
         } catch (error) {
             console.error('選択インポートエラー:', error);
@@ -2223,19 +3312,67 @@ class VirtualBookshelf {
         }
     }
     
+    /**
+     * CSVインポートの評価・感想・読書ステータス・読了日・本棚をユーザーデータに反映
+     * 本棚は同じ名前の本棚があれば追加し、なければ作成する
+     */
+    applyImportData(selectedBooks, importedBooks) {
+        const importedBookIds = new Set(importedBooks.map(book => book.bookId));
+        const booksWithData = selectedBooks.filter(book => book.importData && importedBookIds.has(book.bookId));
+        if (booksWithData.length === 0) return;
+
+        booksWithData.forEach(book => {
+            const { rating, memo, readingStatus, finishedDate, shelves } = book.importData;
+
+            if (rating || memo || readingStatus || finishedDate) {
+                this.userData.notes[book.bookId] = {
+                    memo: memo || '',
+                    rating: rating || 0,
+                    ...(readingStatus && { readingStatus }),
+                    ...(finishedDate && { finishedDate })
+                };
+            }
+
+            (shelves || []).forEach(name => {
+                let bookshelf = this.userData.bookshelves.find(b => b.name === name && !SmartBookshelf.isSmart(b));
+                if (!bookshelf) {
+                    bookshelf = {
+                        id: `bookshelf_${Date.now()}_${this.userData.bookshelves.length}`,
+                        name: name,
+                        emoji: '📚',
+                        description: `${CsvImporter.FORMATS[this.importSource]?.label || 'CSV'}からインポート`,
+                        isPublic: false,
+                        books: [],
+                        createdAt: new Date().toISOString()
+                    };
+                    this.userData.bookshelves.push(bookshelf);
+                }
+                if (!bookshelf.books.includes(book.bookId)) {
+                    bookshelf.books.push(book.bookId);
+                }
+            });
+        });
+
+        this.saveUserData();
+    }
+
     cancelImport() {
-        // 選択UIを非表示にしてインポートオプションを表示
+        // 選択UI・列の対応付けを非表示にしてインポートオプションを表示
         document.getElementById('book-selection').style.display = 'none';
+        document.getElementById('import-mapping').style.display = 'none';
         document.querySelector('.import-options').style.display = 'block';
         
         // 一時データをクリア
-        this.pendingImportBooks = null;
+        this.pendingImportPlan = null;
+        this.pendingMapping = null;
+        this.pendingRemovedBooks = null;
         this.importSource = null;
     }
 
     async saveBookChanges(asin) {
         const titleInput = document.querySelector(`.edit-title[data-book-id="${asin}"]`);
         const authorsInput = document.querySelector(`.edit-authors[data-book-id="${asin}"]`);
+        const yomiInput = document.querySelector(`.edit-yomi[data-book-id="${asin}"]`);
         const acquiredTimeInput = document.querySelector(`.edit-acquired-time[data-book-id="${asin}"]`);
         const originalAsinInput = document.querySelector(`.edit-original-asin[data-book-id="${asin}"]`);
         const updatedAsinInput = document.querySelector(`.edit-updated-asin[data-book-id="${asin}"]`);
@@ -2243,31 +3380,31 @@ class VirtualBookshelf {
         const newTitle = titleInput.value.trim();
         const newAuthors = authorsInput.value.trim();
         const newAcquiredTime = acquiredTimeInput.value;
-        const newOriginalAsin = originalAsinInput.value.trim();
-        const newUpdatedAsin = updatedAsinInput.value.trim();
+        const newOriginalAsin = this.normalizeProductCode(originalAsinInput.value);
+        const newUpdatedAsin = this.normalizeProductCode(updatedAsinInput.value);
 
         if (!newTitle) {
             alert('📖 タイトルは必須です');
             return;
         }
 
-        // オリジナル商品コードの妥当性チェック
-        if (!newOriginalAsin || !this.bookManager.isValidASIN(newOriginalAsin)) {
-            alert('🔖 オリジナル商品コードは10桁の英数字で入力してください（例: B07ABC1234 または 4798121967）');
+        // オリジナル商品コードの妥当性チェック（Google BooksのボリュームIDは変更しない限りそのまま）
+        if (!newOriginalAsin || (newOriginalAsin !== asin && !this.bookManager.isValidProductCode(newOriginalAsin))) {
+            alert('🔖 オリジナル商品コードはASIN（10桁の英数字）またはISBN-10/13で入力してください（例: B07ABC1234、4798121967、9784798121963）');
             return;
         }
 
         // 変更後商品コードの妥当性チェック
-        if (newUpdatedAsin && !this.bookManager.isValidASIN(newUpdatedAsin)) {
-            alert('🔗 変更後商品コードは10桁の英数字で入力してください（例: B07ABC1234 または 4798121967）');
+        if (newUpdatedAsin && !this.bookManager.isValidProductCode(newUpdatedAsin)) {
+            alert('🔗 変更後商品コードはASIN（10桁の英数字）またはISBN-10/13で入力してください（例: B07ABC1234、4798121967、9784798121963）');
             return;
         }
 
-        // オリジナル商品コードが変更された場合の重複チェック
+        // オリジナル商品コードが変更された場合の重複チェック（ISBN-10とISBN-13の違いも同じ本とみなす）
         if (newOriginalAsin !== asin) {
-            const existingBook = this.books.find(book => book.bookId === newOriginalAsin);
+            const existingBook = this.bookManager.findDuplicateBook({ bookId: newOriginalAsin }, asin);
             if (existingBook) {
-                alert('🔖 この商品コードは既に使用されています');
+                alert(`🔖 この商品コードは既に使用されています: ${existingBook.title}`);
                 return;
             }
         }
@@ -2275,12 +3412,19 @@ class VirtualBookshelf {
         try {
             const updateData = {
                 title: newTitle,
-                authors: newAuthors || '著者未設定'
+                authors: newAuthors || '著者未設定',
+                // 空欄の場合はプロパティを削除
+                yomi: yomiInput.value.trim() || undefined
             };
 
             // オリジナルbookIdが変更された場合
             if (newOriginalAsin !== asin) {
                 updateData.bookId = newOriginalAsin;
+                // ISBNの本に変更した場合はISBNも更新
+                const isbn = this.bookManager.toIsbn13(newOriginalAsin);
+                if (isbn) {
+                    updateData.isbn = isbn;
+                }
             }
 
             // 購入日が変更されている場合は更新
@@ -2292,12 +3436,15 @@ class VirtualBookshelf {
             if (newUpdatedAsin) {
                 updateData.updatedBookId = newUpdatedAsin;
                 // 新しいbookIdで画像URLも更新
-                updateData.productImage = `https://images-na.ssl-images-amazon.com/images/P/${newUpdatedAsin}.01.L.jpg`;
+                updateData.productImage = `https://images-na.ssl-images-amazon.com/images/P/${this.bookManager.getAmazonId(newUpdatedAsin)}.01.L.jpg`;
             } else {
                 // 変更後bookIdが削除された場合、プロパティを削除
                 updateData.updatedBookId = undefined;
                 // 元のASIN（変更された可能性がある）で画像URLを復元
-                updateData.productImage = `https://images-na.ssl-images-amazon.com/images/P/${newOriginalAsin}.01.L.jpg`;
+                const amazonId = this.bookManager.getAmazonId(newOriginalAsin);
+                if (amazonId) {
+                    updateData.productImage = `https://images-na.ssl-images-amazon.com/images/P/${amazonId}.01.L.jpg`;
+                }
             }
 
             const success = await this.bookManager.updateBook(asin, updateData);
@@ -2418,9 +3565,68 @@ class VirtualBookshelf {
      */
     showImportModal() {
         const modal = document.getElementById('import-modal');
+        if (!this.pendingImportPlan && !this.pendingMapping) {
+            document.querySelector('.import-options').style.display = 'block';
+        }
+        this.renderImportLog();
         modal.classList.add('show');
     }
 
+    /**
+     * 過去のインポートで追加・変更した内容
+     */
+    renderImportLog() {
+        const container = document.getElementById('import-log');
+        const importLog = this.bookManager.getImportLog();
+        if (importLog.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+
+        container.innerHTML = `
+            <summary>📜 インポート記録（直近${importLog.length}件）</summary>
+            ${importLog.map(record => `
+                <details class="import-log-entry">
+                    <summary>${new Date(record.date).toLocaleString('ja-JP')} ・ ${this.escapeHtml(this.getImportSourceLabel(record.source))} ・ 追加 ${record.added.length}冊 / 更新 ${record.updated.length}冊${record.removed?.length ? ` / 含まれない本 ${record.removed.length}冊` : ''}</summary>
+                    ${this.renderImportRecord(record)}
+                </details>
+            `).join('')}
+        `;
+        container.style.display = 'block';
+    }
+
+    getImportSourceLabel(source) {
+        if (source === ImportMapper.SOURCE) {
+            return 'その他の形式（列の対応付け）';
+        }
+        const format = Object.values(CsvImporter.FORMATS).find(item => item.source === source);
+        return format ? format.label : 'Kindle';
+    }
+
+    /**
+     * インポート記録の内容（更新した本は項目ごとの変更、追加した本はタイトル、エクスポートに含まれない本は処理内容）
+     * @param {ImportRecord} record
+     */
+    renderImportRecord(record) {
+        const addedTitles = record.added.map(bookId => this.bookManager.findBookById(bookId)?.title || bookId);
+        return `
+            <ul class="import-record">
+                ${record.updated.map(item => `
+                    <li>
+                        ✏️ ${this.escapeHtml(item.title || item.bookId)}
+                        <ul>
+                            ${item.changes.map(change => `<li>${this.renderImportChange(change)}</li>`).join('')}
+                        </ul>
+                    </li>
+                `).join('')}
+                ${addedTitles.map(title => `<li>➕ ${this.escapeHtml(title)}</li>`).join('')}
+                ${(record.removed || []).map(item => `
+                    <li>📤 ${this.escapeHtml(item.title || item.bookId)}: ${BookManager.REMOVAL_ACTIONS[item.action] || item.action}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
     /**
      * Kindleインポートモーダルを閉じる
      */
@@ -2434,7 +3640,7 @@ class VirtualBookshelf {
     }
 
     /**
-     * ファイルからKindleデータをインポート
+     * ファイルからインポート（Kindle Bookshelf ExporterのJSON、Goodreads・読書メーターのCSV）
      */
     async importFromFile() {
         const fileInput = document.getElementById('kindle-file-input');
@@ -2447,9 +3653,26 @@ class VirtualBookshelf {
             // ファイルを読み込んで本の一覧を表示
             const file = fileInput.files[0];
             const text = await file.text();
-            const books = JSON.parse(text);
-            
-            this.showBookSelectionForImport(books, 'file');
+            const csvImporter = new CsvImporter(this.bookManager);
+            const mapper = new ImportMapper(this.bookManager, csvImporter);
+            const records = mapper.parse(text, file.name);
+            const useMapping = document.getElementById('use-import-mapping').checked;
+
+            if (!useMapping && file.name.toLowerCase().endsWith('.csv') && csvImporter.detectFormat(mapper.getColumns(records))) {
+                // Goodreads・読書メーターのCSVエクスポート
+                const { format, books } = csvImporter.parse(text);
+                console.log(`📄 ${CsvImporter.FORMATS[format].label}のCSVを読み込みました: ${books.length}冊`);
+                this.showBookSelectionForImport(books, format);
+                return;
+            }
+
+            if (!useMapping && mapper.isKindleExport(records)) {
+                this.showBookSelectionForImport(records, 'file');
+                return;
+            }
+
+            // それ以外の形式は列と蔵書の項目を対応付けてから取り込む
+            this.showImportMappingEditor(records, file.name);
             
         } catch (error) {
             console.error('ファイル読み込みエラー:', error);
@@ -2457,6 +3680,236 @@ class VirtualBookshelf {
         }
     }
 
+    /**
+     * 保存した列の対応付け
+     * @returns {ImportMapping[]}
+     */
+    getImportMappings() {
+        return this.userData.settings.importMappings || [];
+    }
+
+    /**
+     * 列の対応付け画面を表示（使う列がすべてある保存済みの対応付けを優先し、なければ列名から推測）
+     */
+    showImportMappingEditor(records, fileName) {
+        const mapper = new ImportMapper(this.bookManager);
+        const columns = mapper.getColumns(records);
+        this.pendingMapping = { mapper, records, columns, fileName };
+
+        document.querySelector('.import-options').style.display = 'none';
+        document.getElementById('import-results').style.display = 'none';
+        document.getElementById('import-mapping').style.display = 'block';
+
+        this.renderImportMapping(mapper.findMatchingMapping(this.getImportMappings(), columns) || mapper.guessMapping(columns));
+        this.setupImportMappingListeners();
+    }
+
+    /**
+     * @param {ImportMapping} mapping
+     */
+    renderImportMapping(mapping) {
+        const { records, columns, fileName } = this.pendingMapping;
+        const container = document.getElementById('import-mapping');
+        const columnOptions = (selected) => columns.map(column =>
+            `<option value="${this.escapeHtml(column)}" ${column === selected ? 'selected' : ''}>${this.escapeHtml(column)}</option>`
+        ).join('');
+
+        container.innerHTML = `
+            <h3>🧭 列の対応付け</h3>
+            <p class="import-mapping-file">📄 ${this.escapeHtml(fileName)}（${records.length}件・${columns.length}列）</p>
+            <div class="import-mapping-saved">
+                <label>保存した対応付け:
+                    <select id="import-mapping-saved">
+                        <option value="">（新しい対応付け）</option>
+                        ${this.getImportMappings().map(saved =>
+                            `<option value="${this.escapeHtml(saved.name)}" ${saved.name === mapping.name ? 'selected' : ''}>${this.escapeHtml(saved.name)}</option>`
+                        ).join('')}
+                    </select>
+                </label>
+                ${mapping.name ? '<button class="btn btn-small btn-danger" data-mapping-action="delete">削除</button>' : ''}
+            </div>
+            <table class="import-mapping-table">
+                ${Object.entries(ImportMapper.FIELDS).map(([field, { label }]) => `
+                    <tr>
+                        <th>${label}${field === 'title' ? ' <span class="required">*</span>' : ''}</th>
+                        <td>
+                            <select class="import-mapping-field" data-field="${field}">
+                                <option value="">（使わない）</option>
+                                ${columnOptions(mapping.fields[field])}
+                            </select>
+                        </td>
+                    </tr>
+                `).join('')}
+                <tr>
+                    <th>購入日の形式</th>
+                    <td>
+                        <select id="import-mapping-date-format">
+                            ${Object.entries(ImportMapper.DATE_FORMATS).map(([value, label]) =>
+                                `<option value="${value}" ${value === mapping.dateFormat ? 'selected' : ''}>${label}</option>`
+                            ).join('')}
+                        </select>
+                    </td>
+                </tr>
+                <tr>
+                    <th>既読とみなす値</th>
+                    <td><input type="text" id="import-mapping-read-values" value="${this.escapeHtml((mapping.readValues || []).join(', '))}" placeholder="read, true, 既読"></td>
+                </tr>
+            </table>
+            <p class="import-mapping-help">* タイトルと、ASIN・商品コードかISBNのどちらかが必要です（入れ子の値は「volumeInfo.title」のようにドット区切りで表示）</p>
+            <div id="import-mapping-preview" class="import-mapping-preview"></div>
+            <div class="import-mapping-save">
+                <input type="text" id="import-mapping-name" value="${this.escapeHtml(mapping.name || '')}" placeholder="対応付けの名前（例: ブクログ）">
+                <button class="btn btn-small btn-secondary" data-mapping-action="save">💾 対応付けを保存</button>
+            </div>
+            <div class="import-actions">
+                <button class="btn btn-primary" data-mapping-action="next">本を選択する</button>
+                <button class="btn btn-secondary" data-mapping-action="cancel">キャンセル</button>
+            </div>
+        `;
+        this.renderImportMappingPreview();
+    }
+
+    /**
+     * 画面で選択中の対応付け
+     * @returns {ImportMapping}
+     */
+    readImportMappingForm() {
+        const container = document.getElementById('import-mapping');
+        const fields = {};
+        container.querySelectorAll('.import-mapping-field').forEach(select => {
+            if (select.value) {
+                fields[select.dataset.field] = select.value;
+            }
+        });
+
+        return {
+            name: container.querySelector('#import-mapping-name').value.trim(),
+            fields,
+            dateFormat: container.querySelector('#import-mapping-date-format').value,
+            readValues: container.querySelector('#import-mapping-read-values').value
+                .split(/[,、]/).map(value => value.trim()).filter(Boolean)
+        };
+    }
+
+    /**
+     * 先頭の数件を変換した結果（対応付けに誤りがあれば内容を表示）
+     */
+    renderImportMappingPreview() {
+        const preview = document.getElementById('import-mapping-preview');
+        const { mapper, records } = this.pendingMapping;
+        const mapping = this.readImportMappingForm();
+        const errors = mapper.validate(mapping);
+
+        if (errors.length > 0) {
+            preview.innerHTML = errors.map(error => `<div class="import-mapping-error">⚠️ ${this.escapeHtml(error)}</div>`).join('');
+            return;
+        }
+
+        const { books, skipped } = mapper.mapRecords(records, mapping);
+        preview.innerHTML = `
+            <div class="import-mapping-summary">📊 取り込める本: ${books.length}冊${skipped > 0 ? ` ／ タイトルか識別子がないためスキップ: ${skipped}件` : ''}</div>
+            <table class="import-mapping-sample">
+                <tr><th>商品コード</th><th>タイトル</th><th>著者</th><th>購入日</th><th>既読状態</th></tr>
+                ${books.slice(0, 5).map(book => `
+                    <tr>
+                        <td>${this.escapeHtml(book.bookId)}</td>
+                        <td>${this.escapeHtml(book.title)}</td>
+                        <td>${this.escapeHtml(book.authors)}</td>
+                        <td>${new Date(book.acquiredTime).toLocaleDateString('ja-JP')}</td>
+                        <td>${book.readStatus}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+    }
+
+    setupImportMappingListeners() {
+        // 2回目以降のインポートで重複して登録しない
+        if (this.importMappingListenersReady) return;
+        this.importMappingListenersReady = true;
+
+        const container = document.getElementById('import-mapping');
+        container.addEventListener('change', (e) => {
+            if (e.target.id === 'import-mapping-saved') {
+                const { mapper, columns } = this.pendingMapping;
+                const saved = this.getImportMappings().find(mapping => mapping.name === e.target.value);
+                this.renderImportMapping(saved || mapper.guessMapping(columns));
+                return;
+            }
+            this.renderImportMappingPreview();
+        });
+        container.addEventListener('input', (e) => {
+            if (e.target.id === 'import-mapping-read-values') {
+                this.renderImportMappingPreview();
+            }
+        });
+        container.addEventListener('click', (e) => {
+            const action = e.target.dataset.mappingAction;
+            if (action === 'save') this.saveImportMapping();
+            if (action === 'delete') this.deleteImportMapping();
+            if (action === 'next') this.applyImportMapping();
+            if (action === 'cancel') this.cancelImport();
+        });
+    }
+
+    /**
+     * 対応付けを名前を付けて保存（同じ名前は上書き）
+     */
+    saveImportMapping() {
+        const mapping = this.readImportMappingForm();
+        if (!mapping.name) {
+            alert('📝 対応付けの名前を入力してください');
+            return;
+        }
+        const errors = this.pendingMapping.mapper.validate(mapping);
+        if (errors.length > 0) {
+            alert('⚠️ ' + errors.join('\n'));
+            return;
+        }
+
+        this.userData.settings.importMappings = [
+            ...this.getImportMappings().filter(saved => saved.name !== mapping.name),
+            mapping
+        ];
+        this.saveUserData();
+        this.renderImportMapping(mapping);
+        alert(`💾 対応付け「${mapping.name}」を保存しました`);
+    }
+
+    deleteImportMapping() {
+        const name = document.getElementById('import-mapping-saved').value;
+        if (!name || !confirm(`🗑️ 対応付け「${name}」を削除しますか？`)) {
+            return;
+        }
+
+        this.userData.settings.importMappings = this.getImportMappings().filter(saved => saved.name !== name);
+        this.saveUserData();
+        // 選択中の列はそのまま残し、新しい対応付けとして編集を続けられるようにする
+        this.renderImportMapping({ ...this.readImportMappingForm(), name: '' });
+    }
+
+    /**
+     * 対応付けで変換した本を書籍選択画面に渡す
+     */
+    applyImportMapping() {
+        const { mapper, records } = this.pendingMapping;
+        const mapping = this.readImportMappingForm();
+        const errors = mapper.validate(mapping);
+        if (errors.length > 0) {
+            alert('⚠️ ' + errors.join('\n'));
+            return;
+        }
+
+        const { books } = mapper.mapRecords(records, mapping);
+        if (books.length === 0) {
+            alert('📚 取り込める本がありません。対応付けを確認してください');
+            return;
+        }
+
+        this.pendingMapping = null;
+        this.showBookSelectionForImport(books, 'mapping');
+    }
+
     /**
      * data/kindle.jsonからインポート
      */
@@ -2489,8 +3942,14 @@ class VirtualBookshelf {
                     </div>
                 </div>
                 <p class="import-note">
-                    ✅ インポートが完了しました。新規追加: ${results.added}冊、更新: ${results.updated}冊
+                    ✅ インポートが完了しました。新規追加: ${results.added}冊、更新: ${results.updated}冊${results.removed > 0 ? `、含まれない本の処理: ${results.removed}冊` : ''}
                 </p>
+                ${results.record && (results.added > 0 || results.updated > 0 || results.removed > 0) ? `
+                    <details class="import-log-entry">
+                        <summary>変更内容</summary>
+                        ${this.renderImportRecord(results.record)}
+                    </details>
+                ` : ''}
             </div>
         `;
         resultsDiv.style.display = 'block';
@@ -2590,15 +4049,15 @@ class VirtualBookshelf {
         const statusDiv = document.getElementById('asin-status');
         const fetchBtn = document.getElementById('fetch-book-info');
 
-        const asin = asinInput.value.trim();
+        const asin = this.normalizeProductCode(asinInput.value);
 
         if (!asin) {
-            this.showASINStatus('error', '商品コード（ASIN/ISBN-10）を入力してください');
+            this.showASINStatus('error', '商品コード（ASIN/ISBN）を入力してください');
             return;
         }
 
-        if (!this.bookManager.isValidASIN(asin)) {
-            this.showASINStatus('error', '有効なフォーマットではありません（例: B012345678 または 4798121967）');
+        if (!this.bookManager.isValidProductCode(asin)) {
+            this.showASINStatus('error', '有効なフォーマットではありません（例: B012345678、4798121967 または 9784798121963）');
             return;
         }
 
@@ -2652,16 +4111,30 @@ class VirtualBookshelf {
         }
     }
 
+    /**
+     * 商品コードの入力を正規化（ISBNはハイフン付きでも入力できるようにする）
+     */
+    normalizeProductCode(value) {
+        const code = value.trim();
+        const isbn = this.bookManager.normalizeIsbn(code);
+        return this.bookManager.isValidIsbn(isbn) ? isbn : code;
+    }
+
     /**
      * 手動入力で書籍を追加
      */
     async addBookManually() {
-        const asin = document.getElementById('manual-asin').value.trim();
+        const asin = this.normalizeProductCode(document.getElementById('manual-asin').value);
         const title = document.getElementById('manual-title').value.trim();
         const authors = document.getElementById('manual-authors').value.trim();
 
         if (!asin) {
-            alert('📝 商品コード（ASIN/ISBN-10）を入力してください');
+            alert('📝 商品コード（ASIN/ISBN）を入力してください');
+            return;
+        }
+
+        if (!this.bookManager.isValidProductCode(asin)) {
+            alert('📝 商品コードはASIN（10桁の英数字）またはISBN-10/13で入力してください（例: B012345678、4798121967 または 9784798121963）');
             return;
         }
 
@@ -2808,10 +4281,15 @@ class VirtualBookshelf {
             return;
         }
 
-        // 重複チェック
-        const existingBook = this.books.find(book => book.bookId === volumeId);
+        // 取得済みの情報は同じボリュームIDの場合のみ使う
+        const pendingBook = this.pendingGoogleBook?.bookId === volumeId ? this.pendingGoogleBook : null;
+
+        // 重複チェック（同じISBNの紙の本・Kindle本も含む）
+        const existingBook = this.bookManager.findDuplicateBook({ bookId: volumeId, isbn: pendingBook?.isbn });
         if (existingBook) {
-            alert('この本は既に蔵書に追加されています');
+            alert(existingBook.bookId === volumeId ?
+                'この本は既に蔵書に追加されています' :
+                `同じISBNの本が既に蔵書にあります: ${existingBook.title}（${existingBook.bookId}）`);
             return;
         }
 
@@ -2820,11 +4298,12 @@ class VirtualBookshelf {
                 bookId: volumeId,
                 title: title,
                 authors: authors || '著者未設定',
-                productImage: this.pendingGoogleBook?.productImage || null,
+                productImage: pendingBook?.productImage || null,
                 source: 'google_books',
                 acquiredTime: Date.now(),
                 readStatus: 'UNKNOWN',
-                addedDate: Date.now()
+                addedDate: Date.now(),
+                ...(pendingBook?.isbn && { isbn: pendingBook.isbn })
             };
 
             // ライブラリに追加
@@ -2879,7 +4358,8 @@ class VirtualBookshelf {
             books: {}, // 後で設定
             bookshelves: this.userData.bookshelves || [],
             settings: (() => {
-                const { affiliateId, ...settingsWithoutAffiliateId } = this.userData.settings;
+                // アフィリエイトIDと端末ごとの保存先設定はエクスポートしない
+                const { affiliateId, storage, ...settingsWithoutAffiliateId } = this.userData.settings;
                 return settingsWithoutAffiliateId;
             })(),
             bookOrder: this.userData.bookOrder || {},
@@ -2889,6 +4369,12 @@ class VirtualBookshelf {
             },
             version: '2.0'
         };
+
+        // インポート記録（何を追加・変更したか）
+        const importLog = this.bookManager.getImportLog();
+        if (importLog.length > 0) {
+            exportData.importLog = importLog;
+        }
         
         // 現在表示されている書籍データをbooks形式に変換
         const books = {};
@@ -2907,6 +4393,15 @@ class VirtualBookshelf {
                         addedDate: book.addedDate || Date.now(),
                         memo: this.userData.notes?.[asin]?.memo || '',
                         rating: this.userData.notes?.[asin]?.rating || 0,
+                        // 読書ステータス（設定されている場合のみ）
+                        ...(this.userData.notes?.[asin]?.readingStatus && { readingStatus: this.userData.notes[asin].readingStatus }),
+                        ...(this.userData.notes?.[asin]?.startedDate && { startedDate: this.userData.notes[asin].startedDate }),
+                        ...(this.userData.notes?.[asin]?.finishedDate && { finishedDate: this.userData.notes[asin].finishedDate }),
+                        ...(this.userData.notes?.[asin]?.tags?.length > 0 && { tags: this.userData.notes[asin].tags }),
+                        ...(book.isbn && { isbn: book.isbn }),
+                        ...(book.yomi && { yomi: book.yomi }),
+                        ...(book.ownership && { ownership: book.ownership }),
+                        ...(book.mergedBookIds?.length > 0 && { mergedBookIds: book.mergedBookIds }),
                         // updatedAsinフィールドも含める
                         ...(book.updatedAsin && book.updatedAsin.trim() !== '' && { updatedAsin: book.updatedAsin })
                     };
@@ -2942,7 +4437,10 @@ class VirtualBookshelf {
         'enableSeriesGrouping',
         'showImagesInOverview',
         'sortOrder',
-        'sortDirection'
+        'sortDirection',
+        'siteUrl',
+        'basePath',
+        'metadata'
     ];
 
     /**
@@ -3005,122 +4503,32 @@ class VirtualBookshelf {
     }
 
     /**
-     * library.json のデータをローカルに適用
-     * ローカルストレージを上書きしてサーバーデータを反映
+     * 蔵書データの変更後に書籍一覧・シリーズ・本棚の表示を更新
      */
-    async syncFromServer() {
-        const confirmMessage = `🔄 サーバーデータを適用しますか？
-
-この操作により以下が行われます：
-• library.json の内容でローカルデータを上書き
-• 現在のブラウザに保存されている変更は失われます
-
-別の端末で編集・エクスポートしたデータを
-このブラウザに反映する場合に使用してください。`;
+    refreshLibraryView() {
+        this.books = this.bookManager.getAllBooks();
 
-        if (!confirm(confirmMessage)) {
-            return;
+        // シリーズ情報を再構築
+        if (this.seriesManager) {
+            const { seriesGroups, bookToSeriesMap } = this.seriesManager.detectAndGroupSeries(this.books);
+            this.seriesGroups = seriesGroups;
+            this.bookToSeriesMap = bookToSeriesMap;
         }
 
-        try {
-            console.log('🔄 サーバーからデータを同期中...');
-
-            // library.json を読み込み
-            const libraryResponse = await fetch('data/library.json', {
-                cache: 'no-store' // キャッシュを無視して最新を取得
-            });
-
-            if (!libraryResponse.ok) {
-                throw new Error('library.json の読み込みに失敗しました');
-            }
-
-            const text = await libraryResponse.text();
-            if (!text.trim()) {
-                throw new Error('library.json が空です');
-            }
-
-            const libraryData = JSON.parse(text);
-            console.log('📥 library.json を読み込みました:', libraryData);
-
-            // BookManager のデータを更新
-            if (libraryData.books) {
-                this.bookManager.library = {
-                    books: Object.entries(libraryData.books).map(([key, book]) => ({
-                        bookId: book.bookId || book.asin || key,  // 後方互換性対応
-                        title: book.title,
-                        authors: book.authors,
-                        acquiredTime: book.acquiredTime,
-                        readStatus: book.readStatus,
-                        productImage: book.productImage,
-                        source: book.source,
-                        addedDate: book.addedDate,
-                        ...(book.memo && { memo: book.memo }),
-                        ...(book.rating && { rating: book.rating }),
-                        ...(book.updatedBookId && { updatedBookId: book.updatedBookId }),
-                        ...(book.updatedAsin && { updatedBookId: book.updatedAsin })  // 旧形式対応
-                    })),
-                    metadata: {
-                        totalBooks: libraryData.stats?.totalBooks || Object.keys(libraryData.books).length,
-                        manuallyAdded: 0,
-                        importedFromKindle: Object.keys(libraryData.books).length,
-                        lastImportDate: libraryData.exportDate
-                    }
-                };
-                // BookManager の localStorage を更新
-                await this.bookManager.saveLibrary();
-            }
-
-            // userData を更新
-            this.userData = {
-                exportDate: libraryData.exportDate || new Date().toISOString(),
-                bookshelves: libraryData.bookshelves || [],
-                notes: {},
-                settings: { ...this.userData.settings, ...(libraryData.settings || {}) },
-                bookOrder: libraryData.bookOrder || {},
-                stats: libraryData.stats || { totalBooks: 0, notesCount: 0 },
-                version: libraryData.version || '2.0'
-            };
-
-            // 書籍データから notes を再構築
-            if (libraryData.books) {
-                Object.keys(libraryData.books).forEach(asin => {
-                    const book = libraryData.books[asin];
-                    if (book.memo || book.rating) {
-                        this.userData.notes[asin] = {
-                            memo: book.memo || '',
-                            rating: book.rating || 0
-                        };
-                    }
-                });
-            }
-
-            // userData の localStorage を更新
-            this.saveUserData();
-
-            // 表示を更新
-            this.books = this.bookManager.getAllBooks();
-
-            // シリーズ情報を再構築
-            if (this.seriesManager) {
-                const { seriesGroups, bookToSeriesMap } = this.seriesManager.detectAndGroupSeries(this.books);
-                this.seriesGroups = seriesGroups;
-                this.bookToSeriesMap = bookToSeriesMap;
-            }
-
-            // UI を更新
-            this.updateBookshelfSelector();
-            this.applyFilters();
-            this.updateStats();
-            this.renderBookshelfOverview();
-
-            console.log('✅ サーバーデータの適用が完了しました');
-            alert('✅ サーバーデータを適用しました！\n\n' +
-                  `📚 ${this.books.length}冊の書籍データを読み込みました。`);
+        // UI を更新
+        this.updateBookshelfSelector();
+        this.applyFilters();
+        this.updateStats();
+        this.renderBookshelfOverview();
+        this.tagManager.renderTagCloud();
+    }
 
-        } catch (error) {
-            console.error('❌ データ適用エラー:', error);
-            alert('❌ サーバーデータの適用に失敗しました:\n' + error.message);
-        }
+    /**
+     * library.json（サーバーデータ）をローカルデータとマージして適用
+     * 片方だけの変更は自動で取り込み、両方で変更されたデータは確認ダイアログで選択する
+     */
+    async syncFromServer() {
+        await this.serverSync.start();
     }
 
     /**
@@ -3135,7 +4543,7 @@ class VirtualBookshelf {
 • 全ての評価・メモ
 • 全ての並び順設定
 
-この操作は元に戻せません。`;
+↩️ 直後であれば「元に戻す」（Ctrl+Z）で復元できます。`;
         
         if (!confirm(confirmMessage)) {
             return;
@@ -3143,6 +4551,8 @@ class VirtualBookshelf {
         
         try {
             this.showLoading();
+
+            await this.snapshotManager.takeSnapshot('before-clear');
             
             // BookManagerで蔵書をクリア
             await this.bookManager.clearAllBooks();
@@ -3196,12 +4606,13 @@ class VirtualBookshelf {
         
         let html = '';
         this.userData.bookshelves.forEach(bookshelf => {
-            const bookCount = bookshelf.books ? bookshelf.books.length : 0;
+            const bookshelfBookIds = this.getBookshelfBookIds(bookshelf);
+            const bookCount = bookshelfBookIds.length;
             
             // Apply custom book order for preview if it exists
             let previewBooks = [];
-            if (bookshelf.books && bookshelf.books.length > 0) {
-                let orderedBooks = [...bookshelf.books];
+            if (bookshelfBookIds.length > 0) {
+                let orderedBooks = [...bookshelfBookIds];
                 
                 // Apply custom order if exists
                 if (this.userData.bookOrder && this.userData.bookOrder[bookshelf.id]) {
@@ -3229,7 +4640,7 @@ class VirtualBookshelf {
             html += `
                 <div class="bookshelf-preview ${textOnlyClass}" data-bookshelf-id="${bookshelf.id}">
                     <div class="bookshelf-preview-header">
-                        <h3>${bookshelf.emoji || '📚'} ${bookshelf.name} ${publicBadge}</h3>
+                        <h3>${bookshelf.emoji || '📚'} ${bookshelf.name} ${SmartBookshelf.isSmart(bookshelf) ? '<span class="smart-badge">🪄 スマート</span>' : ''} ${publicBadge}</h3>
                         <div class="bookshelf-preview-actions">
                             <button class="btn btn-small btn-secondary select-bookshelf" data-bookshelf-id="${bookshelf.id}">📚 表示</button>
                             ${isPublic ? `<button class="btn btn-small btn-primary open-static-page" data-bookshelf-id="${bookshelf.id}">🌐 静的ページ</button>` : ''}
@@ -3341,6 +4752,163 @@ class VirtualBookshelf {
         this.userData.notes[asin].rating = rating;
         this.saveUserData();
     }
+
+    /**
+     * 読書ステータスの定義（表示順）
+     * 'none' は未設定（Kindleの readStatus が READ 以外の本）
+     */
+    static READING_STATUSES = {
+        none: { label: '未設定', icon: '☆' },
+        want_to_read: { label: '読みたい', icon: '📌' },
+        reading: { label: '読書中', icon: '📖' },
+        read: { label: '読了', icon: '✅' },
+        abandoned: { label: '中断', icon: '⏸️' }
+    };
+
+    /**
+     * 本の読書ステータスを取得
+     * ユーザーが設定したステータスを優先し、なければKindleのreadStatusから判定
+     * @param {Object} book
+     * @returns {string} READING_STATUSES のキー
+     */
+    getReadingStatus(book) {
+        const status = this.userData.notes[book.bookId]?.readingStatus;
+        if (status && VirtualBookshelf.READING_STATUSES[status]) {
+            return status;
+        }
+        return book.readStatus && book.readStatus.toUpperCase() === 'READ' ? 'read' : 'none';
+    }
+
+    /**
+     * 読書ステータスを保存（読書中・読了にした時は開始日・読了日を自動設定）
+     * @param {string} asin
+     * @param {string} status
+     */
+    saveReadingStatus(asin, status) {
+        if (!this.userData.notes[asin]) {
+            this.userData.notes[asin] = { memo: '', rating: 0 };
+        }
+        const note = this.userData.notes[asin];
+
+        if (status === 'none') {
+            delete note.readingStatus;
+        } else {
+            note.readingStatus = status;
+        }
+
+        const today = new Date(new Date().toDateString()).getTime();
+        if ((status === 'reading' || status === 'read') && !note.startedDate) {
+            note.startedDate = today;
+        }
+        if (status === 'read' && !note.finishedDate) {
+            note.finishedDate = today;
+        }
+
+        this.saveUserData();
+    }
+
+    /**
+     * 読書の開始日・読了日を保存
+     * @param {string} asin
+     * @param {'startedDate'|'finishedDate'} field
+     * @param {string} dateString - input[type=date] の値（空文字でクリア）
+     */
+    saveReadingDate(asin, field, dateString) {
+        if (!this.userData.notes[asin]) {
+            this.userData.notes[asin] = { memo: '', rating: 0 };
+        }
+
+        if (dateString) {
+            // ローカル時刻の0時として保存（formatDateForInput と対になる）
+            this.userData.notes[asin][field] = new Date(`${dateString}T00:00:00`).getTime();
+        } else {
+            delete this.userData.notes[asin][field];
+        }
+        this.saveUserData();
+    }
+
+    /**
+     * 詳細表示用の読書ステータス文字列（開始日・読了日付き）
+     */
+    formatReadingStatus(book) {
+        const status = this.getReadingStatus(book);
+        const { label, icon } = VirtualBookshelf.READING_STATUSES[status];
+        const note = this.userData.notes[book.bookId] || {};
+
+        const dates = [];
+        if (note.startedDate) {
+            dates.push(`開始: ${new Date(note.startedDate).toLocaleDateString('ja-JP')}`);
+        }
+        if (note.finishedDate) {
+            dates.push(`読了: ${new Date(note.finishedDate).toLocaleDateString('ja-JP')}`);
+        }
+
+        return `${icon} ${label}${dates.length > 0 ? `（${dates.join(' / ')}）` : ''}`;
+    }
+
+    /**
+     * 表紙に重ねる読書ステータスバッジ（未設定の場合は表示しない）
+     */
+    generateReadingStatusBadge(book) {
+        const status = this.getReadingStatus(book);
+        if (status === 'none') return '';
+
+        const { label, icon } = VirtualBookshelf.READING_STATUSES[status];
+        return `<span class="status-badge status-${status}" title="${label}">${icon} ${label}</span>`;
+    }
+
+    /**
+     * 表紙に重ねる所有状況バッジ（所有している本は表示しない）
+     */
+    generateOwnershipBadge(book) {
+        const status = BookManager.OWNERSHIP_STATUSES[book.ownership];
+        if (!status) return '';
+
+        return `<span class="ownership-badge" title="${status.label}">${status.icon} ${status.label}</span>`;
+    }
+
+    /**
+     * 所有状況を保存（所有しているに戻す場合は ownership を削除）
+     * @param {string} bookId
+     * @param {string} ownership - BookManager.OWNERSHIP_STATUSES のキー、または 'owned'
+     */
+    async saveOwnership(bookId, ownership) {
+        await this.bookManager.updateBook(bookId, {
+            ownership: BookManager.OWNERSHIP_STATUSES[ownership] ? ownership : undefined
+        });
+        this.books = this.bookManager.getAllBooks();
+        this.applyFilters();
+    }
+
+    /**
+     * タイムスタンプを input[type=date] 用の文字列に変換
+     */
+    formatDateForInput(timestamp) {
+        if (!timestamp) return '';
+        const date = new Date(timestamp);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * library.json の書籍エントリからユーザーデータ（メモ・評価・読書ステータス）を取り出す
+     * @param {Object} book - library.json の books の値
+     * @returns {Object|null} 該当データがなければnull
+     */
+    extractNoteFromLibraryBook(book) {
+        if (!book.memo && !book.rating && !book.readingStatus && !book.startedDate && !book.finishedDate && !book.tags?.length) {
+            return null;
+        }
+
+        return {
+            memo: book.memo || '',
+            rating: book.rating || 0,
+            ...(book.readingStatus && { readingStatus: book.readingStatus }),
+            ...(book.startedDate && { startedDate: book.startedDate }),
+            ...(book.finishedDate && { finishedDate: book.finishedDate }),
+            ...(book.tags?.length > 0 && { tags: book.tags })
+        };
+    }
     
     /**
      * ローディング表示
@@ -3498,8 +5066,8 @@ class VirtualBookshelf {
                     filename: result.filename,
                     lastGenerated: new Date().toISOString(),
 
-                    // GitHub Pages URLを生成（リポジトリ名から推測）
-                    url: `https://karaage0703.github.io/karaage-virtual-bookshelf/static/${result.filename}`
+                    // 公開URL（config.json の siteUrl/basePath、未設定なら現在のURLから算出）
+                    url: result.url
                 };
                 this.saveUserData();
 
@@ -3596,7 +5164,7 @@ class VirtualBookshelf {
             return;
         }
 
-        const staticUrl = `${window.location.origin}${window.location.pathname.replace('index.html', '')}static/${bookshelfId}.html`;
+        const staticUrl = this.staticGenerator.getStaticPageUrl(bookshelfId);
         window.open(staticUrl, '_blank');
     }
 }
@@ -0,0 +1,279 @@
+// CSV Importer - Goodreads / 読書メーターのCSVエクスポートを取り込む
+// CSVの各行をKindleインポートと同じ書籍形式に変換し、評価・感想・読了日・棚は importData として添える
+// （書籍選択画面 showBookSelectionForImport を経由して取り込む）
+
+/**
+ * @typedef {Object} ImportData
+ * @property {number} [rating] - 星評価（1〜5）
+ * @property {string} [memo] - 感想・レビュー
+ * @property {string} [readingStatus] - VirtualBookshelf.READING_STATUSES のキー
+ * @property {number} [finishedDate] - 読了日（ローカル時刻0時のタイムスタンプ）
+ * @property {string[]} shelves - 本棚名（該当する本棚がなければ作成）
+ */
+
+class CsvImporter {
+    static FORMATS = {
+        goodreads: {
+            label: 'Goodreads',
+            source: 'goodreads_import',
+            requiredColumns: ['Title', 'Author', 'Exclusive Shelf']
+        },
+        bookmeter: {
+            label: '読書メーター',
+            source: 'bookmeter_import',
+            requiredColumns: ['タイトル', '著者']
+        }
+    };
+
+    /**
+     * Goodreads の読書状況（Exclusive Shelf）→ 読書ステータス
+     */
+    static GOODREADS_STATUSES = {
+        'read': 'read',
+        'currently-reading': 'reading',
+        'to-read': 'want_to_read'
+    };
+
+    /**
+     * 読書メーターの本棚 → 読書ステータス
+     */
+    static BOOKMETER_STATUSES = {
+        '読んだ本': 'read',
+        '読んでる本': 'reading',
+        '積読本': 'want_to_read',
+        '読みたい本': 'want_to_read'
+    };
+
+    /**
+     * 読書メーターのエクスポートツールごとに異なる列名の別名
+     */
+    static BOOKMETER_COLUMNS = {
+        title: ['タイトル', '書名'],
+        authors: ['著者', '著者名'],
+        asin: ['ASIN', 'asin'],
+        isbn: ['ISBN', 'isbn'],
+        url: ['URL', 'Amazon URL', 'AmazonURL', 'リンク'],
+        image: ['画像', '画像URL', '表紙'],
+        finishedDate: ['読了日', '読んだ日'],
+        addedDate: ['登録日', '追加日'],
+        memo: ['感想', 'レビュー', 'メモ'],
+        status: ['ステータス', '状態', '種類'],
+        shelves: ['本棚', 'お気に入り', 'カテゴリ']
+    };
+
+    constructor(bookManager) {
+        this.bookManager = bookManager;
+    }
+
+    /**
+     * CSVテキストを書籍データに変換
+     * @returns {{format: string, books: Object[]}}
+     */
+    parse(text) {
+        const rows = this.parseCsv(text.replace(/^\uFEFF/, ''))
+            .filter(row => row.some(cell => cell.trim() !== ''));
+        if (rows.length < 2) {
+            throw new Error('CSVに書籍データがありません');
+        }
+
+        const headers = rows[0].map(header => header.trim());
+        const format = this.detectFormat(headers);
+        if (!format) {
+            throw new Error('対応していないCSV形式です（Goodreads・読書メーターのエクスポートに対応しています）');
+        }
+
+        const records = rows.slice(1).map(row =>
+            Object.fromEntries(headers.map((header, index) => [header, (row[index] || '').replace(/\r\n?/g, '\n').trim()])));
+        const mapRecord = format === 'goodreads' ? record => this.mapGoodreads(record) : record => this.mapBookmeter(record);
+
+        const books = records.map(mapRecord).filter(book => book && book.title);
+        return { format, books };
+    }
+
+    detectFormat(headers) {
+        return Object.keys(CsvImporter.FORMATS).find(format =>
+            CsvImporter.FORMATS[format].requiredColumns.every(column => headers.includes(column))) || null;
+    }
+
+    /**
+     * RFC 4180 形式のCSVを行・列に分割（引用符内の改行・カンマ・""に対応）
+     * @returns {string[][]}
+     */
+    parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+        return rows;
+    }
+
+    /**
+     * Goodreads の「Export Library」CSVの1行を変換
+     */
+    mapGoodreads(record) {
+        const isbn = this.cleanIsbn(record['ISBN']);
+        const isbn13 = this.cleanIsbn(record['ISBN13']);
+        const bookId = isbn || isbn13 || (record['Book Id'] ? `goodreads_${record['Book Id']}` : null);
+        if (!bookId) return null;
+
+        const exclusiveShelf = record['Exclusive Shelf'];
+        const readingStatus = CsvImporter.GOODREADS_STATUSES[exclusiveShelf];
+        const rating = parseInt(record['My Rating'], 10) || 0;
+        const memo = [this.htmlToText(record['My Review']), record['Private Notes']]
+            .filter(Boolean)
+            .join('\n\n');
+
+        // 「Bookshelves」には読書状況の棚も含まれるため除外
+        const shelves = this.splitList(record['Bookshelves'])
+            .filter(shelf => !CsvImporter.GOODREADS_STATUSES[shelf]);
+
+        const addedDate = this.parseDate(record['Date Added']);
+        return this.createBook('goodreads', {
+            bookId,
+            title: record['Title'],
+            authors: [record['Author'], ...this.splitList(record['Additional Authors'])].filter(Boolean).join(', '),
+            acquiredTime: addedDate,
+            readStatus: exclusiveShelf === 'read' ? 'READ' : 'UNREAD',
+            isbn: isbn13 || isbn
+        }, {
+            rating,
+            memo,
+            readingStatus,
+            finishedDate: this.parseDate(record['Date Read']),
+            shelves
+        });
+    }
+
+    /**
+     * 読書メーターのCSVの1行を変換
+     */
+    mapBookmeter(record) {
+        const get = (field) => {
+            const column = CsvImporter.BOOKMETER_COLUMNS[field].find(name => record[name]);
+            return column ? record[column] : '';
+        };
+
+        const url = get('url');
+        const bookmeterId = url.match(/bookmeter\.com\/books\/(\d+)/)?.[1];
+        const isbn = this.cleanIsbn(get('isbn'));
+        const bookId = get('asin') ||
+            isbn ||
+            (url && this.bookManager.extractASINFromUrl(url)) ||
+            (bookmeterId ? `bookmeter_${bookmeterId}` : null);
+        if (!bookId) return null;
+
+        const status = get('status');
+        const finishedDate = this.parseDate(get('finishedDate'));
+        const readingStatus = CsvImporter.BOOKMETER_STATUSES[status] || (finishedDate ? 'read' : undefined);
+
+        return this.createBook('bookmeter', {
+            bookId,
+            title: get('title'),
+            authors: get('authors'),
+            acquiredTime: this.parseDate(get('addedDate')) || finishedDate,
+            readStatus: readingStatus === 'read' ? 'READ' : 'UNREAD',
+            productImage: get('image'),
+            isbn
+        }, {
+            memo: get('memo'),
+            readingStatus,
+            finishedDate,
+            shelves: this.splitList(get('shelves'))
+                .filter(shelf => !CsvImporter.BOOKMETER_STATUSES[shelf])
+        });
+    }
+
+    /**
+     * 書籍選択画面で使う形式に揃える
+     */
+    createBook(format, book, importData) {
+        const { isbn: isbnValue, ...fields } = book;
+        const isbn = this.bookManager.toIsbn13(isbnValue) || this.bookManager.toIsbn13(book.bookId);
+        const amazonId = this.bookManager.getAmazonId(book.bookId);
+        return {
+            ...fields,
+            acquiredTime: book.acquiredTime || Date.now(),
+            productImage: book.productImage ||
+                (amazonId ? `https://images-na.ssl-images-amazon.com/images/P/${amazonId}.01.L.jpg` : ''),
+            ...(isbn && { isbn }),
+            source: CsvImporter.FORMATS[format].source,
+            importData: Object.fromEntries(Object.entries(importData).filter(([, value]) =>
+                value !== undefined && value !== '' && value !== 0 && value !== null))
+        };
+    }
+
+    /**
+     * Goodreads の ="0439023483" 形式などからISBNを取り出す（チェックディジットが正しいもののみ）
+     */
+    cleanIsbn(value) {
+        const isbn = this.bookManager.normalizeIsbn((value || '').replace(/[="]/g, ''));
+        return this.bookManager.isValidIsbn(isbn) ? isbn : '';
+    }
+
+    /**
+     * 日付（2023/05/14, 2023-05-14, 2023年5月14日）をローカル時刻0時のタイムスタンプに変換
+     */
+    parseDate(value) {
+        const match = (value || '').match(/(\d{4})[/\-年](\d{1,2})[/\-月](\d{1,2})/);
+        if (!match) return null;
+
+        const [, year, month, day] = match.map(Number);
+        return new Date(year, month - 1, day).getTime();
+    }
+
+    splitList(value) {
+        return (value || '').split(/[,、]/).map(item => item.trim()).filter(Boolean);
+    }
+
+    htmlToText(html) {
+        return (html || '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&amp;/g, '&')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#39;/g, "'")
+            .trim();
+    }
+}
+
+// Node.js（scripts/）からも利用できるようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CsvImporter;
+}
@@ -0,0 +1,412 @@
+// Duplicate Finder - 重複・版違いの本の検出と統合
+// 紙の本とKindle版を両方登録した場合や、Google Booksから追加し直した場合は別々の本として残るため、
+// ISBN（10桁・13桁・変更後bookId）の一致と、正規化したタイトル・著者の類似度で同じ本の候補をまとめる
+// 統合はメモ・評価・本棚・並び順をまとめたうえで BookManager.mergeBooks() を呼び、ハイライトは mergedBookIds から読み込む
+
+/**
+ * @typedef {Object} DuplicateGroup
+ * @property {Object[]} books - 同じ本とみなした本
+ * @property {string[]} reasons - 判定理由（DuplicateFinder.REASONS のキー）
+ * @property {string} keepBookId - 残す本の候補（メモ・評価などのユーザーデータが多い本）
+ */
+
+class DuplicateFinder {
+    static REASONS = {
+        isbn: '🔖 ISBN・商品コードが一致',
+        title: '📖 タイトル・著者が類似',
+        edition: '📚 版違い'
+    };
+
+    /**
+     * 候補にするタイトルの類似度（短い方のタイトルのbigramのうち、共通する割合）
+     */
+    static TITLE_THRESHOLD = 0.85;
+
+    /**
+     * 副題の区切り（「タイトル ―副題」「タイトル: 副題」「タイトル～副題～」）
+     * normalizeString は長音「ー」も "-" にするため、ダッシュは前に空白がある場合のみ区切りとする
+     */
+    static SUBTITLE_SEPARATOR = /\s+-+|[~:]/g;
+
+    /**
+     * 巻・編を表す表記（副題が「後編」「実践編」「下」「II」などの本は別の本とする）
+     */
+    static PART_PATTERN = /^(?:[上中下前後]|[ivx]+|\d+)(?:巻|編|篇)?$|[編篇巻]$/;
+
+    /**
+     * 版の表記（比較時は取り除き、表記が異なる場合は「版違い」とする）
+     */
+    static EDITION_PATTERN = /第\s*\d+\s*版|\d+(?:st|nd|rd|th)\s+edition|revised\s+edition|増補改訂版|改訂新版|改訂版|増補版|新装版|新版|完全版|kindle版|電子書籍版|文庫版/gi;
+
+    /**
+     * 多くの本に含まれるbigram（「入門」など）は候補の絞り込みに使わない
+     */
+    static MAX_POSTINGS = 300;
+
+    constructor(bookshelf) {
+        this.bookshelf = bookshelf;
+        this.groups = [];
+    }
+
+    get bookManager() {
+        return this.bookshelf.bookManager;
+    }
+
+    get seriesManager() {
+        if (!this.bookshelf.seriesManager) {
+            this.bookshelf.seriesManager = new SeriesManager();
+        }
+        return this.bookshelf.seriesManager;
+    }
+
+    /**
+     * 比較用にタイトルを正規化（SeriesManager.normalizeString で全角・記号を揃え、レーベル名の括弧・版の表記・記号を除去）
+     * @returns {string[]} 副題の区切りで分けたタイトル
+     */
+    normalizeTitle(title) {
+        const normalized = this.seriesManager.normalizeString(title || '').toLowerCase();
+        // 「（上）」「（2）」など巻・編を表す括弧は残す
+        const withoutLabels = normalized.replace(/\(([^)]*)\)|\[([^\]]*)\]/g, (match, round, square) => {
+            const content = (round ?? square).trim();
+            return DuplicateFinder.PART_PATTERN.test(content) ? ` ${content} ` : ' ';
+        });
+        return (withoutLabels.trim() ? withoutLabels : normalized)
+            .replace(DuplicateFinder.EDITION_PATTERN, '')
+            .split(DuplicateFinder.SUBTITLE_SEPARATOR)
+            .map(part => part.replace(/[\s・:;,.!?&*+~'"\-]/g, ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * タイトルに含まれる版の表記（比較用）
+     */
+    getEdition(title) {
+        return (this.seriesManager.normalizeString(title || '').match(DuplicateFinder.EDITION_PATTERN) || [])
+            .map(edition => edition.toLowerCase().replace(/\s/g, ''))
+            .join(' ');
+    }
+
+    /**
+     * タイトル中の数字（括弧内の巻数・「①」なども含む。版の表記の数字は除く）
+     */
+    getNumbers(title) {
+        return (this.seriesManager.normalizeString(title || '').normalize('NFKC')
+            .replace(DuplicateFinder.EDITION_PATTERN, '')
+            .match(/\d+/g) || []).map(Number).join(',');
+    }
+
+    normalizeAuthors(authors) {
+        const placeholders = MetadataRefresher.PLACEHOLDERS.authors;
+        if (!authors || placeholders.includes(authors.trim())) return [];
+
+        return this.seriesManager.normalizeString(authors).toLowerCase()
+            .split(/[,、;/&]/)
+            .map(author => author.replace(/[\s.・]/g, ''))
+            .filter(Boolean);
+    }
+
+    bigrams(text) {
+        const grams = new Set();
+        for (let i = 0; i < text.length - 1; i++) {
+            grams.add(text.slice(i, i + 2));
+        }
+        return grams;
+    }
+
+    /**
+     * 重複の候補をまとめる（別の本として扱うと決めた組み合わせは除く）
+     * @param {Object[]} books
+     * @returns {DuplicateGroup[]}
+     */
+    findDuplicates(books = this.bookManager.getAllBooks()) {
+        const ignored = new Set(this.getIgnoredPairs());
+        const entries = books.map(book => {
+            const parts = this.normalizeTitle(book.title);
+            const title = parts.join('');
+            return {
+                book,
+                title,
+                parts,
+                grams: this.bigrams(title),
+                authors: this.normalizeAuthors(book.authors),
+                edition: this.getEdition(book.title),
+                numbers: this.getNumbers(book.title),
+                volume: this.seriesManager.extractVolumeNumber(book.title).volumeNumber
+            };
+        });
+
+        // Union-Find で本をグループにまとめる
+        const parents = entries.map((entry, index) => index);
+        const find = (index) => (parents[index] === index ? index : (parents[index] = find(parents[index])));
+        const pairReasons = new Map();
+        const link = (a, b, reason) => {
+            if (ignored.has(this.getPairKey(entries[a].book.bookId, entries[b].book.bookId))) return;
+            parents[find(a)] = find(b);
+            [a, b].forEach(index => {
+                const reasons = pairReasons.get(index) || new Set();
+                reasons.add(reason);
+                pairReasons.set(index, reasons);
+            });
+        };
+
+        // ISBN・商品コードの一致
+        const identifiers = new Map();
+        entries.forEach((entry, index) => {
+            this.bookManager.getBookIdentifierKeys(entry.book).forEach(key => {
+                if (identifiers.has(key) && identifiers.get(key) !== index) {
+                    link(identifiers.get(key), index, 'isbn');
+                } else {
+                    identifiers.set(key, index);
+                }
+            });
+        });
+
+        // タイトル・著者の類似（bigramの転置インデックスで候補を絞り込む）
+        const postings = new Map();
+        entries.forEach((entry, index) => {
+            entry.grams.forEach(gram => {
+                if (!postings.has(gram)) postings.set(gram, []);
+                postings.get(gram).push(index);
+            });
+        });
+
+        entries.forEach((entry, index) => {
+            const shared = new Map();
+            entry.grams.forEach(gram => {
+                const list = postings.get(gram);
+                if (list.length > DuplicateFinder.MAX_POSTINGS) return;
+                list.forEach(other => {
+                    if (other > index) shared.set(other, (shared.get(other) || 0) + 1);
+                });
+            });
+
+            shared.forEach((count, other) => {
+                const otherEntry = entries[other];
+                const score = count / Math.min(entry.grams.size, otherEntry.grams.size);
+                if (score < DuplicateFinder.TITLE_THRESHOLD || !this.isSameWork(entry, otherEntry)) return;
+                link(index, other, entry.edition !== otherEntry.edition ? 'edition' : 'title');
+            });
+        });
+
+        const groups = new Map();
+        entries.forEach((entry, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(index);
+        });
+
+        return Array.from(groups.values())
+            .filter(indices => indices.length > 1)
+            .map(indices => {
+                const groupBooks = indices.map(index => entries[index].book);
+                const reasons = new Set(indices.flatMap(index => Array.from(pairReasons.get(index) || [])));
+                return {
+                    books: groupBooks,
+                    reasons: Object.keys(DuplicateFinder.REASONS).filter(reason => reasons.has(reason)),
+                    keepBookId: this.suggestKeepBook(groupBooks).bookId
+                };
+            })
+            .sort((a, b) => (a.books[0].title || '').localeCompare(b.books[0].title || '', 'ja'));
+    }
+
+    /**
+     * タイトルが類似している2冊を同じ作品とみなすか（巻数が異なる本・著者が異なる本は除く）
+     */
+    isSameWork(a, b) {
+        if (a.volume !== null && b.volume !== null && a.volume !== b.volume) return false;
+        // 巻数として認識されない数字（「Python 2」「（3）」「②」など）が異なる本も別の本とする
+        if (a.numbers !== b.numbers) return false;
+
+        if (!this.isSameTitle(a, b)) return false;
+        if (a.authors.length === 0 || b.authors.length === 0) {
+            return a.title === b.title;
+        }
+        return a.authors.some(author => b.authors.some(other => author.includes(other) || other.includes(author)));
+    }
+
+    /**
+     * 正規化したタイトルが同じか、一方が他方に副題を付けただけか（副題が巻・編の表記の場合は除く）
+     */
+    isSameTitle(a, b) {
+        if (a.title === b.title) return true;
+
+        const [shorter, longer] = a.parts.length <= b.parts.length ? [a.parts, b.parts] : [b.parts, a.parts];
+        const extra = longer.slice(shorter.length);
+        return extra.length > 0 &&
+            longer.slice(0, shorter.length).join('') === shorter.join('') &&
+            !extra.some(part => DuplicateFinder.PART_PATTERN.test(part));
+    }
+
+    /**
+     * 残す本の候補（メモ・評価・本棚などのユーザーデータが多い本、同じならKindleの本、次に先に追加した本）
+     */
+    suggestKeepBook(books) {
+        const { notes = {}, bookshelves = [] } = this.bookshelf.userData;
+        const score = (book) => {
+            const note = notes[book.bookId] || {};
+            return (note.memo ? 2 : 0) + (note.rating ? 1 : 0) + (note.readingStatus ? 1 : 0) +
+                bookshelves.filter(bookshelf => (bookshelf.books || []).includes(book.bookId)).length +
+                (book.source === 'kindle_import' ? 0.5 : 0);
+        };
+
+        return books.slice().sort((a, b) => score(b) - score(a) || (a.addedDate || 0) - (b.addedDate || 0))[0];
+    }
+
+    getPairKey(a, b) {
+        return [a, b].sort().join('|');
+    }
+
+    getIgnoredPairs() {
+        return this.bookshelf.userData.settings.ignoredDuplicates || [];
+    }
+
+    /**
+     * 検出結果を表示
+     */
+    showDialog() {
+        this.groups = this.findDuplicates();
+        this.render();
+        document.getElementById('duplicates-modal').classList.add('show');
+    }
+
+    closeDialog() {
+        document.getElementById('duplicates-modal').classList.remove('show');
+    }
+
+    render() {
+        const body = document.getElementById('duplicates-modal-body');
+        if (this.groups.length === 0) {
+            body.innerHTML = '<div class="duplicates-empty">✅ 重複している本は見つかりませんでした</div>';
+            return;
+        }
+
+        body.innerHTML = `
+            <div class="duplicates-summary">👯 重複の候補: ${this.groups.length}組（${this.groups.reduce((sum, group) => sum + group.books.length, 0)}冊）</div>
+            ${this.groups.map((group, index) => this.renderGroup(group, index)).join('')}
+        `;
+
+        body.querySelectorAll('[data-merge-group]').forEach(button => {
+            button.addEventListener('click', () => this.merge(Number(button.dataset.mergeGroup)));
+        });
+        body.querySelectorAll('[data-ignore-group]').forEach(button => {
+            button.addEventListener('click', () => this.ignore(Number(button.dataset.ignoreGroup)));
+        });
+    }
+
+    renderGroup(group, index) {
+        const notes = this.bookshelf.userData.notes || {};
+        return `
+            <div class="duplicate-group">
+                <div class="duplicate-reasons">${group.reasons.map(reason => DuplicateFinder.REASONS[reason]).join(' ・ ')}</div>
+                ${group.books.map(book => {
+                    const note = notes[book.bookId] || {};
+                    return `
+                        <label class="duplicate-book">
+                            <input type="radio" name="duplicate-keep-${index}" value="${this.escapeHtml(book.bookId)}" ${book.bookId === group.keepBookId ? 'checked' : ''}>
+                            ${book.productImage ? `<img src="${this.escapeHtml(this.bookManager.getProductImageUrl(book))}" alt="">` : '<span class="duplicate-cover-placeholder">📖</span>'}
+                            <span class="duplicate-book-info">
+                                <span class="duplicate-book-title">${this.escapeHtml(book.title || '（タイトルなし）')}</span>
+                                <span class="duplicate-book-meta">${this.escapeHtml(book.authors || '')} ・ ${this.escapeHtml(book.bookId)}${book.isbn ? ` ・ ISBN ${book.isbn}` : ''} ・ ${this.escapeHtml(book.source || '')}</span>
+                                <span class="duplicate-book-meta">${[note.memo ? '📝 メモあり' : '', note.rating ? '⭐'.repeat(note.rating) : ''].filter(Boolean).join(' ')}</span>
+                            </span>
+                        </label>
+                    `;
+                }).join('')}
+                <div class="duplicate-actions">
+                    <button class="btn btn-small btn-primary" data-merge-group="${index}">🔗 選択した本に統合</button>
+                    <button class="btn btn-small btn-secondary" data-ignore-group="${index}">別の本として扱う</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * グループの本を選択した本に統合（メモは連結、評価は最も高い値、本棚・並び順は残す本に置き換え）
+     */
+    async merge(index) {
+        const group = this.groups[index];
+        const keepBookId = document.querySelector(`input[name="duplicate-keep-${index}"]:checked`)?.value || group.keepBookId;
+        const mergeBookIds = group.books.map(book => book.bookId).filter(bookId => bookId !== keepBookId);
+        const keepBook = group.books.find(book => book.bookId === keepBookId);
+
+        if (!confirm(`🔗 ${mergeBookIds.length}冊を「${keepBook.title}」に統合しますか？\n\n📝 メモ・評価・本棚・並び順・ハイライトはまとめられます。\n↩️ 統合後も「元に戻す」（Ctrl+Z）で復元できます。`)) {
+            return;
+        }
+
+        try {
+            await this.bookshelf.snapshotManager.takeSnapshot('before-merge');
+            this.mergeUserData(keepBookId, mergeBookIds);
+            await this.bookManager.mergeBooks(keepBookId, mergeBookIds);
+            window.highlightsManager?.highlightsCache.delete(keepBookId);
+
+            this.bookshelf.saveUserData();
+            this.bookshelf.refreshLibraryView();
+            this.groups.splice(index, 1);
+            this.render();
+        } catch (error) {
+            console.error('❌ 統合エラー:', error);
+            alert('❌ 統合に失敗しました:\n' + error.message);
+        }
+    }
+
+    /**
+     * メモ・評価・読書状況・タグ・本棚・並び順を残す本にまとめる
+     */
+    mergeUserData(keepBookId, mergeBookIds) {
+        const userData = this.bookshelf.userData;
+        const bookIds = [keepBookId, ...mergeBookIds];
+
+        const notes = bookIds.map(bookId => userData.notes[bookId]).filter(Boolean);
+        if (notes.length > 0) {
+            // 残す本の値を優先し、残す本にない項目は統合する本の値を使う
+            const merged = Object.assign({}, ...notes.slice().reverse());
+            const memos = Array.from(new Set(notes.map(note => (note.memo || '').trim()).filter(Boolean)));
+            const dates = (field) => notes.map(note => note[field]).filter(Boolean);
+
+            merged.memo = memos.join('\n\n');
+            merged.rating = Math.max(...notes.map(note => note.rating || 0));
+            if (dates('startedDate').length > 0) merged.startedDate = Math.min(...dates('startedDate'));
+            if (dates('finishedDate').length > 0) merged.finishedDate = Math.max(...dates('finishedDate'));
+            const tags = Array.from(new Set(notes.flatMap(note => note.tags || [])));
+            if (tags.length > 0) merged.tags = tags;
+
+            mergeBookIds.forEach(bookId => delete userData.notes[bookId]);
+            userData.notes[keepBookId] = merged;
+        }
+
+        // 本棚・並び順は、グループの本が最初に出てくる位置に残す本を置く
+        const replaceIds = (list) => {
+            const position = list.findIndex(bookId => bookIds.includes(bookId));
+            if (position === -1) return list;
+            const result = list.filter(bookId => !bookIds.includes(bookId));
+            result.splice(position, 0, keepBookId);
+            return result;
+        };
+
+        (userData.bookshelves || []).forEach(bookshelf => {
+            if (bookshelf.books) {
+                bookshelf.books = replaceIds(bookshelf.books);
+            }
+        });
+        Object.keys(userData.bookOrder || {}).forEach(key => {
+            userData.bookOrder[key] = replaceIds(userData.bookOrder[key]);
+        });
+    }
+
+    /**
+     * グループの本を別の本として記録し、次回から候補に出さない
+     */
+    ignore(index) {
+        const bookIds = this.groups[index].books.map(book => book.bookId);
+        const pairs = bookIds.flatMap((bookId, i) => bookIds.slice(i + 1).map(other => this.getPairKey(bookId, other)));
+
+        this.bookshelf.userData.settings.ignoredDuplicates = Array.from(new Set([...this.getIgnoredPairs(), ...pairs]));
+        this.bookshelf.saveUserData();
+        this.groups.splice(index, 1);
+        this.render();
+    }
+
+    escapeHtml(text) {
+        return this.bookshelf.escapeHtml(text);
+    }
+}
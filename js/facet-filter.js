@@ -0,0 +1,242 @@
+// Facet Filter - 入手元・既読・購入年・著者・本棚・メモ・ハイライトでの絞り込み（ファセット）
+// 星評価・読書状況などのフィルターと検索で絞り込んだ本を、サイドバーで選んだ値でさらに絞り込む
+// 同じ項目で選んだ値は「いずれか」、項目どうしは「すべて」を満たす本を表示し、
+// 各値の冊数は「その項目以外の選択」で絞り込んだ本から数える（選ぶと他の項目の冊数がその場で変わる）
+
+class FacetFilter {
+    static FACETS = {
+        source: { label: '📥 入手元' },
+        readStatus: { label: '📗 既読（インポート元）' },
+        acquiredYear: { label: '📅 購入年', limit: 10 },
+        author: { label: '✍️ 著者', limit: 10 },
+        bookshelf: { label: '📚 本棚', limit: 10 },
+        memo: { label: '📝 メモ' },
+        highlights: { label: '🎯 ハイライト' }
+    };
+
+    static SOURCE_LABELS = {
+        kindle_import: 'Kindle',
+        manual_add: '手動追加',
+        google_books: 'Google Books',
+        goodreads_import: 'Goodreads',
+        bookmeter_import: '読書メーター',
+        custom_import: 'その他のインポート',
+        unknown: '不明'
+    };
+
+    static READ_STATUS_LABELS = {
+        READ: '既読',
+        UNREAD: '未読'
+    };
+
+    static PRESENCE_LABELS = {
+        yes: 'あり',
+        no: 'なし'
+    };
+
+    constructor(bookshelf) {
+        this.bookshelf = bookshelf;
+        // 項目 → 選択した値
+        this.selected = Object.fromEntries(Object.keys(FacetFilter.FACETS).map(facet => [facet, new Set()]));
+        // すべての値を表示する項目（著者など値の多い項目は冊数の多い順に limit 件まで）
+        this.expanded = new Set();
+        this.counts = null;
+    }
+
+    get userData() {
+        return this.bookshelf.userData;
+    }
+
+    hasSelection() {
+        return Object.values(this.selected).some(values => values.size > 0);
+    }
+
+    /**
+     * 本の各項目の値（著者・本棚は複数）
+     * @returns {Object<string, string[]>}
+     */
+    getValues(book, bookshelfBookIds) {
+        const note = this.userData.notes[book.bookId];
+        const bookIds = [book.bookId, ...(book.mergedBookIds || [])];
+        const acquiredTime = Number(book.acquiredTime);
+
+        return {
+            source: [book.source || 'unknown'],
+            readStatus: [String(book.readStatus).toUpperCase() === 'READ' ? 'READ' : 'UNREAD'],
+            acquiredYear: acquiredTime ? [String(new Date(acquiredTime).getFullYear())] : [],
+            author: this.splitAuthors(book.authors),
+            bookshelf: bookshelfBookIds
+                .filter(({ bookIds: ids }) => ids.has(book.bookId))
+                .map(({ id }) => id),
+            memo: [note?.memo?.trim() ? 'yes' : 'no'],
+            highlights: [bookIds.some(bookId => this.bookshelf.highlightBookIds.has(bookId)) ? 'yes' : 'no']
+        };
+    }
+
+    /**
+     * 著者（カンマ・読点区切り）を1人ずつに分ける
+     */
+    splitAuthors(authors) {
+        const names = String(authors || '').split(/[,、，]/).map(name => name.trim()).filter(Boolean);
+        return Array.from(new Set(names));
+    }
+
+    /**
+     * 選択した値で絞り込み、サイドバーの冊数を更新
+     * @param {Object[]} books - ほかのフィルター・検索で絞り込んだ本
+     * @returns {Object[]}
+     */
+    apply(books) {
+        const bookshelfBookIds = (this.userData.bookshelves || []).map(bookshelf => ({
+            id: bookshelf.id,
+            bookIds: new Set(this.bookshelf.getBookshelfBookIds(bookshelf))
+        }));
+        const entries = books.map(book => ({ book, values: this.getValues(book, bookshelfBookIds) }));
+
+        const matches = (values, facet) =>
+            this.selected[facet].size === 0 || values[facet].some(value => this.selected[facet].has(value));
+
+        // 各項目の冊数は、その項目以外の選択を満たす本から数える
+        const counts = {};
+        Object.keys(FacetFilter.FACETS).forEach(facet => {
+            counts[facet] = new Map();
+            entries.forEach(({ values }) => {
+                const others = Object.keys(FacetFilter.FACETS).every(other => other === facet || matches(values, other));
+                if (!others) return;
+                values[facet].forEach(value => counts[facet].set(value, (counts[facet].get(value) || 0) + 1));
+            });
+        });
+
+        this.counts = counts;
+        this.render();
+        return entries
+            .filter(({ values }) => Object.keys(FacetFilter.FACETS).every(facet => matches(values, facet)))
+            .map(({ book }) => book);
+    }
+
+    /**
+     * 値の表示名
+     */
+    getLabel(facet, value) {
+        switch (facet) {
+        case 'source':
+            return FacetFilter.SOURCE_LABELS[value] || value;
+        case 'readStatus':
+            return FacetFilter.READ_STATUS_LABELS[value];
+        case 'acquiredYear':
+            return `${value}年`;
+        case 'bookshelf': {
+            const bookshelf = this.userData.bookshelves?.find(b => b.id === value);
+            return bookshelf ? `${bookshelf.emoji || '📚'} ${bookshelf.name}` : value;
+        }
+        case 'memo':
+        case 'highlights':
+            return FacetFilter.PRESENCE_LABELS[value];
+        default:
+            return value;
+        }
+    }
+
+    /**
+     * 値の並び順（購入年は新しい順、あり・なしは固定、ほかは冊数の多い順）
+     */
+    sortValues(facet, counts) {
+        const values = Array.from(new Set([...counts.keys(), ...this.selected[facet]]));
+        if (facet === 'acquiredYear') {
+            return values.sort((a, b) => Number(b) - Number(a));
+        }
+        if (facet === 'memo' || facet === 'highlights') {
+            return Object.keys(FacetFilter.PRESENCE_LABELS).filter(value => values.includes(value));
+        }
+        return values.sort((a, b) => (counts.get(b) || 0) - (counts.get(a) || 0) ||
+            JapaneseText.compare(this.getLabel(facet, a), this.getLabel(facet, b)));
+    }
+
+    /**
+     * サイドバーの項目・値・冊数（apply() で数えたもの）を表示
+     */
+    render() {
+        const container = document.getElementById('facet-panel');
+        const counts = this.counts;
+        if (!container || !counts) return;
+
+        const html = Object.entries(FacetFilter.FACETS).map(([facet, { label, limit }]) => {
+            const values = this.sortValues(facet, counts[facet]);
+            if (values.length === 0) return '';
+
+            // 表示しきれない値も、選択中のものは表示する
+            const visible = limit && !this.expanded.has(facet) ?
+                values.filter((value, index) => index < limit || this.selected[facet].has(value)) :
+                values;
+
+            return `
+                <div class="facet" data-facet="${facet}">
+                    <div class="facet-title">${label}</div>
+                    ${visible.map(value => {
+                        const count = counts[facet].get(value) || 0;
+                        const checked = this.selected[facet].has(value);
+                        return `
+                            <label class="checkbox-label facet-value ${count === 0 ? 'empty' : ''}">
+                                <input type="checkbox" data-facet="${facet}" data-value="${this.escapeHtml(value)}" ${checked ? 'checked' : ''}>
+                                <span class="facet-label">${this.escapeHtml(this.getLabel(facet, value))}</span>
+                                <span class="facet-count">${count}</span>
+                            </label>
+                        `;
+                    }).join('')}
+                    ${limit && values.length > limit ? `
+                        <button class="facet-more" data-facet="${facet}">
+                            ${this.expanded.has(facet) ? '▲ 閉じる' : `▼ すべて表示（${values.length}件）`}
+                        </button>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            ${html}
+            ${this.hasSelection() ? '<button class="facet-clear">✕ 選択を解除</button>' : ''}
+        `;
+    }
+
+    /**
+     * サイドバーのイベント（値の選択・すべて表示・選択の解除）
+     */
+    setupEventListeners() {
+        const container = document.getElementById('facet-panel');
+        if (!container) return;
+
+        container.addEventListener('change', (e) => {
+            const { facet, value } = e.target.dataset;
+            if (!facet) return;
+            if (e.target.checked) {
+                this.selected[facet].add(value);
+            } else {
+                this.selected[facet].delete(value);
+            }
+            this.bookshelf.applyFilters();
+        });
+
+        container.addEventListener('click', (e) => {
+            if (e.target.classList.contains('facet-more')) {
+                const { facet } = e.target.dataset;
+                if (this.expanded.has(facet)) {
+                    this.expanded.delete(facet);
+                } else {
+                    this.expanded.add(facet);
+                }
+                this.render();
+            } else if (e.target.classList.contains('facet-clear')) {
+                this.clear();
+            }
+        });
+    }
+
+    clear() {
+        Object.values(this.selected).forEach(values => values.clear());
+        this.bookshelf.applyFilters();
+    }
+
+    escapeHtml(text) {
+        return this.bookshelf.escapeHtml(text);
+    }
+}
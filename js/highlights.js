@@ -3,6 +3,9 @@ class HighlightsManager {
     constructor(bookshelf) {
         this.bookshelf = bookshelf;
         this.highlightsCache = new Map();
+        this.searchIndex = null;
+        this.searchIndexPromise = null;
+        this.highlightBookIdsPromise = null;
     }
 
     async loadHighlightsForBook(book) {
@@ -14,22 +17,22 @@ class HighlightsManager {
 
         try {
             // Use bookId-based lookup from highlights index
-            const fileName = await this.getHighlightFileByBookId(book.bookId);
+            // 重複を統合した本は、統合した本（mergedBookIds）のハイライトもまとめて読み込む
+            const highlights = [];
+            for (const bookId of [book.bookId, ...(book.mergedBookIds || [])]) {
+                const fileName = await this.getHighlightFileByBookId(bookId);
+                if (!fileName) continue;
 
-            if (fileName) {
                 // ASCIIファイル名フォルダから読み込み（GitHub Pages対応）
                 const response = await fetch(`data/HighlightsASCII/${fileName}`);
                 if (response.ok) {
                     const markdownText = await response.text();
-                    const highlights = this.parseMarkdownHighlights(markdownText);
-                    this.highlightsCache.set(cacheKey, highlights);
-                    return highlights;
+                    highlights.push(...this.parseMarkdownHighlights(markdownText));
                 }
             }
 
-            // No highlights found
-            this.highlightsCache.set(cacheKey, []);
-            return [];
+            this.highlightsCache.set(cacheKey, highlights);
+            return highlights;
 
         } catch (error) {
             console.error('ハイライト読み込みエラー:', error);
@@ -52,6 +55,24 @@ class HighlightsManager {
         }
     }
 
+    /**
+     * ハイライトのある本のbookId（スマート本棚の「ハイライトがある」条件に使う）
+     * @returns {Promise<Set<string>>}
+     */
+    async loadHighlightBookIds() {
+        if (!this.highlightBookIdsPromise) {
+            this.highlightBookIdsPromise = (async () => {
+                try {
+                    const response = await fetch(`data/highlights-index.json?t=${Date.now()}`);
+                    return response.ok ? new Set(Object.keys(await response.json())) : new Set();
+                } catch (error) {
+                    return new Set();
+                }
+            })();
+        }
+        return this.highlightBookIdsPromise;
+    }
+
     extractBookIdFromMarkdown(markdownText) {
         // Extract bookId (ASIN) from YAML frontmatter
         const yamlMatch = markdownText.match(/---\s*\n([\s\S]*?)\n---/);
@@ -103,11 +124,18 @@ class HighlightsManager {
                         const text = locationMatch[1].trim();
                         const location = locationMatch[2];
 
+                        // 位置のリンク・ブロックID（^ref-xxx）より後の行はハイライトへのメモ
+                        // 色は位置の行に %%color: yellow%% として記録されている（Kindleノートブックから取り込んだ場合）
+                        const rest = match.slice(locationMatch[0].length);
+                        const colorMatch = rest.split('\n')[0].match(/%%color:\s*(\w+)%%/);
+                        const note = rest.replace(/^\([^)]*\)[^\n]*/, '').trim();
+
                         if (text.length > 10) {
                             highlights.push({
                                 text: text,
                                 location: `Kindle の位置: ${location}`,
-                                note: null
+                                note: note || null,
+                                color: colorMatch ? colorMatch[1] : null
                             });
                         }
                     }
@@ -142,7 +170,7 @@ class HighlightsManager {
         highlightsHTML += '<div class="highlights-list visible">';
         visibleHighlights.forEach((highlight, index) => {
             highlightsHTML += `
-                <div class="highlight-item" data-index="${index}">
+                <div class="highlight-item${highlight.color ? ` highlight-color-${this.escapeHtml(highlight.color)}` : ''}" data-index="${index}">
                     <div class="highlight-text">"${this.escapeHtml(highlight.text)}"</div>
                     ${highlight.note ? `<div class="highlight-note">${this.escapeHtml(highlight.note)}</div>` : ''}
                     ${highlight.location ? `<div class="highlight-location">${this.escapeHtml(highlight.location)}</div>` : ''}
@@ -155,7 +183,7 @@ class HighlightsManager {
             highlightsHTML += '<div class="highlights-list hidden" style="display: none;">';
             hiddenHighlights.forEach((highlight, index) => {
                 highlightsHTML += `
-                    <div class="highlight-item" data-index="${index + 3}">
+                    <div class="highlight-item${highlight.color ? ` highlight-color-${this.escapeHtml(highlight.color)}` : ''}" data-index="${index + 3}">
                         <div class="highlight-text">"${this.escapeHtml(highlight.text)}"</div>
                         ${highlight.note ? `<div class="highlight-note">${this.escapeHtml(highlight.note)}</div>` : ''}
                         ${highlight.location ? `<div class="highlight-location">${this.escapeHtml(highlight.location)}</div>` : ''}
@@ -193,15 +221,120 @@ class HighlightsManager {
         return div.innerHTML;
     }
 
+    /**
+     * 全文検索用の転置インデックスを読み込み（data/highlights-search-index.json）
+     * @returns {Promise<Object|null>} インデックスが無い場合はnull
+     */
+    async loadSearchIndex() {
+        if (this.searchIndex) {
+            return this.searchIndex;
+        }
+
+        if (!this.searchIndexPromise) {
+            this.searchIndexPromise = (async () => {
+                try {
+                    const response = await fetch('data/highlights-search-index.json');
+                    if (!response.ok) {
+                        return null;
+                    }
+                    const index = await response.json();
+                    if (index.version !== HighlightsManager.SEARCH_INDEX_VERSION) {
+                        console.warn('ハイライト検索インデックスのバージョンが異なります。スクリプトで再生成してください');
+                        return null;
+                    }
+                    this.searchIndex = index;
+                    return index;
+                } catch (error) {
+                    return null;
+                }
+            })();
+        }
+
+        return this.searchIndexPromise;
+    }
+
+    /**
+     * 転置インデックスを使ってハイライトを検索
+     * @param {Object} index - loadSearchIndex() で読み込んだインデックス
+     * @param {string} query - 検索語（空白区切りでAND検索）
+     * @returns {Array<{bookId: string, highlights: Object[]}>}
+     */
+    searchHighlightIndex(index, query) {
+        const terms = HighlightsManager.getSearchTerms(query);
+        if (terms.length === 0) {
+            return [];
+        }
+
+        // 各検索語のbigramで候補を絞り込む
+        let candidates = null;
+        for (const term of terms) {
+            for (const gram of HighlightsManager.tokenize(term)) {
+                const postings = index.postings[gram] || [];
+                candidates = candidates === null ?
+                    new Set(postings) :
+                    new Set(postings.filter(id => candidates.has(id)));
+                if (candidates.size === 0) {
+                    return [];
+                }
+            }
+        }
+
+        // 1文字の検索語のみの場合はbigramで絞り込めないので全件を対象にする
+        const documentIds = candidates === null ?
+            index.documents.map((doc, id) => id) :
+            Array.from(candidates).sort((a, b) => a - b);
+
+        const resultsByBook = new Map();
+        documentIds.forEach(id => {
+            const doc = index.documents[id];
+            if (!HighlightsManager.matchesSearchTerms(doc, terms)) {
+                return; // bigramの偶然の一致を除外
+            }
+
+            if (!resultsByBook.has(doc.bookId)) {
+                resultsByBook.set(doc.bookId, []);
+            }
+            resultsByBook.get(doc.bookId).push({
+                text: doc.text,
+                location: doc.location,
+                note: doc.note || null,
+                color: doc.color || null
+            });
+        });
+
+        return Array.from(resultsByBook, ([bookId, highlights]) => ({ bookId, highlights }));
+    }
+
     async searchInHighlights(query) {
+        // 事前生成されたインデックスがあれば即座に検索
+        const index = await this.loadSearchIndex();
+        if (index) {
+            // 統合した本（mergedBookIds）のハイライトは統合先の本の結果にまとめる
+            const results = new Map();
+            this.searchHighlightIndex(index, query).forEach(({ bookId, highlights }) => {
+                const book = this.bookshelf.books.find(item =>
+                    item.bookId === bookId || (item.mergedBookIds || []).includes(bookId));
+                if (!book) return;
+
+                if (results.has(book.bookId)) {
+                    results.get(book.bookId).highlights.push(...highlights);
+                } else {
+                    results.set(book.bookId, { book, highlights: [...highlights] });
+                }
+            });
+            return Array.from(results.values());
+        }
+
+        // インデックスがない場合は全ファイルを順に読み込んで検索（インデックスと同じく検索語をすべて含むハイライト）
         const results = [];
+        const terms = HighlightsManager.getSearchTerms(query);
+        if (terms.length === 0) {
+            return results;
+        }
 
         for (const book of this.bookshelf.books) {
             const highlights = await this.loadHighlightsForBook(book);
-            const matchingHighlights = highlights.filter(highlight =>
-                highlight.text.toLowerCase().includes(query.toLowerCase()) ||
-                (highlight.note && highlight.note.toLowerCase().includes(query.toLowerCase()))
-            );
+            const matchingHighlights = highlights.filter(highlight => HighlightsManager.matchesSearchTerms(highlight, terms));
 
             if (matchingHighlights.length > 0) {
                 results.push({
@@ -264,6 +397,98 @@ class HighlightsManager {
                     .reduce((sum, highlights) => sum + highlights.length, 0) / this.highlightsCache.size : 0
         };
     }
+
+    /**
+     * 検索インデックスのフォーマットバージョン
+     */
+    static SEARCH_INDEX_VERSION = 2;
+
+    /**
+     * 検索用に文字列を正規化（全角→半角・大文字→小文字・カタカナ→ひらがな。本の検索と同じ JapaneseText.normalize）
+     * @param {string} text
+     * @returns {string}
+     */
+    static normalizeSearchText(text) {
+        return JapaneseText.normalize(text);
+    }
+
+    /**
+     * 検索語（空白区切りでAND検索）を正規化して分ける
+     * @param {string} query
+     * @returns {string[]}
+     */
+    static getSearchTerms(query) {
+        return HighlightsManager.normalizeSearchText(query).split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * ハイライトの本文とメモを合わせた文章に、すべての検索語（getSearchTerms の結果）が含まれるか
+     * @param {{text: string, note?: string|null}} highlight
+     * @param {string[]} terms
+     * @returns {boolean}
+     */
+    static matchesSearchTerms(highlight, terms) {
+        const haystack = HighlightsManager.normalizeSearchText(`${highlight.text} ${highlight.note || ''}`);
+        return terms.every(term => haystack.includes(term));
+    }
+
+    /**
+     * 文字列をbigramに分割（日本語は単語区切りがないため文字n-gramを使う）
+     * @param {string} text - 正規化済み文字列
+     * @returns {Set<string>}
+     */
+    static tokenize(text) {
+        const grams = new Set();
+        text.split(/\s+/).filter(Boolean).forEach(word => {
+            for (let i = 0; i < word.length - 1; i++) {
+                grams.add(word.slice(i, i + 2));
+            }
+        });
+        return grams;
+    }
+
+    /**
+     * ハイライト一覧から転置インデックスを構築（scripts/generate-highlights-search-index.js から利用）
+     * @param {Array<{bookId: string, highlights: Object[]}>} entries
+     * @returns {{version: number, generatedAt: string, documents: Object[], postings: Object<string, number[]>}}
+     */
+    static buildSearchIndex(entries) {
+        const documents = [];
+        const postings = {};
+
+        entries.forEach(({ bookId, highlights }) => {
+            highlights.forEach(highlight => {
+                const id = documents.length;
+                documents.push({
+                    bookId,
+                    text: highlight.text,
+                    location: highlight.location,
+                    ...(highlight.note && { note: highlight.note }),
+                    ...(highlight.color && { color: highlight.color })
+                });
+
+                const normalized = HighlightsManager.normalizeSearchText(`${highlight.text} ${highlight.note || ''}`);
+                HighlightsManager.tokenize(normalized).forEach(gram => {
+                    if (!postings[gram]) {
+                        postings[gram] = [];
+                    }
+                    postings[gram].push(id);
+                });
+            });
+        });
+
+        return {
+            version: HighlightsManager.SEARCH_INDEX_VERSION,
+            generatedAt: new Date().toISOString(),
+            documents,
+            postings
+        };
+    }
 }
 
 // HighlightsManager is now initialized directly in bookshelf.js after bookshelf is ready
+
+// Node.js（scripts/）からも利用できるようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HighlightsManager;
+}
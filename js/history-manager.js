@@ -0,0 +1,368 @@
+// History Manager - 操作履歴（元に戻す / やり直す）
+// 保存のたびに書籍・メモ・本棚・並び順をレコード単位で比較し、変更前後の値を操作履歴に記録する
+// 履歴はLocalStorageに保存するため、再読み込み後も元に戻せる
+
+/**
+ * @typedef {Object} HistoryChange
+ * @property {string} recordId - レコードID（例: "bookshelves/bookshelf_1234567890"）
+ * @property {*} before - 変更前の値（追加の場合はundefined）
+ * @property {*} after - 変更後の値（削除の場合はundefined）
+ */
+
+/**
+ * @typedef {Object} HistoryEntry
+ * @property {string} label - 操作の説明
+ * @property {number} timestamp - 操作日時
+ * @property {HistoryChange[]} changes
+ */
+
+class HistoryManager {
+    static STORAGE_KEY = 'virtualBookshelf_history';
+    static MAX_ENTRIES = 50;
+
+    /**
+     * LocalStorageに保存する操作履歴の上限（JSONの文字数）
+     * 書籍のレコードと同じ容量を使うため、全削除・一括タグ付け・インポートなどの大きな操作の履歴で
+     * 書籍を保存できなくならないよう、上限を超える分はこのセッション中のみ保持する
+     */
+    static MAX_STORAGE_SIZE = 1024 * 1024;
+
+    /**
+     * 続けて行われた保存（書籍の削除 → 本棚からの除外など）を1つの操作にまとめる時間（ミリ秒）
+     */
+    static CAPTURE_DELAY = 300;
+
+    /**
+     * 履歴の対象（表示設定などは対象外）。ラベルに使う優先順
+     */
+    static COLLECTIONS = {
+        books: '書籍',
+        bookshelves: '本棚',
+        notes: 'メモ・評価',
+        bookOrder: '並び順'
+    };
+
+    constructor(bookshelf) {
+        this.bookshelf = bookshelf;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.snapshot = null;
+        this.captureTimer = null;
+        this.toastTimer = null;
+    }
+
+    /**
+     * データ読み込み後に呼び出し、現在の状態を基準として記録
+     */
+    initialize() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(HistoryManager.STORAGE_KEY) || 'null');
+            if (saved) {
+                this.undoStack = saved.undo || [];
+                this.redoStack = saved.redo || [];
+            }
+        } catch (error) {
+            console.error('操作履歴の読み込みエラー:', error);
+        }
+
+        this.snapshot = this.createSnapshot();
+        this.updateButtons();
+    }
+
+    /**
+     * 保存時に呼び出し、少し待ってから変更を記録
+     */
+    schedule() {
+        if (!this.snapshot) return;
+
+        clearTimeout(this.captureTimer);
+        this.captureTimer = setTimeout(() => this.capture(), HistoryManager.CAPTURE_DELAY);
+    }
+
+    /**
+     * 前回の記録からの変更を操作履歴に追加
+     */
+    capture() {
+        clearTimeout(this.captureTimer);
+        this.captureTimer = null;
+        if (!this.snapshot) return;
+
+        const current = this.createSnapshot();
+        const changes = this.diff(this.snapshot, current);
+        this.snapshot = current;
+        if (changes.length === 0) return;
+
+        this.undoStack.push({
+            label: this.describeChanges(changes),
+            timestamp: Date.now(),
+            changes
+        });
+        if (this.undoStack.length > HistoryManager.MAX_ENTRIES) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+
+        this.persist();
+        this.updateButtons();
+    }
+
+    /**
+     * 他の端末の変更を取り込んだ時など、履歴に残さずに基準を更新
+     */
+    resync() {
+        clearTimeout(this.captureTimer);
+        this.captureTimer = null;
+        if (this.snapshot) {
+            this.snapshot = this.createSnapshot();
+        }
+    }
+
+    async undo() {
+        await this.move(this.undoStack, this.redoStack, 'before', '↩️ 元に戻しました');
+    }
+
+    async redo() {
+        await this.move(this.redoStack, this.undoStack, 'after', '↪️ やり直しました');
+    }
+
+    async move(fromStack, toStack, side, message) {
+        // 記録待ちの変更があれば先に記録
+        if (this.captureTimer) {
+            this.capture();
+        }
+
+        const entry = fromStack[fromStack.length - 1];
+        if (!entry) return;
+
+        // 記録後に別の操作や他の端末で変更されたレコードがあれば確認
+        const otherSide = side === 'before' ? 'after' : 'before';
+        const modified = entry.changes.filter(change =>
+            this.snapshot.get(change.recordId) !== this.stringify(change[otherSide]));
+        if (modified.length > 0 &&
+            !confirm(`⚠️ 「${entry.label}」の後に変更されたデータがあります（${modified.length}件）\n\nそのデータも操作前の状態に戻りますが、続けますか？`)) {
+            return;
+        }
+
+        fromStack.pop();
+        toStack.push(entry);
+
+        try {
+            await this.applyChanges(entry.changes, side);
+            this.persist();
+            this.updateButtons();
+            this.showToast(`${message}: ${entry.label}`);
+        } catch (error) {
+            console.error('操作履歴の適用エラー:', error);
+            alert('❌ 操作を元に戻せませんでした: ' + error.message);
+        }
+    }
+
+    /**
+     * 変更前（または変更後）の値をデータに書き戻して保存
+     */
+    async applyChanges(changes, side) {
+        const bookshelf = this.bookshelf;
+        const storage = bookshelf.storage;
+        const bookManager = bookshelf.bookManager;
+
+        const libraryRecords = storage.splitRecords(StorageManager.KEYS.library, { books: bookManager.library.books });
+        const userDataRecords = storage.splitRecords(StorageManager.KEYS.userData, this.getUserDataCollections());
+
+        changes.forEach(change => {
+            const records = this.getCollection(change.recordId) === 'books' ? libraryRecords : userDataRecords;
+            const value = change[side];
+            if (value === undefined) {
+                records.delete(change.recordId);
+            } else {
+                records.set(change.recordId, JSON.parse(JSON.stringify(value)));
+            }
+        });
+
+        const library = storage.joinRecords(StorageManager.KEYS.library, libraryRecords, { books: bookManager.library.books });
+        const userData = storage.joinRecords(StorageManager.KEYS.userData, userDataRecords, this.getUserDataCollections());
+
+        bookManager.library.books = library.books;
+        bookManager.library.metadata = {
+            ...bookManager.library.metadata,
+            totalBooks: library.books.length
+        };
+        bookshelf.userData.bookshelves = userData.bookshelves;
+        bookshelf.userData.notes = userData.notes;
+        bookshelf.userData.bookOrder = userData.bookOrder;
+
+        await bookManager.saveLibrary();
+        await bookshelf.saveUserData();
+        // 書き戻しは履歴に残さない
+        this.resync();
+
+        if (bookshelf.currentBookshelf !== 'all' &&
+            !bookshelf.userData.bookshelves.some(b => b.id === bookshelf.currentBookshelf)) {
+            bookshelf.currentBookshelf = 'all';
+        }
+        bookshelf.refreshLibraryView();
+        bookshelf.renderBookshelfList();
+    }
+
+    getUserDataCollections() {
+        const userData = this.bookshelf.userData;
+        return {
+            bookshelves: userData.bookshelves || [],
+            notes: userData.notes || {},
+            bookOrder: userData.bookOrder || {}
+        };
+    }
+
+    getCollection(recordId) {
+        return recordId.slice(0, recordId.indexOf('/'));
+    }
+
+    /**
+     * 現在のデータをレコードID → JSON文字列に変換
+     * @returns {Map<string, string>}
+     */
+    createSnapshot() {
+        const storage = this.bookshelf.storage;
+        const snapshot = new Map();
+
+        [
+            storage.splitRecords(StorageManager.KEYS.library, { books: this.bookshelf.bookManager.library.books }),
+            storage.splitRecords(StorageManager.KEYS.userData, this.getUserDataCollections())
+        ].forEach(records => records.forEach((value, recordId) => {
+            snapshot.set(recordId, this.stringify(value));
+        }));
+
+        return snapshot;
+    }
+
+    stringify(value) {
+        return value === undefined ? undefined : JSON.stringify(value);
+    }
+
+    /**
+     * @returns {HistoryChange[]}
+     */
+    diff(before, after) {
+        const changes = [];
+        new Set([...before.keys(), ...after.keys()]).forEach(recordId => {
+            const beforeValue = before.get(recordId);
+            const afterValue = after.get(recordId);
+            if (beforeValue === afterValue) return;
+
+            changes.push({
+                recordId,
+                before: beforeValue === undefined ? undefined : JSON.parse(beforeValue),
+                after: afterValue === undefined ? undefined : JSON.parse(afterValue)
+            });
+        });
+        return changes;
+    }
+
+    /**
+     * 操作の説明（例: 「📚 本棚「技術書」を削除」「書籍 12件を追加 など」）
+     */
+    describeChanges(changes) {
+        const collection = Object.keys(HistoryManager.COLLECTIONS)
+            .find(name => changes.some(change => this.getCollection(change.recordId) === name));
+        const primary = changes.filter(change => this.getCollection(change.recordId) === collection);
+        const suffix = primary.length < changes.length ? ' など' : '';
+
+        const getAction = (change) => change.before === undefined ? '追加' : change.after === undefined ? '削除' : '変更';
+
+        if (primary.length === 1) {
+            const [change] = primary;
+            const name = this.bookshelf.describeStorageRecord(change.recordId, change.after ?? change.before);
+            return `${name}を${getAction(change)}${suffix}`;
+        }
+
+        const actions = new Set(primary.map(getAction));
+        const action = actions.size === 1 ? Array.from(actions)[0] : '変更';
+        return `${HistoryManager.COLLECTIONS[collection]} ${primary.length}件を${action}${suffix}`;
+    }
+
+    /**
+     * LocalStorageに保存（新しい操作から MAX_STORAGE_SIZE に収まる分だけ。容量不足の場合は古い履歴から減らす）
+     * 収まらない操作とそれより古い操作は保存しない（再読み込み後に途中の操作を飛ばして戻さないように）
+     */
+    persist() {
+        let remaining = HistoryManager.MAX_STORAGE_SIZE;
+        const fit = (stack) => {
+            let start = stack.length;
+            while (start > 0) {
+                const size = JSON.stringify(stack[start - 1]).length;
+                if (size > remaining) break;
+                remaining -= size;
+                start--;
+            }
+            return stack.slice(start);
+        };
+        const saved = { undo: fit(this.undoStack), redo: fit(this.redoStack) };
+
+        while (saved.undo.length > 0 || saved.redo.length > 0) {
+            try {
+                localStorage.setItem(HistoryManager.STORAGE_KEY, JSON.stringify(saved));
+                return;
+            } catch (error) {
+                (saved.undo.length > 0 ? saved.undo : saved.redo).shift();
+            }
+        }
+
+        if (this.undoStack.length > 0 || this.redoStack.length > 0) {
+            console.warn('操作履歴が大きすぎるため保存できませんでした（このセッション中のみ保持します）');
+        }
+        localStorage.removeItem(HistoryManager.STORAGE_KEY);
+    }
+
+    updateButtons() {
+        const undoBtn = document.getElementById('undo-action');
+        const redoBtn = document.getElementById('redo-action');
+        const lastUndo = this.undoStack[this.undoStack.length - 1];
+        const lastRedo = this.redoStack[this.redoStack.length - 1];
+
+        if (undoBtn) {
+            undoBtn.disabled = !lastUndo;
+            undoBtn.title = lastUndo ? `元に戻す: ${lastUndo.label}（Ctrl+Z）` : '元に戻す操作はありません';
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !lastRedo;
+            redoBtn.title = lastRedo ? `やり直す: ${lastRedo.label}（Ctrl+Shift+Z）` : 'やり直す操作はありません';
+        }
+    }
+
+    /**
+     * Ctrl+Z / Ctrl+Shift+Z（MacはCmd）のキー操作
+     * 入力欄での操作はブラウザ標準の取り消しを優先する
+     */
+    handleKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+            this.redo();
+        } else {
+            this.undo();
+        }
+    }
+
+    showToast(message) {
+        let toast = document.getElementById('history-toast');
+        if (!toast) {
+            toast = document.createElement('div');
+            toast.id = 'history-toast';
+            toast.className = 'history-toast';
+            document.body.appendChild(toast);
+        }
+
+        toast.textContent = message;
+        toast.classList.add('show');
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => toast.classList.remove('show'), 2500);
+    }
+}
@@ -0,0 +1,279 @@
+// Import Mapper - Kindle・Goodreads・読書メーター以外のJSON/CSVを、列と蔵書の項目の対応付けで取り込む
+// 他のエクスポートツールやスクレイピングした一覧は列名・日付の形式がまちまちなため、
+// 対応付け（ImportMapping）に名前を付けて設定（settings.importMappings）に保存し、同じ形式のファイルで再利用する
+// 変換した本は書籍選択画面 showBookSelectionForImport、または scripts/library-cli.js の import-mapped で取り込む
+
+/**
+ * @typedef {Object} ImportMapping
+ * @property {string} name - 対応付けの名前
+ * @property {Object<string, string>} fields - 蔵書の項目（ImportMapper.FIELDS のキー） → 列名（入れ子の値は "volumeInfo.title" のようにドット区切り）
+ * @property {string} dateFormat - 購入日の形式（ImportMapper.DATE_FORMATS のキー）
+ * @property {string[]} readValues - 既読とみなす値（大文字・小文字は区別しない）
+ */
+
+class ImportMapper {
+    /**
+     * 対応付けで取り込んだ本の source
+     */
+    static SOURCE = 'custom_import';
+
+    /**
+     * 蔵書の項目と、自動で対応付ける列名
+     * bookId・isbn のどちらかと title が必須
+     */
+    static FIELDS = {
+        bookId: { label: 'ASIN・商品コード', aliases: ['bookId', 'asin', 'productId', 'amazonUrl', '商品コード'] },
+        isbn: { label: 'ISBN', aliases: ['isbn', 'isbn13', 'isbn10', 'ISBN', 'ISBN13', 'ISBN10'] },
+        title: { label: 'タイトル', aliases: ['title', 'name', 'bookTitle', 'タイトル', '書名'] },
+        authors: { label: '著者', aliases: ['authors', 'author', 'creator', 'creators', 'writer', '著者', '著者名'] },
+        acquiredTime: { label: '購入日', aliases: ['acquiredTime', 'purchaseDate', 'purchasedAt', 'purchased', 'addedAt', 'dateAdded', 'date', '購入日', '登録日'] },
+        readStatus: { label: '既読状態', aliases: ['readStatus', 'status', 'read', 'isRead', '既読', '状態'] },
+        productImage: { label: '表紙', aliases: ['productImage', 'image', 'imageUrl', 'cover', 'coverUrl', 'thumbnail', '表紙', '画像'] }
+    };
+
+    static DATE_FORMATS = {
+        auto: '自動判定',
+        unixMs: 'UNIX時間（ミリ秒）',
+        unix: 'UNIX時間（秒）',
+        ymd: '年/月/日（2024/05/14、2024-05-14、2024年5月14日）',
+        mdy: '月/日/年（05/14/2024）',
+        dmy: '日/月/年（14/05/2024）'
+    };
+
+    static DEFAULT_READ_VALUES = ['read', 'true', '1', 'yes', '既読', '読了', '読んだ本'];
+
+    /**
+     * @param {BookManager} bookManager - ISBNの判定・Amazonの表紙URLに使う
+     * @param {CsvImporter} [csvImporter] - CSVの分割に使う
+     */
+    constructor(bookManager, csvImporter = new CsvImporter(bookManager)) {
+        this.bookManager = bookManager;
+        this.csvImporter = csvImporter;
+    }
+
+    /**
+     * ファイルの内容を1冊1件のレコードにする
+     * CSVは1行目を列名とし、JSONは配列（または配列を持つオブジェクト: {"books": [...]} など）を読む
+     * @returns {Object[]}
+     */
+    parse(text, fileName = '') {
+        const content = text.replace(/^\uFEFF/, '');
+
+        if (/\.csv$/i.test(fileName)) {
+            const rows = this.csvImporter.parseCsv(content).filter(row => row.some(cell => cell.trim() !== ''));
+            if (rows.length < 2) {
+                throw new Error('CSVに書籍データがありません');
+            }
+            const headers = rows[0].map(header => header.trim());
+            return rows.slice(1).map(row =>
+                Object.fromEntries(headers.map((header, index) => [header, (row[index] || '').trim()])));
+        }
+
+        const data = JSON.parse(content);
+        const records = Array.isArray(data) ? data : Object.values(data || {}).find(value => Array.isArray(value));
+        if (!records || records.length === 0) {
+            throw new Error('JSONに書籍の一覧（配列）が見つかりません');
+        }
+        return records.filter(record => record && typeof record === 'object');
+    }
+
+    /**
+     * Kindle Bookshelf Exporter の形式（そのまま importFromKindle できる）か
+     */
+    isKindleExport(records) {
+        return records.length > 0 && records.every(record =>
+            (record.bookId || record.asin) && typeof record.title === 'string');
+    }
+
+    /**
+     * レコードの列名（入れ子のオブジェクトはドット区切り）
+     * @returns {string[]}
+     */
+    getColumns(records) {
+        const columns = new Set();
+        const collect = (value, prefix) => {
+            Object.entries(value).forEach(([key, child]) => {
+                const path = prefix ? `${prefix}.${key}` : key;
+                if (child && typeof child === 'object' && !Array.isArray(child)) {
+                    collect(child, path);
+                } else {
+                    columns.add(path);
+                }
+            });
+        };
+        records.slice(0, 50).forEach(record => collect(record, ''));
+        return Array.from(columns);
+    }
+
+    /**
+     * 列名から対応付けを推測（大文字・小文字・記号の違いは無視）
+     * @returns {ImportMapping}
+     */
+    guessMapping(columns) {
+        const simplify = (name) => name.split('.').pop().toLowerCase().replace(/[\s_-]/g, '');
+        const used = new Set();
+        const fields = {};
+
+        Object.entries(ImportMapper.FIELDS).forEach(([field, { aliases }]) => {
+            const column = aliases
+                .map(alias => columns.find(name => !used.has(name) && simplify(name) === simplify(alias)))
+                .find(Boolean);
+            if (column) {
+                fields[field] = column;
+                used.add(column);
+            }
+        });
+
+        return { name: '', fields, dateFormat: 'auto', readValues: ImportMapper.DEFAULT_READ_VALUES };
+    }
+
+    /**
+     * 保存した対応付けのうち、使う列がすべてファイルにあるもの
+     * @param {ImportMapping[]} mappings
+     * @returns {ImportMapping|null}
+     */
+    findMatchingMapping(mappings, columns) {
+        return mappings.find(mapping => {
+            const used = Object.values(mapping.fields).filter(Boolean);
+            return used.length > 0 && used.every(column => columns.includes(column));
+        }) || null;
+    }
+
+    /**
+     * 対応付けの誤り（問題なければ空配列）
+     * @returns {string[]}
+     */
+    validate(mapping) {
+        const errors = [];
+        if (!mapping.fields.title) {
+            errors.push('タイトルの列を選択してください');
+        }
+        if (!mapping.fields.bookId && !mapping.fields.isbn) {
+            errors.push('ASIN・商品コードかISBNの列を選択してください');
+        }
+        if (!ImportMapper.DATE_FORMATS[mapping.dateFormat]) {
+            errors.push(`不明な日付の形式です: ${mapping.dateFormat}`);
+        }
+        return errors;
+    }
+
+    /**
+     * レコードを書籍選択画面で使う形式（Kindleインポートと同じ項目）に変換
+     * タイトルか識別子（ASIN・商品コード・ISBN）がないレコードはスキップ
+     * @returns {{books: Object[], skipped: number}}
+     */
+    mapRecords(records, mapping) {
+        const errors = this.validate(mapping);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+
+        const books = records.map(record => this.mapRecord(record, mapping)).filter(Boolean);
+        return { books, skipped: records.length - books.length };
+    }
+
+    mapRecord(record, { fields, dateFormat, readValues }) {
+        const get = (field) => fields[field] ? this.getValue(record, fields[field]) : undefined;
+
+        const title = this.toText(get('title'));
+        const isbnValue = this.bookManager.normalizeIsbn(this.toText(get('isbn')));
+        const cleanIsbn = this.bookManager.isValidIsbn(isbnValue) ? isbnValue : '';
+        const bookId = this.toProductCode(this.toText(get('bookId'))) || cleanIsbn;
+        if (!title || !bookId) return null;
+
+        const isbn = this.bookManager.toIsbn13(cleanIsbn) || this.bookManager.toIsbn13(bookId);
+        const amazonId = this.bookManager.getAmazonId(bookId);
+        const readValue = get('readStatus');
+
+        return {
+            bookId,
+            title,
+            authors: this.toText(get('authors')),
+            acquiredTime: this.parseDate(get('acquiredTime'), dateFormat) || Date.now(),
+            readStatus: fields.readStatus ? (this.isRead(readValue, readValues) ? 'READ' : 'UNREAD') : 'UNKNOWN',
+            productImage: this.toText(get('productImage')) ||
+                (amazonId ? `https://images-na.ssl-images-amazon.com/images/P/${amazonId}.01.L.jpg` : ''),
+            ...(isbn && { isbn }),
+            source: ImportMapper.SOURCE
+        };
+    }
+
+    /**
+     * ASIN・商品コードの列の値を bookId にする（AmazonのURLはASINを取り出す）
+     * 行番号などASIN・ISBNでない値は使わない（ISBNの列にフォールバック）
+     */
+    toProductCode(value) {
+        if (/^https?:\/\//.test(value)) {
+            return /amazon\./i.test(value) ? (this.bookManager.extractASINFromUrl(value) || '') : '';
+        }
+        const code = this.bookManager.normalizeIsbn(value);
+        return this.bookManager.isValidProductCode(code) ? code : '';
+    }
+
+    /**
+     * 列の値（"volumeInfo.title" は入れ子をたどる。ドットを含む列名そのものがあればそちらを優先）
+     */
+    getValue(record, column) {
+        if (column in record) {
+            return record[column];
+        }
+        return column.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), record);
+    }
+
+    /**
+     * 文字列にする（配列は「, 」区切り、オブジェクトは空文字）
+     */
+    toText(value) {
+        if (value === undefined || value === null) return '';
+        if (Array.isArray(value)) {
+            return value.map(item => this.toText(item)).filter(Boolean).join(', ');
+        }
+        if (typeof value === 'object') return '';
+        return String(value).trim();
+    }
+
+    isRead(value, readValues = ImportMapper.DEFAULT_READ_VALUES) {
+        if (value === true) return true;
+        const text = this.toText(value).toLowerCase();
+        return text !== '' && readValues.some(readValue => readValue.toLowerCase() === text);
+    }
+
+    /**
+     * 日付をタイムスタンプに変換（年月日のみの場合はローカル時刻0時、読めない場合はnull）
+     */
+    parseDate(value, format = 'auto') {
+        const text = this.toText(value);
+        if (!text) return null;
+
+        if (/^\d+(\.\d+)?$/.test(text)) {
+            const number = Number(text);
+            if (format === 'unix') return number * 1000;
+            if (format === 'unixMs') return number;
+            // 自動判定: 1e11 未満は秒とみなす（ミリ秒だと1973年以前になるため）
+            if (format === 'auto') return number < 1e11 ? number * 1000 : number;
+        }
+
+        if (format === 'mdy' || format === 'dmy') {
+            const match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/);
+            if (!match) return null;
+            const [, first, second, year] = match.map(Number);
+            return format === 'mdy' ? new Date(year, first - 1, second).getTime() : new Date(year, second - 1, first).getTime();
+        }
+
+        const ymd = text.match(/^(\d{4})[/.\-年](\d{1,2})[/.\-月](\d{1,2})日?$/);
+        if (ymd) {
+            const [, year, month, day] = ymd.map(Number);
+            return new Date(year, month - 1, day).getTime();
+        }
+        if (format !== 'auto') return null;
+
+        // ISO 8601・"May 14, 2024" など
+        const time = Date.parse(text);
+        return Number.isNaN(time) ? null : time;
+    }
+}
+
+// Node.js（scripts/）からも利用できるようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportMapper;
+}
@@ -0,0 +1,114 @@
+// Japanese Text - 日本語の検索・並び替え用の文字列処理
+// 「chatgpt」で「ＣｈａｔＧＰＴ」、「からあげ」で「カラアゲ」が見つかるよう、全角・半角、ひらがな・カタカナ、
+// 大文字・小文字の違いを揃えて比較し、長い検索語（6文字以上）は1〜2文字の打ち間違いも許す
+// 並び替えは Intl.Collator（日本語）で、数字は数値として比べる（2巻 → 10巻の順）
+
+class JapaneseText {
+    /**
+     * 打ち間違いを許す文字数（検索語の長さ → 許す編集距離）
+     * 短い語は別の語に一致しやすいため完全一致のみ（1文字違いを許すと「からあげ」が「…から逃げる」、「rust」が「harvard business」に一致する）
+     */
+    static TYPO_TOLERANCE = [
+        { minLength: 10, distance: 2 },
+        { minLength: 6, distance: 1 }
+    ];
+
+    /**
+     * 検索時に無視する記号（空白・中黒・括弧・句読点など）
+     */
+    static IGNORED_CHARACTERS = /[\s・·、。,.!?'"“”‘’()[\]{}（）「」『』【】〈〉《》:;~〜-]/g;
+
+    static collator = new Intl.Collator('ja', { numeric: true });
+
+    // 同じタイトルを何度も正規化しないよう結果を覚えておく（大きくなりすぎたら捨てる）
+    static cache = new Map();
+    static CACHE_SIZE = 20000;
+
+    /**
+     * 全角・半角（NFKC）、大文字・小文字、カタカナ・ひらがなの違いを揃える
+     */
+    static normalize(text) {
+        return String(text ?? '')
+            .normalize('NFKC')
+            .toLowerCase()
+            // カタカナ（ァ〜ヶ）をひらがなに
+            .replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60))
+            .trim();
+    }
+
+    /**
+     * 検索で比べる形（normalize に加えて空白・記号を除く）
+     */
+    static toSearchKey(text) {
+        const value = String(text ?? '');
+        let key = JapaneseText.cache.get(value);
+        if (key === undefined) {
+            if (JapaneseText.cache.size >= JapaneseText.CACHE_SIZE) {
+                JapaneseText.cache.clear();
+            }
+            key = JapaneseText.normalize(value).replace(JapaneseText.IGNORED_CHARACTERS, '');
+            JapaneseText.cache.set(value, key);
+        }
+        return key;
+    }
+
+    /**
+     * 表記の違いを無視して含むか（打ち間違いは許さない）
+     */
+    static includes(text, term) {
+        return JapaneseText.toSearchKey(text).includes(JapaneseText.toSearchKey(term));
+    }
+
+    /**
+     * 表記の違いを無視し、長い検索語は打ち間違いも許して含むか
+     */
+    static fuzzyIncludes(text, term) {
+        const target = JapaneseText.toSearchKey(text);
+        const pattern = JapaneseText.toSearchKey(term);
+        if (target.includes(pattern)) return true;
+
+        const maxDistance = JapaneseText.getTypoTolerance(pattern.length);
+        if (maxDistance === 0 || target.length < pattern.length - maxDistance) return false;
+        return JapaneseText.findApproximate(target, pattern, maxDistance);
+    }
+
+    static getTypoTolerance(length) {
+        return JapaneseText.TYPO_TOLERANCE.find(({ minLength }) => length >= minLength)?.distance || 0;
+    }
+
+    /**
+     * 編集距離（挿入・削除・置換・隣り合う文字の入れ替え）が maxDistance 以下の部分文字列があるか
+     * 検索語の位置は問わないよう、文字列の先頭からの距離は数えない（近似文字列照合）
+     */
+    static findApproximate(target, pattern, maxDistance) {
+        let beforePrevious = null;
+        let previous = Array.from({ length: pattern.length + 1 }, (_, index) => index);
+
+        for (let j = 1; j <= target.length; j++) {
+            const current = [0];
+            for (let i = 1; i <= pattern.length; i++) {
+                const cost = pattern[i - 1] === target[j - 1] ? 0 : 1;
+                current[i] = Math.min(previous[i] + 1, current[i - 1] + 1, previous[i - 1] + cost);
+                if (beforePrevious && i > 1 && pattern[i - 1] === target[j - 2] && pattern[i - 2] === target[j - 1]) {
+                    current[i] = Math.min(current[i], beforePrevious[i - 2] + 1);
+                }
+            }
+            if (current[pattern.length] <= maxDistance) return true;
+            beforePrevious = previous;
+            previous = current;
+        }
+        return false;
+    }
+
+    /**
+     * 日本語の並び順で比べる（ひらがな・カタカナ、全角・半角の違いは同じ位置に並べ、数字は数値として比べる）
+     */
+    static compare(a, b) {
+        return JapaneseText.collator.compare(String(a ?? ''), String(b ?? ''));
+    }
+}
+
+// Node.js（scripts/）からも利用できるようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JapaneseText;
+}
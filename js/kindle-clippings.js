@@ -0,0 +1,422 @@
+// Kindle Clippings - 電子書籍リーダーのKindleが保存する「My Clippings.txt」と、
+// Kindleアプリの「ノートブックをエクスポート」で保存したHTMLの読み込み
+// 本ごとのハイライトに分割し、HighlightsManager.parseMarkdownHighlights() と同じ形式（text / location / note / color）に揃える
+// ASINは含まれないため、タイトル・著者で蔵書と照合する（scripts/import-kindle-clippings.js から利用）
+
+/**
+ * @typedef {Object} ClippingBook
+ * @property {string} title - クリップのタイトル行から取り出した書名
+ * @property {string} authors - 著者（括弧内）
+ * @property {string|null} asin - タイトル行にASINが含まれている場合のみ
+ * @property {Array<{text: string, location: string, note: string|null, color: string|null}>} highlights
+ * @property {string|null} lastAnnotatedDate - 最後にハイライトした日（YYYY-MM-DD）
+ */
+
+/**
+ * @typedef {Object} ClippingMatch
+ * @property {ClippingBook} clippingBook
+ * @property {'matched'|'ambiguous'|'unmatched'} status
+ * @property {Array<{book: Object, score: number}>} candidates - 一致度の高い順
+ */
+
+class KindleClippingsParser {
+    static SEPARATOR = /^={10}\s*$/m;
+
+    /**
+     * 一致とみなす最低スコア（これ未満の蔵書は候補にしない）
+     */
+    static MIN_SCORE = 0.5;
+
+    /**
+     * これ以上のスコアで他の候補と差があれば確認なしで一致とする
+     */
+    static AUTO_MATCH_SCORE = 0.9;
+
+    /**
+     * メタデータ行（英語・日本語）の種類
+     */
+    static CLIP_TYPES = [
+        { type: 'highlight', pattern: /Highlight|ハイライト/ },
+        { type: 'note', pattern: /Note|メモ/ },
+        { type: 'bookmark', pattern: /Bookmark|ブックマーク/ }
+    ];
+
+    /**
+     * My Clippings.txt のテキストを本ごとのハイライトに分割
+     * @returns {ClippingBook[]}
+     */
+    parse(text) {
+        const books = new Map();
+        const clippings = text.replace(/\uFEFF/g, '').replace(/\r\n?/g, '\n')
+            .split(KindleClippingsParser.SEPARATOR)
+            .map(block => this.parseClipping(block))
+            .filter(Boolean);
+
+        clippings.forEach(clipping => {
+            const key = `${clipping.title}\n${clipping.authors}`;
+            if (!books.has(key)) {
+                books.set(key, {
+                    title: clipping.title,
+                    authors: clipping.authors,
+                    asin: clipping.asin,
+                    clippings: []
+                });
+            }
+            books.get(key).clippings.push(clipping);
+        });
+
+        return Array.from(books.values())
+            .map(book => this.buildHighlights(book))
+            .filter(book => book.highlights.length > 0);
+    }
+
+    /**
+     * 1件分のクリップ（タイトル行・メタデータ行・本文）を解析
+     */
+    parseClipping(block) {
+        const lines = block.split('\n');
+        while (lines.length > 0 && lines[0].trim() === '') {
+            lines.shift();
+        }
+        if (lines.length < 2) return null;
+
+        const { title, authors, asin } = this.parseTitleLine(lines[0].trim());
+        const meta = lines[1].trim();
+        const clipType = KindleClippingsParser.CLIP_TYPES.find(({ pattern }) => pattern.test(meta));
+        if (!title || !clipType || clipType.type === 'bookmark') return null;
+
+        const text = lines.slice(2).join('\n').trim();
+        if (!text) return null;
+
+        // 「位置No. 1234-1240」「Location 1234-1240」「page 12」「12ページ」
+        const locationMatch = meta.match(/(?:位置No\.|Location)\s*(\d+)(?:-(\d+))?/i);
+        const pageMatch = meta.match(/(?:page\s*(\d+))|(?:(\d+)\s*ページ)/i);
+        const start = locationMatch ? Number(locationMatch[1]) : null;
+
+        return {
+            title,
+            authors,
+            asin,
+            type: clipType.type,
+            text,
+            start,
+            end: locationMatch && locationMatch[2] ? Number(locationMatch[2]) : start,
+            page: pageMatch ? Number(pageMatch[1] || pageMatch[2]) : null,
+            date: this.parseDate(meta)
+        };
+    }
+
+    /**
+     * 「タイトル (著者)」形式のタイトル行を分割
+     */
+    parseTitleLine(line) {
+        const asinMatch = line.match(/[([]\s*(B0[0-9A-Z]{8})\s*[)\]]/);
+        const withoutAsin = asinMatch ? line.replace(asinMatch[0], '').trim() : line;
+
+        // 著者は末尾の括弧（タイトルにも括弧が含まれることがあるため、最後の組を使う）
+        const authorMatch = withoutAsin.match(/^(.*)\s*\(([^()]*)\)$/);
+        return {
+            title: (authorMatch ? authorMatch[1] : withoutAsin).trim(),
+            authors: authorMatch ? authorMatch[2].trim() : '',
+            asin: asinMatch ? asinMatch[1] : null
+        };
+    }
+
+    /**
+     * 作成日（「Added on Monday, January 1, 2024 10:00:00 AM」「作成日: 2024年1月1日月曜日 10:00:00」）
+     * @returns {string|null} YYYY-MM-DD
+     */
+    parseDate(meta) {
+        const japanese = meta.match(/(\d{4})年(\d{1,2})月(\d{1,2})日/);
+        if (japanese) {
+            return `${japanese[1]}-${japanese[2].padStart(2, '0')}-${japanese[3].padStart(2, '0')}`;
+        }
+
+        const english = meta.match(/Added on\s+(.+)$/i);
+        if (english) {
+            const date = new Date(english[1].replace(/^\w+day,\s*/i, ''));
+            if (!isNaN(date.getTime())) {
+                const pad = (value) => String(value).padStart(2, '0');
+                return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * クリップをハイライトにまとめる
+     * 選択範囲を変えて引き直したハイライトは後のものを残し、メモは同じ位置のハイライトに付ける
+     */
+    buildHighlights(book) {
+        const highlights = [];
+
+        book.clippings.filter(clipping => clipping.type === 'highlight').forEach(clipping => {
+            const overlapping = highlights.findIndex(existing =>
+                existing.start !== null && clipping.start !== null &&
+                existing.start <= clipping.end && clipping.start <= existing.end &&
+                (existing.text.includes(clipping.text) || clipping.text.includes(existing.text)));
+            if (overlapping >= 0) {
+                highlights[overlapping] = { ...clipping };
+            } else {
+                highlights.push({ ...clipping });
+            }
+        });
+
+        book.clippings.filter(clipping => clipping.type === 'note').forEach(clipping => {
+            const target = highlights.find(highlight =>
+                highlight.start !== null && clipping.start !== null &&
+                highlight.start <= clipping.start && clipping.start <= highlight.end);
+            if (target) {
+                target.note = target.note ? `${target.note}\n${clipping.text}` : clipping.text;
+            }
+        });
+
+        const dates = book.clippings.map(clipping => clipping.date).filter(Boolean).sort();
+
+        return {
+            title: book.title,
+            authors: book.authors,
+            asin: book.asin,
+            lastAnnotatedDate: dates[dates.length - 1] || null,
+            highlights: highlights
+                .sort((a, b) => (a.start ?? a.page ?? 0) - (b.start ?? b.page ?? 0))
+                .map(highlight => ({
+                    text: highlight.text,
+                    location: highlight.start !== null ?
+                        `Kindle の位置: ${highlight.start}` :
+                        (highlight.page !== null ? `ページ: ${highlight.page}` : ''),
+                    note: highlight.note || null,
+                    color: highlight.color || null
+                }))
+        };
+    }
+
+    /**
+     * ノートブックのHTMLエクスポートを1冊分のハイライトに変換
+     * 見出し（noteHeading）に種類・色・ページ・位置、直後の本文（noteText）にハイライトやメモが入っている
+     * @returns {ClippingBook}
+     */
+    parseNotebook(html) {
+        const getText = (className) => {
+            const match = html.match(new RegExp(`class=['"]${className}['"][^>]*>([\\s\\S]*?)</`));
+            return match ? this.htmlToText(match[1]) : '';
+        };
+
+        const book = {
+            title: getText('bookTitle'),
+            authors: getText('authors'),
+            asin: null,
+            clippings: []
+        };
+        if (!book.title) {
+            throw new Error('Kindleのノートブック（HTMLエクスポート）ではありません');
+        }
+
+        // noteText は </h3> で閉じられていることがあるため、要素の開始位置で区切る
+        let heading = null;
+        html.split(/<(?:div|h\d)\b[^>]*?class=['"]/).slice(1).forEach(part => {
+            const className = part.match(/^[\w-]+/)[0];
+            const content = part.slice(part.indexOf('>') + 1);
+
+            if (className === 'noteHeading') {
+                const headingText = this.htmlToText(content);
+                const clipType = KindleClippingsParser.CLIP_TYPES.find(({ pattern }) => pattern.test(headingText));
+                const locationMatch = headingText.match(/(?:位置No\.|位置|Location)\s*(\d+)/i);
+                const pageMatch = headingText.match(/(?:Page|ページ)\s*(\d+)/i);
+                const colorMatch = content.match(/highlight_(\w+)/);
+                const start = locationMatch ? Number(locationMatch[1]) : null;
+
+                heading = clipType && clipType.type !== 'bookmark' ? {
+                    type: clipType.type,
+                    start,
+                    end: start,
+                    page: pageMatch ? Number(pageMatch[1]) : null,
+                    color: colorMatch ? colorMatch[1].toLowerCase() : null
+                } : null;
+            } else if (className === 'noteText' && heading) {
+                const text = this.htmlToText(content);
+                // メモは対象のハイライトの直後に出力される（位置のないPDFなどもあるため、位置ではなく順序で対応付ける）
+                const lastHighlight = book.clippings[book.clippings.length - 1];
+                if (text && heading.type === 'note' && lastHighlight) {
+                    lastHighlight.note = lastHighlight.note ? `${lastHighlight.note}\n${text}` : text;
+                } else if (text && heading.type === 'highlight') {
+                    book.clippings.push({ ...heading, text, date: null });
+                }
+                heading = null;
+            }
+        });
+
+        return this.buildHighlights(book);
+    }
+
+    htmlToText(html) {
+        return (html || '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<[^>]*>?/g, '')
+            .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+            .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&amp;/g, '&')
+            .replace(/[ \t]*\n[ \t]*/g, '\n')
+            .trim();
+    }
+
+    /**
+     * 蔵書とタイトル・著者で照合
+     * @param {ClippingBook[]} clippingBooks
+     * @param {Object[]} books - 蔵書（BookManager.getAllBooks()）
+     * @returns {ClippingMatch[]}
+     */
+    matchBooks(clippingBooks, books) {
+        return clippingBooks.map(clippingBook => {
+            if (clippingBook.asin) {
+                const book = books.find(b => b.bookId === clippingBook.asin || b.updatedBookId === clippingBook.asin);
+                if (book) {
+                    return { clippingBook, status: 'matched', candidates: [{ book, score: 1 }] };
+                }
+            }
+
+            const candidates = books
+                .map(book => ({ book, score: this.scoreMatch(clippingBook, book) }))
+                .filter(candidate => candidate.score >= KindleClippingsParser.MIN_SCORE)
+                .sort((a, b) => b.score - a.score);
+
+            let status = 'unmatched';
+            if (candidates.length > 0) {
+                const [best, second] = candidates;
+                const isClear = best.score >= KindleClippingsParser.AUTO_MATCH_SCORE &&
+                    (!second || best.score - second.score >= 0.1);
+                status = isClear ? 'matched' : 'ambiguous';
+            }
+
+            return { clippingBook, status, candidates };
+        });
+    }
+
+    /**
+     * タイトル・著者の一致度（0〜1）
+     */
+    scoreMatch(clippingBook, book) {
+        const clipTitle = this.normalizeTitle(clippingBook.title);
+        const bookTitle = this.normalizeTitle(book.title);
+        if (!clipTitle || !bookTitle) return 0;
+
+        let titleScore;
+        if (clipTitle === bookTitle) {
+            titleScore = 1;
+        } else if (Math.min(clipTitle.length, bookTitle.length) >= 4 &&
+            (clipTitle.includes(bookTitle) || bookTitle.includes(clipTitle))) {
+            // 副題・レーベル名の有無による差
+            titleScore = 0.7 + 0.25 * Math.min(clipTitle.length, bookTitle.length) / Math.max(clipTitle.length, bookTitle.length);
+        } else {
+            titleScore = this.similarity(clipTitle, bookTitle) * 0.8;
+        }
+
+        const clipAuthors = this.normalizeAuthors(clippingBook.authors);
+        const bookAuthors = this.normalizeAuthors(book.authors);
+        if (clipAuthors.length === 0 || bookAuthors.length === 0) {
+            return titleScore;
+        }
+
+        // 「姓, 名」「名 姓」の表記揺れがあるため、空白・カンマを除いた文字列の包含で判定
+        const authorMatches = clipAuthors.some(clipAuthor =>
+            bookAuthors.some(bookAuthor => clipAuthor.includes(bookAuthor) || bookAuthor.includes(clipAuthor) ||
+                this.similarity(clipAuthor, bookAuthor) >= 0.6));
+
+        return authorMatches ? Math.min(1, titleScore + 0.05) : titleScore * 0.8;
+    }
+
+    /**
+     * 比較用にタイトルを正規化（全角→半角・括弧内のレーベル名や巻数表記・記号を除去）
+     */
+    normalizeTitle(title) {
+        return (title || '')
+            .normalize('NFKC')
+            .toLowerCase()
+            .replace(/[(（[［【〔][^)）\]］】〕]*[)）\]］】〕]/g, '')
+            .replace(/[\s・:：\-ー―〜~!！?？、。,.「」『』"']/g, '');
+    }
+
+    normalizeAuthors(authors) {
+        return (authors || '')
+            .normalize('NFKC')
+            .toLowerCase()
+            .split(/[;；、/／&]|\band\b/)
+            .map(author => author.replace(/[\s,.・]/g, ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * bigramのDice係数
+     */
+    similarity(a, b) {
+        if (a === b) return 1;
+        if (a.length < 2 || b.length < 2) return 0;
+
+        const bigrams = (text) => {
+            const grams = new Map();
+            for (let i = 0; i < text.length - 1; i++) {
+                const gram = text.slice(i, i + 2);
+                grams.set(gram, (grams.get(gram) || 0) + 1);
+            }
+            return grams;
+        };
+
+        const gramsA = bigrams(a);
+        const gramsB = bigrams(b);
+        let overlap = 0;
+        gramsA.forEach((count, gram) => {
+            overlap += Math.min(count, gramsB.get(gram) || 0);
+        });
+        return (2 * overlap) / (a.length - 1 + b.length - 1);
+    }
+
+    /**
+     * data/KindleHighlights/ に置くMarkdown（Obsidian Kindle Pluginと同じ形式）を生成
+     * generate-highlights-index.sh と parseMarkdownHighlights() でそのまま読み込める
+     * clippingTitle は次回の取り込みで照合の確認を省くために記録する
+     */
+    toMarkdown(clippingBook, book) {
+        const bookId = book.bookId;
+        const lines = [
+            '---',
+            `asin: ${bookId}`,
+            `title: ${JSON.stringify(book.title)}`,
+            `author: ${JSON.stringify(book.authors || clippingBook.authors)}`,
+            'source: kindle-clippings',
+            `clippingTitle: ${JSON.stringify(clippingBook.title)}`,
+            ...(clippingBook.lastAnnotatedDate ? [`lastAnnotatedDate: '${clippingBook.lastAnnotatedDate}'`] : []),
+            `highlightsCount: ${clippingBook.highlights.length}`,
+            '---',
+            `# ${book.title}`,
+            '## Metadata',
+            `* Author: ${book.authors || clippingBook.authors}`,
+            `* ASIN: ${bookId}`,
+            '',
+            '## Highlights'
+        ];
+
+        const sections = clippingBook.highlights.map(highlight => {
+            const position = (highlight.location.match(/\d+/) || ['0'])[0];
+            const text = highlight.text.replace(/\n+/g, ' ');
+            const link = `kindle://book?action=open&asin=${bookId}&location=${position}`;
+            // 色はObsidianのコメント（%%...%%）として残す
+            const color = highlight.color ? ` %%color: ${highlight.color}%%` : '';
+            return [
+                `${text} — location: [${position}](${link})${color}`,
+                ...(highlight.note ? ['', highlight.note] : [])
+            ].join('\n');
+        });
+
+        return `${lines.join('\n')}\n${sections.join('\n\n---\n')}\n`;
+    }
+}
+
+// Node.js（scripts/）からも利用できるようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KindleClippingsParser;
+}
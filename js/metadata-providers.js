@@ -0,0 +1,470 @@
+/**
+ * MetadataProviders - 書誌情報（タイトル・著者・表紙など）の取得元
+ * Google Books・openBD・Open Library・国立国会図書館サーチ（NDL）を config.json の metadata で指定した順に問い合わせ、
+ * 足りない項目を後ろの取得元で補う
+ *
+ * 通信はすべて MetadataHttpClient を経由するため、fetch 関数を差し替えたり
+ * FixtureHttpClient を使ったりすることでローカルのフィクスチャ（保存したレスポンス）で動作確認できる
+ */
+
+/**
+ * @typedef {Object} BookMetadata
+ * @property {string} title - タイトル
+ * @property {string} [authors] - 著者（カンマ区切り）
+ * @property {string} [productImage] - 表紙画像のURL
+ * @property {string} [publisher] - 出版社
+ * @property {string} [publishedDate] - 出版日（取得元の形式のまま）
+ * @property {string} [isbn] - ISBN-13
+ * @property {string[]} [sources] - 値を使った取得元（MetadataManager.lookup の結果のみ）
+ */
+
+/**
+ * タイムアウト付きの HTTP 取得
+ * 404 は「見つからない」として null を返す
+ */
+class MetadataHttpClient {
+    /**
+     * @param {Function|null} fetchFn - fetch 互換の関数（省略時はグローバルの fetch）
+     */
+    constructor(fetchFn = null) {
+        this.fetchFn = fetchFn;
+    }
+
+    /**
+     * @param {string} url
+     * @param {{timeout?: number, type?: 'json'|'text'}} [options]
+     */
+    async get(url, { timeout = 5000, type = 'json' } = {}) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        let timer;
+        const timeoutPromise = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller?.abort();
+                reject(new Error(`タイムアウトしました（${timeout}ms）`));
+            }, timeout);
+        });
+
+        const request = (async () => {
+            const response = await (this.fetchFn || fetch)(url, controller ? { signal: controller.signal } : {});
+            if (response.status === 404) {
+                return null;
+            }
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return type === 'text' ? await response.text() : await response.json();
+        })();
+
+        try {
+            return await Promise.race([request, timeoutPromise]);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+/**
+ * 実際のAPIの代わりに、保存しておいたレスポンスを読み込む HTTP クライアント
+ * URL をファイル名に変換して baseUrl 以下から取得する（例: api.openbd.jp_v1_get_isbn_9784873115658.json）
+ * ファイルがない場合は 404 と同じく「見つからない」扱いになる
+ */
+class FixtureHttpClient extends MetadataHttpClient {
+    /**
+     * @param {string} baseUrl - フィクスチャを置いたディレクトリ（index.html からの相対パスなど）
+     * @param {Function|null} fetchFn - fetch 互換の関数（Node.js ではファイルを読む関数を渡す）
+     */
+    constructor(baseUrl, fetchFn = null) {
+        super(fetchFn);
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+    }
+
+    static toFixtureName(url) {
+        const name = url.replace(/^https?:\/\//, '').replace(/[^\w.-]+/g, '_').replace(/_+$/, '');
+        return /\.(json|xml)$/.test(name) ? name : `${name}.${/opensearch/.test(url) ? 'xml' : 'json'}`;
+    }
+
+    async get(url, options = {}) {
+        return super.get(`${this.baseUrl}/${FixtureHttpClient.toFixtureName(url)}`, options);
+    }
+}
+
+/**
+ * 取得結果のキャッシュ（localStorage、使えない環境ではメモリ上）
+ * 見つからなかった結果も短期間キャッシュし、同じ本で何度も問い合わせないようにする
+ */
+class MetadataCache {
+    static STORAGE_KEY = 'virtualBookshelf_metadataCache';
+    static MAX_ENTRIES = 500;
+    static NOT_FOUND_TTL_DAYS = 1;
+
+    /**
+     * @param {{ttlDays?: number, storage?: Storage|null}} [options]
+     */
+    constructor({ ttlDays = 30, storage = typeof localStorage !== 'undefined' ? localStorage : null } = {}) {
+        this.ttlDays = ttlDays;
+        this.storage = storage;
+        this.entries = this.read();
+    }
+
+    read() {
+        try {
+            return JSON.parse(this.storage?.getItem(MetadataCache.STORAGE_KEY) || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    write() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(MetadataCache.STORAGE_KEY, JSON.stringify(this.entries));
+        } catch (error) {
+            // 容量不足の場合はキャッシュしない
+            console.warn('書誌情報キャッシュの保存に失敗しました:', error);
+        }
+    }
+
+    /**
+     * @returns {{hit: boolean, data: BookMetadata|null}}
+     */
+    get(key) {
+        const entry = this.entries[key];
+        if (!entry) {
+            return { hit: false, data: null };
+        }
+
+        const ttlDays = entry.data ? this.ttlDays : MetadataCache.NOT_FOUND_TTL_DAYS;
+        if (Date.now() - entry.fetchedAt > ttlDays * 24 * 60 * 60 * 1000) {
+            delete this.entries[key];
+            this.write();
+            return { hit: false, data: null };
+        }
+        return { hit: true, data: entry.data };
+    }
+
+    set(key, data) {
+        this.entries[key] = { data, fetchedAt: Date.now() };
+
+        // 古いものから削除
+        const keys = Object.keys(this.entries);
+        if (keys.length > MetadataCache.MAX_ENTRIES) {
+            keys.sort((a, b) => this.entries[a].fetchedAt - this.entries[b].fetchedAt)
+                .slice(0, keys.length - MetadataCache.MAX_ENTRIES)
+                .forEach(oldKey => delete this.entries[oldKey]);
+        }
+        this.write();
+    }
+
+    clear() {
+        this.entries = {};
+        this.storage?.removeItem(MetadataCache.STORAGE_KEY);
+    }
+}
+
+/**
+ * Google Books API（ISBN検索、ISBNでない場合はキーワード検索）
+ */
+class GoogleBooksProvider {
+    constructor(http, options = {}) {
+        this.name = 'googleBooks';
+        this.label = 'Google Books';
+        this.http = http;
+        this.timeout = options.timeout;
+        this.apiKey = options.apiKey || '';
+    }
+
+    supports() {
+        return true;
+    }
+
+    async lookup({ bookId, isbn }) {
+        const query = isbn ? `isbn:${isbn}` : encodeURIComponent(bookId);
+        const keyParam = this.apiKey ? `&key=${encodeURIComponent(this.apiKey)}` : '';
+        const data = await this.http.get(`https://www.googleapis.com/books/v1/volumes?q=${query}${keyParam}`, { timeout: this.timeout });
+        const book = data?.items?.[0]?.volumeInfo;
+        if (!book?.title) {
+            return null;
+        }
+
+        // キーワード検索の結果は別の本の場合があるため、ISBNは検索に使ったもののみ
+        return {
+            title: book.title,
+            authors: (book.authors || []).join(', '),
+            productImage: book.imageLinks ?
+                (book.imageLinks.large || book.imageLinks.medium || book.imageLinks.thumbnail || '') : '',
+            publisher: book.publisher || '',
+            publishedDate: book.publishedDate || '',
+            isbn: isbn || ''
+        };
+    }
+}
+
+/**
+ * openBD（日本の出版物、ISBNのみ）
+ */
+class OpenBDProvider {
+    constructor(http, options = {}) {
+        this.name = 'openBD';
+        this.label = 'openBD';
+        this.http = http;
+        this.timeout = options.timeout;
+    }
+
+    supports({ isbn }) {
+        return Boolean(isbn);
+    }
+
+    async lookup({ isbn }) {
+        const data = await this.http.get(`https://api.openbd.jp/v1/get?isbn=${isbn}`, { timeout: this.timeout });
+        const summary = data?.[0]?.summary;
+        if (!summary?.title) {
+            return null;
+        }
+
+        return {
+            title: summary.title,
+            authors: this.parseAuthors(summary.author),
+            productImage: summary.cover || '',
+            publisher: summary.publisher || '',
+            publishedDate: summary.pubdate || '',
+            isbn
+        };
+    }
+
+    /**
+     * 「著者名/著 訳者名/訳」形式から役割を除いて名前だけにする
+     */
+    parseAuthors(author) {
+        return (author || '')
+            .split(/\/\S*(?:\s+|$)/)
+            .map(name => name.replace(/,/g, ' ').trim())
+            .filter(Boolean)
+            .join(', ');
+    }
+}
+
+/**
+ * Open Library（海外の出版物、ISBNのみ）
+ */
+class OpenLibraryProvider {
+    constructor(http, options = {}) {
+        this.name = 'openLibrary';
+        this.label = 'Open Library';
+        this.http = http;
+        this.timeout = options.timeout;
+    }
+
+    supports({ isbn }) {
+        return Boolean(isbn);
+    }
+
+    async lookup({ isbn }) {
+        const url = `https://openlibrary.org/api/books?bibkeys=ISBN:${isbn}&format=json&jscmd=data`;
+        const data = await this.http.get(url, { timeout: this.timeout });
+        const book = data?.[`ISBN:${isbn}`];
+        if (!book?.title) {
+            return null;
+        }
+
+        return {
+            title: book.title,
+            authors: (book.authors || []).map(author => author.name).join(', '),
+            productImage: book.cover ? (book.cover.large || book.cover.medium || '') : '',
+            publisher: (book.publishers || []).map(publisher => publisher.name).join(', '),
+            publishedDate: book.publish_date || '',
+            isbn
+        };
+    }
+}
+
+/**
+ * 国立国会図書館サーチ OpenSearch（ISBNのみ、RSS形式のXML）
+ * Node.js でも使えるよう DOMParser ではなく正規表現で読み取る
+ */
+class NdlSearchProvider {
+    constructor(http, options = {}) {
+        this.name = 'ndl';
+        this.label = '国立国会図書館サーチ';
+        this.http = http;
+        this.timeout = options.timeout;
+    }
+
+    supports({ isbn }) {
+        return Boolean(isbn);
+    }
+
+    async lookup({ isbn }) {
+        const xml = await this.http.get(`https://ndlsearch.ndl.go.jp/api/opensearch?isbn=${isbn}`, {
+            timeout: this.timeout,
+            type: 'text'
+        });
+        const item = xml?.match(/<item>([\s\S]*?)<\/item>/)?.[1];
+        const title = item && this.getValues(item, 'title')[0];
+        if (!title) {
+            return null;
+        }
+
+        return {
+            title,
+            authors: this.getValues(item, 'dc:creator').join(', '),
+            productImage: this.getThumbnail(item),
+            publisher: this.getValues(item, 'dc:publisher').join(', '),
+            publishedDate: this.getValues(item, 'dcterms:issued')[0] || this.getValues(item, 'dc:date')[0] || '',
+            isbn
+        };
+    }
+
+    /**
+     * 書影はレスポンスにサムネイルのURLがある場合のみ使う
+     * （ISBNから組み立てたURLは、国立国会図書館に書影がない本では404になる）
+     */
+    getThumbnail(item) {
+        return item.match(/https?:\/\/ndlsearch\.ndl\.go\.jp\/thumbnail\/[^\s"'<>]+/)?.[0] || '';
+    }
+
+    getValues(xml, tag) {
+        const pattern = new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'g');
+        return Array.from(xml.matchAll(pattern), match => this.decodeXml(match[1]).trim()).filter(Boolean);
+    }
+
+    decodeXml(text) {
+        return text
+            .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+            .replace(/&amp;/g, '&');
+    }
+}
+
+class MetadataManager {
+    static PROVIDERS = {
+        googleBooks: GoogleBooksProvider,
+        openBD: OpenBDProvider,
+        openLibrary: OpenLibraryProvider,
+        ndl: NdlSearchProvider
+    };
+
+    /**
+     * config.json の metadata の既定値
+     */
+    static DEFAULT_CONFIG = {
+        providers: ['googleBooks', 'openBD', 'openLibrary', 'ndl'],
+        timeout: 5000,
+        cacheDays: 30,
+        requestInterval: 1000
+    };
+
+    /**
+     * これらが揃うまで次の取得元に問い合わせる
+     */
+    static REQUIRED_FIELDS = ['title', 'authors', 'productImage'];
+
+    /**
+     * @param {Object[]} providers - 問い合わせる順の取得元
+     * @param {{cache?: MetadataCache|null, requestInterval?: number}} [options]
+     */
+    constructor(providers, { cache = null, requestInterval = MetadataManager.DEFAULT_CONFIG.requestInterval } = {}) {
+        this.providers = providers;
+        this.cache = cache;
+        // 一括補完（MetadataRefresher）で1冊ごとに空ける間隔（ミリ秒）
+        this.requestInterval = requestInterval;
+    }
+
+    /**
+     * config.json の metadata から生成
+     * providers には名前、または {name, timeout, apiKey} を指定する
+     * @param {Object} [config]
+     * @param {{http?: MetadataHttpClient, cache?: MetadataCache|null}} [options] - 差し替える通信・キャッシュ
+     */
+    static create(config = {}, options = {}) {
+        const settings = { ...MetadataManager.DEFAULT_CONFIG, ...config };
+        const http = options.http ||
+            (settings.fixtures ? new FixtureHttpClient(settings.fixtures) : new MetadataHttpClient());
+        const cache = options.cache !== undefined ? options.cache :
+            (settings.cacheDays > 0 ? new MetadataCache({ ttlDays: settings.cacheDays }) : null);
+
+        const providers = settings.providers.map(entry => {
+            const providerConfig = typeof entry === 'string' ? { name: entry } : entry;
+            const Provider = MetadataManager.PROVIDERS[providerConfig.name];
+            if (!Provider) {
+                throw new Error(`不明な書誌情報の取得元です: ${providerConfig.name}`);
+            }
+            return new Provider(http, { ...providerConfig, timeout: providerConfig.timeout || settings.timeout });
+        });
+
+        return new MetadataManager(providers, { cache, requestInterval: settings.requestInterval });
+    }
+
+    /**
+     * 取得元を順に問い合わせ、最初に見つかった情報に後の取得元で足りない項目を補う
+     * 取得元のエラー（タイムアウトなど）は記録して次の取得元に進み、どこでも見つからなかった場合のみ投げる
+     * @param {{bookId: string, isbn?: string}} query - isbn はISBN-13（ISBNでない本は省略）
+     * @returns {Promise<BookMetadata|null>} タイトルが見つからない場合はnull
+     */
+    async lookup(query) {
+        const result = {};
+        const sources = [];
+        const errors = [];
+
+        for (const provider of this.providers) {
+            if (!provider.supports(query)) continue;
+            if (result.title && MetadataManager.REQUIRED_FIELDS.every(field => result[field])) break;
+
+            let data;
+            try {
+                data = await this.lookupProvider(provider, query);
+            } catch (error) {
+                console.warn(`${provider.label} から取得できませんでした:`, error.message);
+                errors.push(`${provider.label}: ${error.message}`);
+                continue;
+            }
+            if (!data) continue;
+
+            // 最初に見つかった本のタイトルを優先し、空の項目だけを補う
+            let used = false;
+            Object.entries(data).forEach(([field, value]) => {
+                if (value && !result[field]) {
+                    result[field] = value;
+                    used = true;
+                }
+            });
+            if (used) {
+                sources.push(provider.name);
+            }
+        }
+
+        if (!result.title && errors.length > 0) {
+            throw new Error(errors.join(' / '));
+        }
+        return result.title ? { ...result, sources } : null;
+    }
+
+    async lookupProvider(provider, query) {
+        const cacheKey = `${provider.name}:${query.isbn || query.bookId}`;
+        const cached = this.cache?.get(cacheKey);
+        if (cached?.hit) {
+            return cached.data;
+        }
+
+        const data = await provider.lookup(query);
+        this.cache?.set(cacheKey, data);
+        return data;
+    }
+}
+
+// Node.js（scripts/）からも利用できるようにする
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MetadataManager,
+        MetadataHttpClient,
+        FixtureHttpClient,
+        MetadataCache,
+        GoogleBooksProvider,
+        OpenBDProvider,
+        OpenLibraryProvider,
+        NdlSearchProvider
+    };
+}
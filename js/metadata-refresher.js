@@ -0,0 +1,311 @@
+// Metadata Refresher - 書籍情報の一括補完
+// タイトル・著者が空（または「タイトル未取得」などの仮の値）の本や、表紙がASINから推測したURLのままの本を探し、
+// 書誌情報の取得元（MetadataManager）に1冊ずつ間隔をあけて問い合わせる。
+// 取得できた値は項目ごとの差分として表示し、選択した変更だけを BookManager.updateBook() で適用する
+
+/**
+ * @typedef {Object} RefreshChange
+ * @property {string} field - 項目（MetadataRefresher.FIELDS のキー）
+ * @property {string} current - 現在の値
+ * @property {string} value - 取得した値
+ */
+
+/**
+ * @typedef {Object} RefreshResult
+ * @property {Object} book - 対象の書籍
+ * @property {BookMetadata} metadata - 取得した書籍情報
+ * @property {RefreshChange[]} changes - 補完できる項目
+ */
+
+class MetadataRefresher {
+    /**
+     * 補完する項目
+     */
+    static FIELDS = {
+        title: 'タイトル',
+        authors: '著者',
+        productImage: '表紙'
+    };
+
+    /**
+     * 取得できなかったときに入る仮の値
+     */
+    static PLACEHOLDERS = {
+        title: ['タイトル未取得', 'タイトル未設定'],
+        authors: ['著者未取得', '著者未設定']
+    };
+
+    /**
+     * 推測した表紙URL（表紙がない本もあるため、取得元の表紙で置き換える対象にする）
+     * ASINから: generateSmartBookData・手動追加、ISBNから: 以前の国立国会図書館サーチの取得結果（書影がない本では404）
+     */
+    static GUESSED_IMAGE_PATTERN = /images(?:-na\.ssl-images)?-amazon\.com\/images\/P\/[0-9A-Z]{10}\.01\.|ndlsearch\.ndl\.go\.jp\/thumbnail\/\d{13}\.jpg$/;
+
+    constructor(bookshelf) {
+        this.bookshelf = bookshelf;
+        this.running = false;
+        this.cancelled = false;
+        this.results = [];
+    }
+
+    get bookManager() {
+        return this.bookshelf.bookManager;
+    }
+
+    /**
+     * 項目の値が空・仮の値・推測した表紙URLか
+     */
+    isIncomplete(book, field) {
+        const value = (book[field] || '').trim();
+        if (!value) return true;
+        if (field === 'productImage') {
+            return MetadataRefresher.GUESSED_IMAGE_PATTERN.test(value);
+        }
+        return (MetadataRefresher.PLACEHOLDERS[field] || []).includes(value);
+    }
+
+    /**
+     * 補完が必要な本（ASIN・ISBNで問い合わせられるもの）
+     * @returns {{book: Object, fields: string[]}[]}
+     */
+    findIncompleteBooks() {
+        return this.bookManager.getAllBooks()
+            .filter(book => book.isbn || this.bookManager.isValidProductCode(book.bookId))
+            .map(book => ({
+                book,
+                fields: Object.keys(MetadataRefresher.FIELDS).filter(field => this.isIncomplete(book, field))
+            }))
+            .filter(({ fields }) => fields.length > 0);
+    }
+
+    /**
+     * 対象の一覧を表示
+     */
+    showDialog() {
+        if (this.running) {
+            document.getElementById('metadata-refresh-modal').classList.add('show');
+            return;
+        }
+
+        const targets = this.findIncompleteBooks();
+        const counts = Object.fromEntries(Object.keys(MetadataRefresher.FIELDS).map(field =>
+            [field, targets.filter(target => target.fields.includes(field)).length]));
+        const body = document.getElementById('metadata-refresh-modal-body');
+
+        this.targets = targets;
+        this.results = [];
+        body.innerHTML = targets.length === 0 ? `
+            <div class="metadata-refresh-empty">✅ 補完が必要な本はありません</div>
+        ` : `
+            <div class="metadata-refresh-summary">
+                <div>🧩 情報が不足している本: ${targets.length}冊</div>
+                <div>${Object.entries(MetadataRefresher.FIELDS).map(([field, label]) => `${label}: ${counts[field]}冊`).join(' / ')}</div>
+                <div class="metadata-refresh-note">取得元への負荷を避けるため、1冊ずつ ${this.getInterval() / 1000}秒 間隔で問い合わせます（約${Math.ceil(targets.length * this.getInterval() / 60000)}分）</div>
+            </div>
+        `;
+
+        this.updateButtons({ start: targets.length > 0 });
+        document.getElementById('metadata-refresh-modal').classList.add('show');
+    }
+
+    closeDialog() {
+        this.stop();
+        document.getElementById('metadata-refresh-modal').classList.remove('show');
+    }
+
+    /**
+     * 取得を中止（問い合わせ中の本の結果を待ってから、それまでの結果を表示）
+     */
+    stop() {
+        this.cancelled = true;
+    }
+
+    getInterval() {
+        return this.bookManager.metadata?.requestInterval ?? MetadataManager.DEFAULT_CONFIG.requestInterval;
+    }
+
+    updateButtons({ start = false, stop = false, apply = false } = {}) {
+        document.getElementById('metadata-refresh-start').style.display = start ? '' : 'none';
+        document.getElementById('metadata-refresh-stop').style.display = stop ? '' : 'none';
+        document.getElementById('metadata-refresh-apply').style.display = apply ? '' : 'none';
+    }
+
+    /**
+     * 対象の本を順に問い合わせ（中止した場合はそれまでの結果を表示）
+     */
+    async start() {
+        if (this.running || !this.targets?.length) return;
+
+        if (!this.bookManager.metadata) {
+            this.bookManager.metadata = MetadataManager.create();
+        }
+
+        this.running = true;
+        this.cancelled = false;
+        this.results = [];
+        this.updateButtons({ stop: true });
+
+        const failures = [];
+        try {
+            for (let i = 0; i < this.targets.length && !this.cancelled; i++) {
+                const { book, fields } = this.targets[i];
+                this.renderProgress(i, book);
+
+                try {
+                    const result = await this.fetchChanges(book, fields);
+                    if (result) {
+                        this.results.push(result);
+                    }
+                } catch (error) {
+                    console.warn(`書籍情報の取得に失敗しました（${book.bookId}）:`, error.message);
+                    failures.push(book);
+                }
+
+                if (i < this.targets.length - 1 && !this.cancelled) {
+                    await new Promise(resolve => setTimeout(resolve, this.getInterval()));
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+
+        this.renderResults(failures);
+    }
+
+    /**
+     * 1冊分を問い合わせ、不足している項目の差分を作る
+     * @returns {Promise<RefreshResult|null>}
+     */
+    async fetchChanges(book, fields) {
+        const isbn = this.bookManager.toIsbn13(book.isbn) || this.bookManager.toIsbn13(book.bookId);
+        const metadata = await this.bookManager.metadata.lookup({ bookId: book.bookId, ...(isbn && { isbn }) });
+        if (!metadata) return null;
+
+        const changes = fields
+            .filter(field => metadata[field] && metadata[field] !== book[field])
+            .map(field => ({ field, current: book[field] || '', value: metadata[field] }));
+        return changes.length > 0 ? { book, metadata, changes } : null;
+    }
+
+    renderProgress(index, book) {
+        const total = this.targets.length;
+        document.getElementById('metadata-refresh-modal-body').innerHTML = `
+            <div class="metadata-refresh-progress">
+                <div>📥 書籍情報を取得中... ${index + 1} / ${total}</div>
+                <progress max="${total}" value="${index}"></progress>
+                <div class="metadata-refresh-current">${this.escapeHtml(book.title || book.bookId)}</div>
+                <div>補完できる本: ${this.results.length}冊</div>
+            </div>
+        `;
+    }
+
+    /**
+     * 取得結果を項目ごとの差分として表示
+     */
+    renderResults(failures = []) {
+        const body = document.getElementById('metadata-refresh-modal-body');
+        const checked = this.results.reduce((sum, result) => sum + result.changes.length, 0);
+
+        body.innerHTML = `
+            <div class="metadata-refresh-summary">
+                <div>${this.cancelled ? '⏹️ 中止しました' : '✅ 取得が完了しました'}（補完できる本: ${this.results.length}冊 / ${checked}項目）</div>
+                ${failures.length > 0 ? `<div>⚠️ 取得に失敗した本: ${failures.length}冊（通信エラーなど。時間をおいて再度お試しください）</div>` : ''}
+            </div>
+            ${this.results.length > 0 ? `
+                <div class="metadata-refresh-actions">
+                    <button class="btn btn-small btn-secondary" data-check-all="true">すべて選択</button>
+                    <button class="btn btn-small btn-secondary" data-check-all="false">すべて解除</button>
+                </div>
+                <div class="metadata-refresh-results">
+                    ${this.results.map((result, index) => this.renderResult(result, index)).join('')}
+                </div>
+            ` : ''}
+        `;
+
+        body.querySelectorAll('[data-check-all]').forEach(button => {
+            button.addEventListener('click', () => {
+                body.querySelectorAll('.metadata-refresh-change input').forEach(input => {
+                    input.checked = button.dataset.checkAll === 'true';
+                });
+            });
+        });
+
+        this.updateButtons({ apply: this.results.length > 0 });
+    }
+
+    renderResult({ book, metadata, changes }, index) {
+        const providers = this.bookManager.metadata.providers;
+        const sources = metadata.sources
+            .map(name => providers.find(provider => provider.name === name)?.label || name)
+            .join('・');
+
+        return `
+            <div class="metadata-refresh-result">
+                <div class="metadata-refresh-result-title">${this.escapeHtml(book.title || '（タイトルなし）')}（${this.escapeHtml(book.bookId)}）</div>
+                <div class="metadata-refresh-source">取得元: ${this.escapeHtml(sources)} ／ 取得した本: ${this.escapeHtml(metadata.title)}</div>
+                ${changes.map(change => `
+                    <label class="metadata-refresh-change">
+                        <input type="checkbox" data-result="${index}" data-field="${change.field}" checked>
+                        <span class="metadata-refresh-field">${MetadataRefresher.FIELDS[change.field]}</span>
+                        ${change.field === 'productImage' ? `
+                            <span class="metadata-refresh-value">
+                                ${change.current ? `<img src="${this.escapeHtml(change.current)}" alt="現在の表紙">` : '（なし）'}
+                                →
+                                <img src="${this.escapeHtml(change.value)}" alt="取得した表紙">
+                            </span>
+                        ` : `
+                            <span class="metadata-refresh-value">
+                                <del>${this.escapeHtml(change.current || '（空）')}</del> → <ins>${this.escapeHtml(change.value)}</ins>
+                            </span>
+                        `}
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * 選択した項目を適用
+     */
+    async apply() {
+        const selected = new Map();
+        document.querySelectorAll('.metadata-refresh-change input:checked').forEach(input => {
+            const result = this.results[Number(input.dataset.result)];
+            const change = result?.changes.find(item => item.field === input.dataset.field);
+            if (!change) return;
+
+            const updates = selected.get(result.book.bookId) || {};
+            updates[change.field] = change.value;
+            selected.set(result.book.bookId, updates);
+        });
+
+        if (selected.size === 0) {
+            alert('📝 適用する項目を選択してください');
+            return;
+        }
+
+        try {
+            await this.bookshelf.snapshotManager.takeSnapshot('before-metadata-refresh');
+
+            let updated = 0;
+            for (const [bookId, updates] of selected) {
+                // 取得中に削除された本はスキップ
+                if (!this.bookManager.findBookById(bookId)) continue;
+                await this.bookManager.updateBook(bookId, updates);
+                updated++;
+            }
+
+            this.results = [];
+            this.closeDialog();
+            this.bookshelf.refreshLibraryView();
+            alert(`✅ ${updated}冊の書籍情報を更新しました`);
+        } catch (error) {
+            console.error('❌ 書籍情報の更新エラー:', error);
+            alert('❌ 書籍情報の更新に失敗しました:\n' + error.message);
+        }
+    }
+
+    escapeHtml(text) {
+        return this.bookshelf.escapeHtml(text);
+    }
+}
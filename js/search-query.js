@@ -0,0 +1,393 @@
+// Search Query - 検索ボックスの検索式
+// 「author:からあげ rating:>=4 shelf:AI status:unread memo:"Python" -tag:漫画 acquired:2024..2025」のように、
+// 項目名:値 で絞り込み、先頭の「-」で除外する。項目名のない語はタイトル・著者・読み（ハイライト検索時は本文も）から探す
+// 文字列の比較は JapaneseText で全角・半角、ひらがな・カタカナの違いを無視し、一致する本がなければ長い語の打ち間違いも許す
+// 検索式は URL（?q=）に保存し、同じ検索結果を共有できるようにする。DOMには依存しない
+
+/**
+ * @typedef {Object} SearchFilter
+ * @property {string} field - 項目（SearchQuery.FIELDS のキー）
+ * @property {boolean} negated - 「-」で除外する条件か
+ * @property {string} [text] - 文字列の条件（author・title・memo・tag・shelf）
+ * @property {string[]} [statuses] - 読書状況の条件（status）
+ * @property {{min: number, max: number}} [range] - 範囲の条件（rating・acquired。両端を含む）
+ */
+
+/**
+ * @typedef {Object} ParsedQuery
+ * @property {{text: string, negated: boolean}[]} terms - 項目名のない語
+ * @property {SearchFilter[]} filters
+ * @property {string[]} errors - 書き方の誤り（誤りのある条件は絞り込みに使わない）
+ */
+
+/**
+ * @typedef {Object} SearchContext
+ * @property {Object<string, Object>} notes - userData.notes（評価・メモ・タグ）
+ * @property {function(Object): string} getReadingStatus
+ * @property {function(string): Set<string>|null} getBookshelfBookIds - 本棚名（の一部）に一致する本棚の本（本棚がなければnull）
+ * @property {Set<string>} [highlightMatchBookIds] - ハイライト本文が検索語に一致した本
+ */
+
+class SearchQuery {
+    static FIELDS = {
+        author: { label: '著者', type: 'text' },
+        title: { label: 'タイトル', type: 'text' },
+        memo: { label: 'メモ', type: 'text' },
+        tag: { label: 'タグ', type: 'text' },
+        shelf: { label: '本棚', type: 'text' },
+        status: { label: '読書状況', type: 'status' },
+        rating: { label: '星評価', type: 'rating' },
+        acquired: { label: '購入日', type: 'date' }
+    };
+
+    /**
+     * 日本語の項目名
+     */
+    static FIELD_ALIASES = {
+        著者: 'author',
+        タイトル: 'title',
+        メモ: 'memo',
+        タグ: 'tag',
+        本棚: 'shelf',
+        状態: 'status',
+        評価: 'rating',
+        購入: 'acquired'
+    };
+
+    /**
+     * status: に書ける値（VirtualBookshelf.READING_STATUSES のキー・表示名と、まとめた呼び方）
+     */
+    static STATUS_ALIASES = {
+        none: ['none'],
+        未設定: ['none'],
+        want_to_read: ['want_to_read'],
+        want: ['want_to_read'],
+        読みたい: ['want_to_read'],
+        reading: ['reading'],
+        読書中: ['reading'],
+        read: ['read'],
+        読了: ['read'],
+        既読: ['read'],
+        abandoned: ['abandoned'],
+        中断: ['abandoned'],
+        unread: ['none', 'want_to_read', 'reading'],
+        未読: ['none', 'want_to_read', 'reading']
+    };
+
+    /**
+     * NFKC で「:」になる全角のコロン（tokenize で項目名の区切りにしないよう、一時的に私用領域の文字に置き換える）
+     */
+    static WIDE_COLONS = /[：﹕]/g;
+    static COLON_PLACEHOLDER = '\uE000';
+
+    /**
+     * rating: で指定できる星評価（0は未評価）
+     */
+    static RATING_LIMITS = { min: 0, max: 5 };
+
+    /**
+     * 検索式を絞り込み条件に分ける
+     * @param {string} query
+     * @param {{bookshelves?: Object[]}} [options] - 本棚の一覧を渡すと、shelf: に一致する本棚がない場合も誤りにする
+     * @returns {ParsedQuery}
+     */
+    static parse(query, { bookshelves = null } = {}) {
+        const { tokens, errors } = SearchQuery.tokenize(query);
+        const terms = [];
+        const filters = [];
+
+        tokens.forEach(({ key, value, negated }) => {
+            if (key === null) {
+                if (value) terms.push({ text: SearchQuery.normalizeText(value), negated });
+                return;
+            }
+
+            const field = SearchQuery.resolveField(key);
+            if (!value.trim()) {
+                errors.push(`${key}: の値を入力してください`);
+                return;
+            }
+
+            try {
+                const filter = { field, negated, ...SearchQuery.parseValue(field, value.trim()) };
+                if (field === 'shelf' && bookshelves && SearchQuery.findBookshelves(filter.text, bookshelves).length === 0) {
+                    throw new Error('この名前の本棚はありません');
+                }
+                filters.push(filter);
+            } catch (error) {
+                errors.push(`${key}:${value} … ${error.message}`);
+            }
+        });
+
+        return { terms, filters, errors };
+    }
+
+    /**
+     * 項目名（FIELDS のキー・FIELD_ALIASES）を項目に（項目名でなければnull）
+     */
+    static resolveField(key) {
+        const name = key.normalize('NFKC');
+        if (SearchQuery.FIELDS[name.toLowerCase()]) return name.toLowerCase();
+        return SearchQuery.FIELD_ALIASES[name] || null;
+    }
+
+    /**
+     * 空白区切りの語に分ける（"..." の中の空白・コロンは区切らない）
+     * コロンで区切るのは前が項目名の場合だけで、「Re:ゼロ」「ぼくらのADHD旅行記：②」のようなタイトルはそのまま1つの語にする
+     * @returns {{tokens: {key: string|null, value: string, negated: boolean, raw: string}[], errors: string[]}}
+     */
+    static tokenize(query) {
+        // 全角の英数字・記号（ｒａｔｉｎｇ、＂）も使えるようにする
+        // 項目名の区切りは入力した半角の「:」だけにするため、全角のコロンは NFKC で「:」にしない
+        const text = String(query ?? '')
+            .replace(SearchQuery.WIDE_COLONS, SearchQuery.COLON_PLACEHOLDER)
+            .normalize('NFKC');
+        const tokens = [];
+        const errors = [];
+        let index = 0;
+
+        while (index < text.length) {
+            if (/\s/.test(text[index])) {
+                index++;
+                continue;
+            }
+
+            const start = index;
+            let negated = false;
+            if (text[index] === '-' && index + 1 < text.length && !/\s/.test(text[index + 1])) {
+                negated = true;
+                index++;
+            }
+
+            let key = null;
+            let value = '';
+            let quoted = false;
+            while (index < text.length && (quoted || !/\s/.test(text[index]))) {
+                const char = text[index++];
+                if (char === '"') {
+                    quoted = !quoted;
+                } else if (char === ':' && !quoted && key === null && SearchQuery.resolveField(value) &&
+                    !text.slice(start, index).includes('"')) {
+                    key = value;
+                    value = '';
+                } else {
+                    value += char;
+                }
+            }
+
+            const restore = (part) => part.replaceAll(SearchQuery.COLON_PLACEHOLDER, '：');
+            const raw = restore(text.slice(start, index));
+            if (quoted) {
+                errors.push(`引用符（"）が閉じられていません: ${raw}`);
+            }
+            tokens.push({ key, value: restore(value), negated, raw: raw.replace(/^-/, '') });
+        }
+
+        return { tokens, errors };
+    }
+
+    /**
+     * 項目ごとの値を解釈（書き方が誤っていれば Error）
+     */
+    static parseValue(field, value) {
+        switch (SearchQuery.FIELDS[field].type) {
+        case 'status': {
+            const statuses = SearchQuery.STATUS_ALIASES[value.toLowerCase()];
+            if (!statuses) {
+                throw new Error(`読書状況は ${Object.keys(SearchQuery.STATUS_ALIASES).join(', ')} のいずれかです`);
+            }
+            return { statuses };
+        }
+        case 'rating':
+            return { range: SearchQuery.parseRange(value, SearchQuery.parseRating, SearchQuery.RATING_LIMITS) };
+        case 'date':
+            return { range: SearchQuery.parseRange(value, SearchQuery.parseDate) };
+        default:
+            return { text: SearchQuery.normalizeText(value) };
+        }
+    }
+
+    /**
+     * 範囲を解釈（4、>=4、<3、3..5、2024..、..2025）
+     * @param {function(string): {min: number, max: number}} parseBound - 1つの値が表す範囲
+     * @param {{min: number, max: number}} [limits] - 取りうる値の範囲（rating:>5 のように当てはまる値がなければ誤り）
+     * @returns {{min: number, max: number}}
+     */
+    static parseRange(value, parseBound, limits = { min: -Infinity, max: Infinity }) {
+        const result = SearchQuery.parseRangeBounds(value, parseBound);
+        if (result.min > limits.max || result.max < limits.min) {
+            throw new Error(`当てはまる値がありません（${limits.min}〜${limits.max}の範囲で指定してください）`);
+        }
+        return result;
+    }
+
+    static parseRangeBounds(value, parseBound) {
+        const comparison = value.match(/^(>=|<=|>|<|=)(.+)$/);
+        if (comparison) {
+            const [, operator, operand] = comparison;
+            const bound = parseBound(operand);
+            if (operator === '>=') return { min: bound.min, max: Infinity };
+            if (operator === '>') return { min: bound.max + 1, max: Infinity };
+            if (operator === '<=') return { min: -Infinity, max: bound.max };
+            if (operator === '<') return { min: -Infinity, max: bound.min - 1 };
+            return bound;
+        }
+
+        const range = value.match(/^(.*)\.\.(.*)$/);
+        if (range) {
+            const [, from, to] = range;
+            if (!from && !to) throw new Error('範囲の始まりか終わりを入力してください');
+            const result = {
+                min: from ? parseBound(from).min : -Infinity,
+                max: to ? parseBound(to).max : Infinity
+            };
+            if (result.min > result.max) throw new Error('範囲の始まりが終わりより後になっています');
+            return result;
+        }
+
+        return parseBound(value);
+    }
+
+    static parseRating(value) {
+        if (!/^[0-5]$/.test(value)) {
+            throw new Error('星評価は0〜5の数値で指定してください（例: rating:>=4、rating:3..5）');
+        }
+        return { min: Number(value), max: Number(value) };
+    }
+
+    /**
+     * 年・年月・年月日が表す期間（ローカル時刻、ミリ秒）
+     */
+    static parseDate(value) {
+        const match = value.match(/^(\d{4})(?:[-/](\d{1,2})(?:[-/](\d{1,2}))?)?$/);
+        if (!match) {
+            throw new Error('購入日は 2024、2024-05、2024-05-14 の形式で指定してください（例: acquired:2024..2025）');
+        }
+
+        const [, year, month, day] = match.map(Number);
+        if ((month && (month < 1 || month > 12)) || (day && (day < 1 || day > 31))) {
+            throw new Error(`日付が正しくありません: ${value}`);
+        }
+        const start = new Date(year, month ? month - 1 : 0, day || 1);
+        const end = day ? new Date(year, month - 1, day + 1) : month ? new Date(year, month, 1) : new Date(year + 1, 0, 1);
+        return { min: start.getTime(), max: end.getTime() - 1 };
+    }
+
+    /**
+     * 絞り込み条件に一致する本
+     * 表記の違いだけを無視して探し、1冊も一致しない場合に限り打ち間違いを許して探し直す
+     * （打ち間違いを許すと短い語ほど別の語に一致するため、正しく入力した時の結果には混ぜない）
+     * @param {Object[]} books
+     * @param {ParsedQuery} parsed
+     * @param {SearchContext} context
+     * @returns {Object[]}
+     */
+    static filter(books, parsed, context) {
+        const exactMatches = books.filter(book => SearchQuery.matches(book, parsed, context));
+        if (exactMatches.length > 0) return exactMatches;
+        return books.filter(book => SearchQuery.matches(book, parsed, context, { fuzzy: true }));
+    }
+
+    /**
+     * 絞り込み条件に一致するか
+     * @param {Object} book
+     * @param {ParsedQuery} parsed
+     * @param {SearchContext} context
+     * @param {{fuzzy?: boolean}} [options] - 長い語の打ち間違いを許すか
+     */
+    static matches(book, parsed, context, { fuzzy = false } = {}) {
+        const searchTexts = [book.title, book.authors, book.yomi].filter(Boolean);
+        const highlightMatch = context.highlightMatchBookIds?.has(book.bookId) || false;
+
+        // 項目名のない語はすべてタイトル・著者・読みのどれかに含まれるか、ハイライト本文が一致
+        // 除外する語は打ち間違いを許さない（似た語の本まで除外しないように）
+        const termsMatch = parsed.terms.every(({ text, negated }) => negated ?
+            !searchTexts.some(searchText => JapaneseText.includes(searchText, text)) :
+            searchTexts.some(searchText => SearchQuery.includes(searchText, text, fuzzy)) || highlightMatch);
+        if (!termsMatch) return false;
+
+        // 除外する条件は打ち間違いを許さない
+        return parsed.filters.every(filter =>
+            SearchQuery.matchesFilter(book, filter, context, fuzzy && !filter.negated) !== filter.negated);
+    }
+
+    static includes(text, term, fuzzy) {
+        return fuzzy ? JapaneseText.fuzzyIncludes(text, term) : JapaneseText.includes(text, term);
+    }
+
+    static matchesFilter(book, { field, text, statuses, range }, context, fuzzy = false) {
+        const note = context.notes?.[book.bookId] || {};
+
+        switch (field) {
+        case 'author':
+            return SearchQuery.includes(book.authors, text, fuzzy);
+        case 'title':
+            return SearchQuery.includes(book.title, text, fuzzy) || Boolean(book.yomi && SearchQuery.includes(book.yomi, text, fuzzy));
+        case 'memo':
+            return SearchQuery.includes(note.memo, text, fuzzy);
+        case 'tag':
+            return (note.tags || []).some(tag => JapaneseText.normalize(tag) === JapaneseText.normalize(text));
+        case 'shelf':
+            return context.getBookshelfBookIds(text)?.has(book.bookId) || false;
+        case 'status':
+            return statuses.includes(context.getReadingStatus(book));
+        case 'rating': {
+            const rating = note.rating || 0;
+            return rating >= range.min && rating <= range.max;
+        }
+        case 'acquired': {
+            const time = Number(book.acquiredTime);
+            return Boolean(time) && time >= range.min && time <= range.max;
+        }
+        default:
+            return false;
+        }
+    }
+
+    /**
+     * shelf: の値に一致する本棚（名前の一部、または本棚ID）
+     * @param {string} text - normalizeText() 済みの値
+     */
+    static findBookshelves(text, bookshelves) {
+        return bookshelves.filter(bookshelf =>
+            bookshelf.id === text || JapaneseText.includes(bookshelf.name, text));
+    }
+
+    /**
+     * ハイライト本文の検索に使う語（除外しない項目名のない語）
+     */
+    static getHighlightSearchText(parsed) {
+        return parsed.terms.filter(term => !term.negated).map(term => term.text).join(' ');
+    }
+
+    /**
+     * 比較用に文字列を揃える（全角・半角、大文字・小文字の違いを無視）
+     */
+    static normalizeText(text) {
+        return String(text ?? '').normalize('NFKC').toLowerCase().trim();
+    }
+
+    /**
+     * 検索式をURLのクエリ文字列に書き出す（?q=...&highlights=1）
+     */
+    static toUrlParams(query, { searchHighlights = false } = {}) {
+        const params = new URLSearchParams();
+        if (query.trim()) params.set('q', query.trim());
+        if (query.trim() && searchHighlights) params.set('highlights', '1');
+        return params;
+    }
+
+    /**
+     * URLのクエリ文字列から検索式を読み込む
+     * @returns {{query: string, searchHighlights: boolean}}
+     */
+    static fromUrlParams(search) {
+        const params = new URLSearchParams(search);
+        return { query: params.get('q') || '', searchHighlights: params.get('highlights') === '1' };
+    }
+}
+
+// Node.js（scripts/）からも利用できるようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchQuery;
+}
@@ -292,9 +292,10 @@ class SeriesManager {
     /**
      * シリーズの読書進捗を取得
      * @param {SeriesInfo} series - シリーズ情報
+     * @param {function(Object): boolean} [isRead] - 読了判定（省略時はreadStatusで判定）
      * @returns {SeriesProgress}
      */
-    getSeriesProgress(series) {
+    getSeriesProgress(series, isRead = null) {
         if (!series || !series.volumes) {
             return { total: 0, read: 0, unread: 0 };
         }
@@ -303,8 +304,12 @@ class SeriesManager {
         let read = 0;
 
         series.volumes.forEach(({ book }) => {
-            // readStatusが 'read' または 'Read' の場合を読了とみなす
-            if (book.readStatus && book.readStatus.toLowerCase() === 'read') {
+            if (isRead) {
+                if (isRead(book)) {
+                    read++;
+                }
+            } else if (book.readStatus && book.readStatus.toLowerCase() === 'read') {
+                // readStatusが 'read' または 'Read' の場合を読了とみなす
                 read++;
             }
         });
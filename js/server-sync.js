@@ -0,0 +1,471 @@
+// Server Sync - library.json（サーバーデータ）とローカルデータの3方向マージ
+// 前回適用したサーバーデータを基準に、書籍・メモ・本棚・並び順をレコード単位で比較し、
+// 片方だけの変更は自動で取り込み、両方で変更されたレコードは確認ダイアログで選択してから適用する
+
+/**
+ * @typedef {Object} SyncChange
+ * @property {string} recordId - レコードID（例: "notes/B0CVL7DSBQ"）
+ * @property {'add'|'update'|'delete'} action - ローカルへの反映内容
+ * @property {*} value - サーバーの値（削除の場合はundefined）
+ */
+
+/**
+ * @typedef {Object} SyncConflict
+ * @property {string} recordId - レコードID
+ * @property {*} local - この端末の値（削除済みの場合はundefined）
+ * @property {*} server - サーバーの値（削除済みの場合はundefined）
+ */
+
+class ServerSync {
+    /**
+     * 前回適用したサーバーデータのレコードごとのハッシュ（端末ごとに保存）
+     */
+    static BASE_KEY = 'virtualBookshelf_serverBase';
+
+    /**
+     * マージ対象のレコード
+     */
+    static COLLECTIONS = ['books', 'notes', 'bookshelves', 'bookOrder'];
+
+    constructor(bookshelf) {
+        this.bookshelf = bookshelf;
+        this.pending = null;
+    }
+
+    /**
+     * サーバーデータとの差分を確認して、確認ダイアログを表示
+     */
+    async start() {
+        try {
+            console.log('🔄 サーバーデータとの差分を確認中...');
+
+            const libraryData = await this.fetchServerLibrary();
+            const server = this.buildServerState(libraryData);
+            const localRecords = this.createRecords(this.bookshelf.bookManager.library, this.bookshelf.userData);
+            const serverRecords = this.createRecords(server.library, server.userData);
+            const result = this.diff(localRecords, serverRecords, this.loadBase());
+
+            if (result.changes.length === 0 && result.conflicts.length === 0) {
+                // 差分がなくても次回の基準は更新しておく
+                this.saveBase(serverRecords);
+                alert('✅ サーバーデータとの差分はありません');
+                return;
+            }
+
+            this.pending = { libraryData, serverRecords, localRecords, ...result };
+            this.showReviewDialog();
+        } catch (error) {
+            console.error('❌ データ適用エラー:', error);
+            alert('❌ サーバーデータの適用に失敗しました:\n' + error.message);
+        }
+    }
+
+    /**
+     * data/library.json を読み込み
+     */
+    async fetchServerLibrary() {
+        const response = await fetch('data/library.json', {
+            cache: 'no-store' // キャッシュを無視して最新を取得
+        });
+
+        if (!response.ok) {
+            throw new Error('library.json の読み込みに失敗しました');
+        }
+
+        const text = await response.text();
+        if (!text.trim()) {
+            throw new Error('library.json が空です');
+        }
+
+        return JSON.parse(text);
+    }
+
+    /**
+     * library.json をローカルと同じ形（BookManager.library / userData）に変換
+     */
+    buildServerState(libraryData) {
+        const bookManager = this.bookshelf.bookManager;
+        const books = libraryData.books || {};
+        const notes = {};
+
+        // 書籍データから notes を再構築
+        Object.keys(books).forEach(bookId => {
+            const note = this.bookshelf.extractNoteFromLibraryBook(books[bookId]);
+            if (note) {
+                notes[bookId] = note;
+            }
+        });
+
+        return {
+            library: {
+                books: Object.entries(books).map(([key, book]) => bookManager.normalizeBook(book, key))
+            },
+            userData: {
+                bookshelves: libraryData.bookshelves || [],
+                notes,
+                bookOrder: libraryData.bookOrder || {}
+            }
+        };
+    }
+
+    /**
+     * 比較用のレコードに分割（StorageManager と同じレコードIDを使う）
+     * @returns {Map<string, *>}
+     */
+    createRecords(library, userData) {
+        const storage = this.bookshelf.storage;
+        const records = new Map();
+
+        [
+            storage.splitRecords(StorageManager.KEYS.library, { books: library.books || [] }),
+            storage.splitRecords(StorageManager.KEYS.userData, {
+                bookshelves: userData.bookshelves || [],
+                notes: userData.notes || {},
+                bookOrder: userData.bookOrder || {}
+            })
+        ].forEach(split => split.forEach((value, recordId) => {
+            if (ServerSync.COLLECTIONS.includes(this.getCollection(recordId))) {
+                records.set(recordId, value);
+            }
+        }));
+
+        // 空のメモ（評価・メモ・ステータスなし）は存在しないものとして扱う
+        records.forEach((value, recordId) => {
+            if (this.getCollection(recordId) === 'notes' && !this.bookshelf.extractNoteFromLibraryBook(value)) {
+                records.delete(recordId);
+            }
+        });
+
+        return records;
+    }
+
+    getCollection(recordId) {
+        return recordId.slice(0, recordId.indexOf('/'));
+    }
+
+    /**
+     * エクスポートで失われない項目だけで比較用の文字列を作る
+     */
+    getComparableValue(recordId, value) {
+        if (value === undefined) return undefined;
+
+        switch (this.getCollection(recordId)) {
+        case 'books':
+            return this.stableStringify({
+                title: value.title || '',
+                authors: value.authors || '',
+                acquiredTime: value.acquiredTime,
+                readStatus: value.readStatus || 'UNREAD',
+                productImage: value.productImage || '',
+                source: value.source || 'unknown',
+                addedDate: value.addedDate,
+                isbn: value.isbn,
+                yomi: value.yomi,
+                ownership: value.ownership,
+                mergedBookIds: value.mergedBookIds,
+                updatedBookId: value.updatedBookId
+            });
+        case 'notes':
+            return this.stableStringify(this.bookshelf.extractNoteFromLibraryBook(value));
+        default:
+            return this.stableStringify(value);
+        }
+    }
+
+    /**
+     * キーの順序に依存しないJSON文字列
+     */
+    stableStringify(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this.stableStringify(item ?? null)).join(',')}]`;
+        }
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    /**
+     * 文字列の短いハッシュ（FNV-1a）
+     */
+    hash(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    hashRecords(records) {
+        const hashes = {};
+        records.forEach((value, recordId) => {
+            hashes[recordId] = this.hash(this.getComparableValue(recordId, value));
+        });
+        return hashes;
+    }
+
+    /**
+     * 3方向の差分を計算
+     * 基準（前回適用したサーバーデータ）がない場合は、片方にしかないレコードは追加として扱う
+     * @returns {{changes: SyncChange[], conflicts: SyncConflict[], localChanges: number}}
+     */
+    diff(localRecords, serverRecords, baseHashes) {
+        const localHashes = this.hashRecords(localRecords);
+        const serverHashes = this.hashRecords(serverRecords);
+        const changes = [];
+        const conflicts = [];
+        let localChanges = 0;
+
+        const recordIds = new Set([...serverRecords.keys(), ...localRecords.keys(), ...Object.keys(baseHashes)]);
+        recordIds.forEach(recordId => {
+            const localHash = localHashes[recordId];
+            const serverHash = serverHashes[recordId];
+            if (localHash === serverHash) return;
+
+            const localChanged = localHash !== baseHashes[recordId];
+            const serverChanged = serverHash !== baseHashes[recordId];
+
+            if (serverChanged && !localChanged) {
+                const action = !serverRecords.has(recordId) ? 'delete' : localRecords.has(recordId) ? 'update' : 'add';
+                changes.push({ recordId, action, value: serverRecords.get(recordId) });
+            } else if (localChanged && !serverChanged) {
+                localChanges++;
+            } else {
+                conflicts.push({ recordId, local: localRecords.get(recordId), server: serverRecords.get(recordId) });
+            }
+        });
+
+        return { changes, conflicts, localChanges };
+    }
+
+    loadBase() {
+        try {
+            return JSON.parse(localStorage.getItem(ServerSync.BASE_KEY) || 'null')?.hashes || {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    saveBase(serverRecords) {
+        localStorage.setItem(ServerSync.BASE_KEY, JSON.stringify({
+            savedAt: new Date().toISOString(),
+            hashes: this.hashRecords(serverRecords)
+        }));
+    }
+
+    /**
+     * library.json から読み込んだ直後に、そのデータを次回マージの基準として記録
+     */
+    recordBase(libraryData) {
+        const server = this.buildServerState(libraryData);
+        this.saveBase(this.createRecords(server.library, server.userData));
+    }
+
+    /**
+     * 差分の確認ダイアログを表示
+     */
+    showReviewDialog() {
+        const { changes, conflicts, localChanges } = this.pending;
+        const body = document.getElementById('server-sync-modal-body');
+        const counts = { add: 0, update: 0, delete: 0 };
+        changes.forEach(change => counts[change.action]++);
+
+        body.innerHTML = `
+            <div class="server-sync-summary">
+                <div>📥 サーバーの変更を取り込み: 追加 ${counts.add}件 / 更新 ${counts.update}件 / 削除 ${counts.delete}件</div>
+                <div>📝 この端末だけの変更（そのまま保持）: ${localChanges}件</div>
+                <div>⚠️ 両方で変更されたデータ: ${conflicts.length}件</div>
+            </div>
+            ${changes.length > 0 ? `
+                <details class="server-sync-changes">
+                    <summary>取り込む変更の一覧</summary>
+                    <ul>
+                        ${changes.map(change => `<li>${this.describeAction(change.action)} ${this.escapeHtml(this.describeRecord(change.recordId, change.value))}</li>`).join('')}
+                    </ul>
+                </details>
+            ` : ''}
+            ${conflicts.length > 0 ? `
+                <div class="server-sync-conflict-actions">
+                    <button class="btn btn-small btn-secondary" data-choose-all="local">すべてこの端末を採用</button>
+                    <button class="btn btn-small btn-secondary" data-choose-all="server">すべてサーバーを採用</button>
+                </div>
+                <div class="server-sync-conflicts">
+                    ${conflicts.map((conflict, index) => this.renderConflict(conflict, index)).join('')}
+                </div>
+            ` : ''}
+        `;
+
+        body.querySelectorAll('[data-choose-all]').forEach(button => {
+            button.addEventListener('click', () => {
+                body.querySelectorAll(`.server-sync-conflict input[value="${button.dataset.chooseAll}"]`).forEach(input => {
+                    input.checked = true;
+                });
+            });
+        });
+
+        document.getElementById('server-sync-modal').classList.add('show');
+    }
+
+    renderConflict(conflict, index) {
+        const canKeepBoth = this.getCollection(conflict.recordId) === 'notes' &&
+            conflict.local?.memo && conflict.server?.memo;
+
+        return `
+            <div class="server-sync-conflict">
+                <div class="server-sync-conflict-title">${this.escapeHtml(this.describeRecord(conflict.recordId, conflict.local ?? conflict.server))}</div>
+                <div class="server-sync-conflict-options">
+                    <label class="server-sync-option">
+                        <input type="radio" name="server-sync-conflict-${index}" value="local" checked>
+                        <span class="server-sync-option-label">この端末</span>
+                        <span class="server-sync-option-value">${this.escapeHtml(this.describeValue(conflict.recordId, conflict.local))}</span>
+                    </label>
+                    <label class="server-sync-option">
+                        <input type="radio" name="server-sync-conflict-${index}" value="server">
+                        <span class="server-sync-option-label">サーバー</span>
+                        <span class="server-sync-option-value">${this.escapeHtml(this.describeValue(conflict.recordId, conflict.server))}</span>
+                    </label>
+                    ${canKeepBoth ? `
+                        <label class="server-sync-option">
+                            <input type="radio" name="server-sync-conflict-${index}" value="both">
+                            <span class="server-sync-option-label">両方のメモを残す</span>
+                        </label>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
+    describeAction(action) {
+        return { add: '➕', update: '✏️', delete: '🗑️' }[action];
+    }
+
+    describeRecord(recordId, value) {
+        return this.bookshelf.describeStorageRecord(recordId, value);
+    }
+
+    /**
+     * 競合しているレコードの内容の要約
+     */
+    describeValue(recordId, value) {
+        if (value === undefined) {
+            return '（削除済み）';
+        }
+
+        switch (this.getCollection(recordId)) {
+        case 'books':
+            return `${value.title || ''} / ${value.authors || ''}`;
+        case 'notes': {
+            const rating = value.rating ? '⭐'.repeat(value.rating) + ' ' : '';
+            const statusInfo = VirtualBookshelf.READING_STATUSES[value.readingStatus];
+            const status = statusInfo ? `[${statusInfo.icon} ${statusInfo.label}] ` : '';
+            return `${rating}${status}${value.memo || '（メモなし）'}`;
+        }
+        case 'bookshelves': {
+            const contents = SmartBookshelf.isSmart(value) ?
+                `🪄 ${SmartBookshelf.describe(value.rules, VirtualBookshelf.READING_STATUSES)}` :
+                `${(value.books || []).length}冊`;
+            return `${value.emoji || '📚'} ${value.name}（${contents}・${value.isPublic ? '公開' : '非公開'}）`;
+        }
+        case 'bookOrder':
+            return `${value.length}冊の並び順`;
+        default:
+            return JSON.stringify(value);
+        }
+    }
+
+    closeReviewDialog() {
+        document.getElementById('server-sync-modal').classList.remove('show');
+        this.pending = null;
+    }
+
+    /**
+     * 選択内容でマージして適用
+     */
+    async apply() {
+        if (!this.pending) return;
+
+        const { libraryData, serverRecords, localRecords, changes, conflicts } = this.pending;
+        const bookshelf = this.bookshelf;
+        const records = new Map(localRecords);
+        const setRecord = (recordId, value) => {
+            if (value === undefined) {
+                records.delete(recordId);
+            } else {
+                records.set(recordId, value);
+            }
+        };
+
+        changes.forEach(change => setRecord(change.recordId, change.value));
+
+        conflicts.forEach((conflict, index) => {
+            const choice = document.querySelector(`input[name="server-sync-conflict-${index}"]:checked`)?.value || 'local';
+            if (choice === 'server') {
+                setRecord(conflict.recordId, conflict.server);
+            } else if (choice === 'both') {
+                setRecord(conflict.recordId, this.mergeNotes(conflict.local, conflict.server));
+            }
+        });
+
+        try {
+            await bookshelf.snapshotManager.takeSnapshot('before-sync');
+
+            const storage = bookshelf.storage;
+            const library = storage.joinRecords(StorageManager.KEYS.library,
+                this.pickRecords(records, ['books']), { books: bookshelf.bookManager.library.books });
+            const userData = storage.joinRecords(StorageManager.KEYS.userData,
+                this.pickRecords(records, ['bookshelves', 'notes', 'bookOrder']), bookshelf.userData);
+
+            bookshelf.bookManager.library = {
+                ...bookshelf.bookManager.library,
+                books: library.books
+            };
+            bookshelf.bookManager.library.metadata = {
+                ...bookshelf.bookManager.library.metadata,
+                totalBooks: library.books.length,
+                lastImportDate: libraryData.exportDate
+            };
+            await bookshelf.bookManager.saveLibrary();
+
+            bookshelf.userData.bookshelves = userData.bookshelves;
+            bookshelf.userData.notes = userData.notes;
+            bookshelf.userData.bookOrder = userData.bookOrder;
+            bookshelf.userData.settings = { ...bookshelf.userData.settings, ...(libraryData.settings || {}) };
+            bookshelf.saveUserData();
+
+            this.saveBase(serverRecords);
+            this.closeReviewDialog();
+            bookshelf.refreshLibraryView();
+
+            console.log('✅ サーバーデータのマージが完了しました');
+            alert('✅ サーバーデータを取り込みました！\n\n' +
+                  `📚 ${bookshelf.books.length}冊の書籍データがあります。`);
+        } catch (error) {
+            console.error('❌ データ適用エラー:', error);
+            alert('❌ サーバーデータの適用に失敗しました:\n' + error.message);
+        }
+    }
+
+    pickRecords(records, collections) {
+        return new Map(Array.from(records.entries())
+            .filter(([recordId]) => collections.includes(this.getCollection(recordId))));
+    }
+
+    /**
+     * 両方のメモを残す（評価・ステータスはこの端末の値を優先）
+     */
+    mergeNotes(local, server) {
+        return {
+            ...server,
+            ...local,
+            memo: `${local.memo}\n\n---\n\n${server.memo}`
+        };
+    }
+
+    escapeHtml(text) {
+        return this.bookshelf.escapeHtml(text);
+    }
+}
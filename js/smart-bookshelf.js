@@ -0,0 +1,195 @@
+// Smart Bookshelf - 条件で本を集める本棚（スマート本棚）
+// 本棚の rules（{match, conditions}）を満たす本を、表示・静的ページ生成のたびに蔵書から集め直す。
+// 手で追加する本棚（books）と違い、評価・読書状況・タグなどを変えると自動で本が入れ替わる
+// ブラウザ（bookshelf.js）と Node.js（scripts/build-static-pages.js）の両方で使うため、DOMには依存しない
+
+/**
+ * @typedef {Object} SmartCondition
+ * @property {string} field - 条件の項目（SmartBookshelf.FIELDS のキー）
+ * @property {string} operator - 比較方法（SmartBookshelf.OPERATORS のキー）
+ * @property {string|number} [value] - 比較する値（ハイライトの有無では不要）
+ */
+
+/**
+ * @typedef {Object} SmartRules
+ * @property {'all'|'any'} match - すべての条件に一致 / いずれかの条件に一致
+ * @property {SmartCondition[]} conditions
+ */
+
+/**
+ * @typedef {Object} SmartContext
+ * @property {Object<string, Object>} notes - userData.notes（評価・メモ・読書状況・タグ）
+ * @property {Set<string>} [highlightBookIds] - ハイライトのある本のbookId（data/highlights-index.json のキー）
+ * @property {function(Object): string} [getReadingStatus] - 読書状況（省略時は notes の readingStatus、なければ既読なら read）
+ */
+
+class SmartBookshelf {
+    static FIELDS = {
+        rating: { label: '星評価', type: 'number', operators: ['>=', '<=', '='] },
+        author: { label: '著者', type: 'text', operators: ['contains', 'not_contains'] },
+        title: { label: 'タイトル', type: 'text', operators: ['contains', 'not_contains'] },
+        acquiredYear: { label: '購入年', type: 'number', operators: ['=', '>=', '<='] },
+        readingStatus: { label: '読書状況', type: 'status', operators: ['=', '!='] },
+        tag: { label: 'タグ', type: 'text', operators: ['has', 'not_has'] },
+        highlights: { label: 'ハイライト', type: 'none', operators: ['exists', 'not_exists'] }
+    };
+
+    static OPERATORS = {
+        '>=': '以上',
+        '<=': '以下',
+        '=': 'である',
+        '!=': 'ではない',
+        contains: 'を含む',
+        not_contains: 'を含まない',
+        has: 'が付いている',
+        not_has: 'が付いていない',
+        exists: 'がある',
+        not_exists: 'がない'
+    };
+
+    static MATCH_MODES = {
+        all: 'すべての条件に一致',
+        any: 'いずれかの条件に一致'
+    };
+
+    /**
+     * 条件で本を集める本棚か
+     */
+    static isSmart(bookshelf) {
+        return Boolean(bookshelf?.rules);
+    }
+
+    /**
+     * 条件の誤り（問題なければ空配列）
+     * @param {SmartRules} rules
+     * @returns {string[]}
+     */
+    static validate(rules) {
+        const errors = [];
+        if (!SmartBookshelf.MATCH_MODES[rules?.match]) {
+            errors.push('条件の組み合わせ方を選択してください');
+        }
+        if (!rules?.conditions?.length) {
+            errors.push('条件を1つ以上追加してください');
+            return errors;
+        }
+
+        rules.conditions.forEach((condition, index) => {
+            const field = SmartBookshelf.FIELDS[condition.field];
+            const prefix = `条件${index + 1}`;
+            if (!field) {
+                errors.push(`${prefix}: 項目を選択してください`);
+                return;
+            }
+            if (!field.operators.includes(condition.operator)) {
+                errors.push(`${prefix}: ${field.label}の比較方法を選択してください`);
+            }
+            if (field.type === 'number' && !Number.isFinite(Number(condition.value))) {
+                errors.push(`${prefix}: ${field.label}には数値を入力してください`);
+            }
+            if ((field.type === 'text' || field.type === 'status') && !String(condition.value ?? '').trim()) {
+                errors.push(`${prefix}: ${field.label}の値を入力してください`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * 条件に一致する本（蔵書の並び順のまま）
+     * @param {SmartRules} rules
+     * @param {Object[]} books
+     * @param {SmartContext} context
+     */
+    static filterBooks(rules, books, context) {
+        if (SmartBookshelf.validate(rules).length > 0) return [];
+        return books.filter(book => SmartBookshelf.matches(book, rules, context));
+    }
+
+    static matches(book, rules, context) {
+        const results = rules.conditions.map(condition => SmartBookshelf.matchesCondition(book, condition, context));
+        return rules.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+    }
+
+    static matchesCondition(book, { field, operator, value }, context) {
+        const note = context.notes?.[book.bookId] || {};
+
+        switch (field) {
+        case 'rating':
+            return SmartBookshelf.compareNumber(note.rating || 0, operator, Number(value));
+        case 'acquiredYear':
+            return Boolean(book.acquiredTime) &&
+                SmartBookshelf.compareNumber(new Date(Number(book.acquiredTime)).getFullYear(), operator, Number(value));
+        case 'author':
+        case 'title': {
+            const contains = SmartBookshelf.normalizeText(field === 'author' ? book.authors : book.title)
+                .includes(SmartBookshelf.normalizeText(value));
+            return operator === 'contains' ? contains : !contains;
+        }
+        case 'readingStatus': {
+            const status = context.getReadingStatus ?
+                context.getReadingStatus(book) :
+                note.readingStatus || (String(book.readStatus).toUpperCase() === 'READ' ? 'read' : 'none');
+            return operator === '=' ? status === value : status !== value;
+        }
+        case 'tag': {
+            const has = (note.tags || []).some(tag => SmartBookshelf.normalizeText(tag) === SmartBookshelf.normalizeText(value));
+            return operator === 'has' ? has : !has;
+        }
+        case 'highlights': {
+            // 重複を統合した本は、統合した本（mergedBookIds）のハイライトも含める
+            const bookIds = [book.bookId, ...(book.mergedBookIds || [])];
+            const exists = bookIds.some(bookId => context.highlightBookIds?.has(bookId));
+            return operator === 'exists' ? exists : !exists;
+        }
+        default:
+            return false;
+        }
+    }
+
+    static compareNumber(actual, operator, expected) {
+        if (operator === '>=') return actual >= expected;
+        if (operator === '<=') return actual <= expected;
+        return actual === expected;
+    }
+
+    /**
+     * 比較用に文字列を揃える（全角・半角、大文字・小文字の違いを無視）
+     */
+    static normalizeText(text) {
+        return String(text ?? '').normalize('NFKC').toLowerCase().trim();
+    }
+
+    /**
+     * 条件で使う項目か（ハイライトの読み込みが必要かの判定に使う）
+     */
+    static usesField(bookshelf, field) {
+        return SmartBookshelf.isSmart(bookshelf) &&
+            bookshelf.rules.conditions.some(condition => condition.field === field);
+    }
+
+    /**
+     * 条件の説明文（本棚の一覧に表示）
+     * @param {SmartRules} rules
+     * @param {Object<string, {label: string}>} [statuses] - 読書状況の表示名
+     */
+    static describe(rules, statuses = {}) {
+        const descriptions = rules.conditions.map(({ field, operator, value }) => {
+            const info = SmartBookshelf.FIELDS[field];
+            if (!info) return '';
+            if (info.type === 'none') return `${info.label}${SmartBookshelf.OPERATORS[operator]}`;
+
+            if (info.type === 'number') return `${info.label}が${value}${SmartBookshelf.OPERATORS[operator]}`;
+            if (field === 'tag') return `${info.label}「${value}」${SmartBookshelf.OPERATORS[operator]}`;
+
+            const label = info.type === 'status' ? statuses[value]?.label || value : value;
+            return `${info.label}が「${label}」${SmartBookshelf.OPERATORS[operator]}`;
+        }).filter(Boolean);
+
+        return descriptions.join(rules.match === 'any' ? ' または ' : ' かつ ');
+    }
+}
+
+// Node.js（scripts/）からも利用できるようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SmartBookshelf;
+}
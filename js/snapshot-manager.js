@@ -0,0 +1,400 @@
+// Snapshot Manager - 蔵書データの自動スナップショット
+// 1時間ごと（と起動時・インポート前などの操作前）に蔵書・メモ・本棚をIndexedDBに保存し、
+// 直近24時間は1時間ごと、それ以前は1日ごとに間引いて保持する。復元前に現在との差分を確認できる
+
+/**
+ * @typedef {Object} SnapshotInfo
+ * @property {string} id - スナップショットID
+ * @property {string} createdAt - 作成日時（ISO文字列）
+ * @property {string} reason - 作成理由（SnapshotManager.REASONS のキー）
+ * @property {string} hash - 内容のハッシュ（同じ内容の自動スナップショットは作成しない）
+ * @property {{books: number, notes: number, bookshelves: number}} counts
+ */
+
+class SnapshotManager {
+    static AUTO_INTERVAL = 60 * 60 * 1000;
+    static HOURLY_KEEP = 24;  // 1時間ごとに残す時間数
+    static DAILY_KEEP = 14;   // 1日ごとに残す日数
+    static MANUAL_KEEP = 10;  // 自動以外（手動・操作前）のスナップショットを残す数
+
+    static REASONS = {
+        auto: '⏰ 自動',
+        manual: '📸 手動',
+        'before-import': '📥 インポート前',
+        'before-sync': '🔄 サーバーデータ適用前',
+        'before-metadata-refresh': '🧩 書籍情報の補完前',
+        'before-merge': '🔗 重複の統合前',
+        'before-clear': '🗑️ 蔵書クリア前',
+        'before-restore': '↩️ 復元前'
+    };
+
+    constructor(bookshelf) {
+        this.bookshelf = bookshelf;
+        this.infoStore = IndexedDBAdapter.isAvailable() ? new IndexedDBAdapter('virtualBookshelf', 'snapshots') : null;
+        this.dataStore = IndexedDBAdapter.isAvailable() ? new IndexedDBAdapter('virtualBookshelf', 'snapshotData') : null;
+        this.timer = null;
+        this.previewId = null;
+    }
+
+    get isAvailable() {
+        return Boolean(this.infoStore);
+    }
+
+    /**
+     * 起動時のスナップショットを作成し、定期作成を開始
+     */
+    async initialize() {
+        if (!this.isAvailable) return;
+
+        await this.takeSnapshot('auto');
+        this.timer = setInterval(() => this.takeSnapshot('auto'), SnapshotManager.AUTO_INTERVAL);
+    }
+
+    /**
+     * 現在のデータのスナップショットを作成（失敗しても操作は止めない）
+     * @param {string} reason - SnapshotManager.REASONS のキー
+     * @returns {Promise<SnapshotInfo|null>}
+     */
+    async takeSnapshot(reason) {
+        if (!this.isAvailable) return null;
+
+        try {
+            const data = this.getCurrentData();
+            const hash = this.bookshelf.serverSync.hash(JSON.stringify(data));
+            const snapshots = await this.listSnapshots();
+
+            if (reason === 'auto' && snapshots[0]?.hash === hash) {
+                // 前回のスナップショットから変更なし
+                return null;
+            }
+
+            const createdAt = new Date();
+            const info = {
+                id: `snapshot_${createdAt.getTime()}`,
+                createdAt: createdAt.toISOString(),
+                reason,
+                hash,
+                counts: this.countData(data)
+            };
+
+            await this.dataStore.write(info.id, data);
+            await this.infoStore.write(info.id, info);
+            await this.prune([info, ...snapshots]);
+
+            console.log(`📸 スナップショットを作成しました（${SnapshotManager.REASONS[reason]}）`);
+            return info;
+        } catch (error) {
+            console.error('スナップショット作成エラー:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 保存対象のデータ（表示設定などは含めない）
+     */
+    getCurrentData() {
+        const { library } = this.bookshelf.bookManager;
+        const userData = this.bookshelf.userData;
+
+        return JSON.parse(JSON.stringify({
+            library: {
+                books: library.books,
+                metadata: library.metadata
+            },
+            userData: {
+                bookshelves: userData.bookshelves || [],
+                notes: userData.notes || {},
+                bookOrder: userData.bookOrder || {}
+            }
+        }));
+    }
+
+    countData(data) {
+        return {
+            books: data.library.books.length,
+            notes: Object.keys(data.userData.notes).length,
+            bookshelves: data.userData.bookshelves.length
+        };
+    }
+
+    /**
+     * @returns {Promise<SnapshotInfo[]>} 新しい順
+     */
+    async listSnapshots() {
+        const snapshots = await this.infoStore.readAll();
+        return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * 古いスナップショットを間引く
+     * 自動: 直近24時間は1時間ごと、14日以内は1日ごとに最新の1件を残す / それ以外: 新しい10件を残す
+     */
+    async prune(snapshots) {
+        const now = Date.now();
+        const buckets = new Set();
+        let manualCount = 0;
+
+        const expired = snapshots.filter(snapshot => {
+            if (snapshot.reason !== 'auto') {
+                manualCount++;
+                return manualCount > SnapshotManager.MANUAL_KEEP;
+            }
+
+            const createdAt = new Date(snapshot.createdAt);
+            const ageHours = (now - createdAt.getTime()) / (60 * 60 * 1000);
+            let bucket;
+            if (ageHours < SnapshotManager.HOURLY_KEEP) {
+                bucket = `hour-${Math.floor(createdAt.getTime() / SnapshotManager.AUTO_INTERVAL)}`;
+            } else if (ageHours < SnapshotManager.DAILY_KEEP * 24) {
+                bucket = `day-${createdAt.toDateString()}`;
+            } else {
+                return true;
+            }
+
+            if (buckets.has(bucket)) return true;
+            buckets.add(bucket);
+            return false;
+        });
+
+        for (const snapshot of expired) {
+            await this.deleteSnapshot(snapshot.id);
+        }
+    }
+
+    async deleteSnapshot(id) {
+        await this.infoStore.remove(id);
+        await this.dataStore.remove(id);
+    }
+
+    /**
+     * 現在のデータとスナップショットの差分（復元した場合に変わる内容）
+     */
+    compare(data) {
+        const storage = this.bookshelf.storage;
+        const current = this.getCurrentData();
+        const split = (target) => new Map([
+            ...storage.splitRecords(StorageManager.KEYS.library, { books: target.library.books }),
+            ...storage.splitRecords(StorageManager.KEYS.userData, target.userData)
+        ]);
+        const currentRecords = split(current);
+        const snapshotRecords = split(data);
+
+        const result = {};
+        ['books', 'notes', 'bookshelves', 'bookOrder'].forEach(collection => {
+            result[collection] = { restored: [], removed: [], changed: [] };
+        });
+
+        new Set([...currentRecords.keys(), ...snapshotRecords.keys()]).forEach(recordId => {
+            const collection = recordId.slice(0, recordId.indexOf('/'));
+            if (!result[collection]) return;
+
+            const currentValue = currentRecords.get(recordId);
+            const snapshotValue = snapshotRecords.get(recordId);
+            if (JSON.stringify(currentValue) === JSON.stringify(snapshotValue)) return;
+
+            const type = currentValue === undefined ? 'restored' : snapshotValue === undefined ? 'removed' : 'changed';
+            result[collection][type].push({ recordId, current: currentValue, snapshot: snapshotValue });
+        });
+
+        return result;
+    }
+
+    // ===== UI =====
+
+    /**
+     * スナップショット一覧モーダルを表示
+     */
+    async show() {
+        if (!this.isAvailable) {
+            alert('❌ このブラウザではIndexedDBが使えないため、スナップショットを利用できません');
+            return;
+        }
+
+        document.getElementById('snapshot-modal').classList.add('show');
+        await this.renderList();
+    }
+
+    close() {
+        document.getElementById('snapshot-modal').classList.remove('show');
+        this.previewId = null;
+    }
+
+    async renderList() {
+        const body = document.getElementById('snapshot-modal-body');
+        const snapshots = await this.listSnapshots();
+
+        if (snapshots.length === 0) {
+            body.innerHTML = '<div class="snapshot-empty">スナップショットはまだありません</div>';
+            return;
+        }
+
+        body.innerHTML = `
+            <div class="snapshot-list">
+                ${snapshots.map(snapshot => `
+                    <div class="snapshot-item${snapshot.id === this.previewId ? ' active' : ''}">
+                        <div class="snapshot-item-info">
+                            <div class="snapshot-item-date">${new Date(snapshot.createdAt).toLocaleString('ja-JP')}</div>
+                            <div class="snapshot-item-meta">
+                                ${SnapshotManager.REASONS[snapshot.reason] || snapshot.reason} ・
+                                📚 ${snapshot.counts.books}冊 ・ 📝 ${snapshot.counts.notes}件 ・ 🗂️ 本棚${snapshot.counts.bookshelves}個
+                            </div>
+                        </div>
+                        <div class="snapshot-item-actions">
+                            <button class="btn btn-small btn-secondary" data-snapshot-preview="${snapshot.id}">🔍 差分を確認</button>
+                            <button class="btn btn-small btn-danger" data-snapshot-delete="${snapshot.id}">🗑️</button>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            <div id="snapshot-preview"></div>
+        `;
+
+        body.querySelectorAll('[data-snapshot-preview]').forEach(button => {
+            button.addEventListener('click', () => this.preview(button.dataset.snapshotPreview));
+        });
+        body.querySelectorAll('[data-snapshot-delete]').forEach(button => {
+            button.addEventListener('click', async () => {
+                if (!confirm('🗑️ このスナップショットを削除しますか？')) return;
+                await this.deleteSnapshot(button.dataset.snapshotDelete);
+                if (this.previewId === button.dataset.snapshotDelete) {
+                    this.previewId = null;
+                }
+                await this.renderList();
+            });
+        });
+
+        if (this.previewId) {
+            await this.preview(this.previewId);
+        }
+    }
+
+    /**
+     * 復元した場合の差分を表示
+     */
+    async preview(id) {
+        const data = await this.dataStore.read(id);
+        if (!data) {
+            alert('❌ スナップショットのデータが見つかりません');
+            return;
+        }
+
+        this.previewId = id;
+        document.querySelectorAll('.snapshot-item').forEach(item => {
+            item.classList.toggle('active', Boolean(item.querySelector(`[data-snapshot-preview="${id}"]`)));
+        });
+
+        const diff = this.compare(data);
+        const hasChanges = Object.values(diff).some(changes =>
+            changes.restored.length + changes.removed.length + changes.changed.length > 0);
+        const counts = this.countData(this.getCurrentData());
+        const snapshotCounts = this.countData(data);
+        const container = document.getElementById('snapshot-preview');
+
+        container.innerHTML = `
+            <div class="snapshot-preview">
+                <h3>🔍 復元した場合の変更</h3>
+                <div class="snapshot-preview-counts">
+                    <span>📚 書籍: ${counts.books}冊 → ${snapshotCounts.books}冊</span>
+                    <span>📝 メモ・評価: ${counts.notes}件 → ${snapshotCounts.notes}件</span>
+                    <span>🗂️ 本棚: ${counts.bookshelves}個 → ${snapshotCounts.bookshelves}個</span>
+                </div>
+                ${hasChanges ? `
+                    ${this.renderDiffSection('📚 書籍', diff.books, change => this.getBookTitle(change))}
+                    ${this.renderDiffSection('📝 メモ・評価', diff.notes, change => this.getBookTitle(change, data))}
+                    ${this.renderDiffSection('🗂️ 本棚', diff.bookshelves, change => this.getBookshelfLabel(change))}
+                    ${this.renderDiffSection('🔀 並び順', diff.bookOrder, change => change.recordId.slice(change.recordId.indexOf('/') + 1))}
+                ` : '<div class="snapshot-empty">現在のデータと同じ内容です</div>'}
+                <div class="form-actions" style="margin-top: 1rem; display: flex; justify-content: flex-end;">
+                    <button id="restore-snapshot" class="btn btn-primary" ${hasChanges ? '' : 'disabled'}>↩️ この時点に復元</button>
+                </div>
+            </div>
+        `;
+
+        document.getElementById('restore-snapshot').addEventListener('click', () => this.restore(id));
+    }
+
+    renderDiffSection(title, changes, getLabel) {
+        const rows = [
+            ['➕ 復元される', changes.restored],
+            ['➖ 削除される', changes.removed],
+            ['✏️ 内容が戻る', changes.changed]
+        ].filter(([, items]) => items.length > 0);
+        if (rows.length === 0) return '';
+
+        const limit = 10;
+        return `
+            <div class="snapshot-diff-section">
+                <h4>${title}</h4>
+                ${rows.map(([label, items]) => `
+                    <details class="snapshot-diff-row">
+                        <summary>${label}: ${items.length}件</summary>
+                        <ul>
+                            ${items.slice(0, limit).map(change => `<li>${this.bookshelf.escapeHtml(getLabel(change))}</li>`).join('')}
+                            ${items.length > limit ? `<li>…他 ${items.length - limit}件</li>` : ''}
+                        </ul>
+                    </details>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    getBookTitle(change, data = null) {
+        const bookId = change.recordId.slice(change.recordId.indexOf('/') + 1);
+        const book = change.snapshot?.title ? change.snapshot :
+            change.current?.title ? change.current :
+            this.bookshelf.books.find(b => b.bookId === bookId) ||
+            data?.library.books.find(b => b.bookId === bookId);
+        return book?.title || bookId;
+    }
+
+    getBookshelfLabel(change) {
+        const bookshelf = change.snapshot || change.current;
+        if (change.snapshot && change.current) {
+            return `${bookshelf.emoji || '📚'} ${bookshelf.name}（${(change.current.books || []).length}冊 → ${(change.snapshot.books || []).length}冊）`;
+        }
+        return `${bookshelf.emoji || '📚'} ${bookshelf.name}（${(bookshelf.books || []).length}冊）`;
+    }
+
+    /**
+     * スナップショットの時点に復元（復元前の状態もスナップショットとして残す）
+     */
+    async restore(id) {
+        const info = (await this.listSnapshots()).find(snapshot => snapshot.id === id);
+        const data = await this.dataStore.read(id);
+        if (!info || !data) {
+            alert('❌ スナップショットのデータが見つかりません');
+            return;
+        }
+
+        const date = new Date(info.createdAt).toLocaleString('ja-JP');
+        if (!confirm(`↩️ ${date} の状態に復元しますか？\n\n現在の状態は「${SnapshotManager.REASONS['before-restore']}」のスナップショットとして保存されます。`)) {
+            return;
+        }
+
+        try {
+            await this.takeSnapshot('before-restore');
+
+            const bookshelf = this.bookshelf;
+            bookshelf.bookManager.library = bookshelf.bookManager.normalizeLibrary(data.library);
+            await bookshelf.bookManager.saveLibrary();
+
+            bookshelf.userData.bookshelves = data.userData.bookshelves;
+            bookshelf.userData.notes = data.userData.notes;
+            bookshelf.userData.bookOrder = data.userData.bookOrder;
+            await bookshelf.saveUserData();
+
+            if (bookshelf.currentBookshelf !== 'all' &&
+                !bookshelf.userData.bookshelves.some(b => b.id === bookshelf.currentBookshelf)) {
+                bookshelf.currentBookshelf = 'all';
+            }
+            bookshelf.refreshLibraryView();
+
+            this.previewId = null;
+            await this.renderList();
+            alert(`✅ ${date} の状態に復元しました\n\n📚 ${bookshelf.books.length}冊の書籍データがあります。`);
+        } catch (error) {
+            console.error('スナップショット復元エラー:', error);
+            alert('❌ 復元に失敗しました: ' + error.message);
+        }
+    }
+}
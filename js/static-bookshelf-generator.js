@@ -3,10 +3,52 @@
  * 本棚データから静的HTMLファイルを生成してSNSシェア可能にする
  */
 class StaticBookshelfGenerator {
-    constructor(bookManager, userData) {
+    /**
+     * @param {BookManager} bookManager
+     * @param {Object} userData
+     * @param {string|null} baseUrl - サイトのベースURL（末尾スラッシュ付き）。省略時は設定（siteUrl/basePath）または現在のページから算出
+     */
+    constructor(bookManager, userData, baseUrl = null) {
         this.bookManager = bookManager;
         this.userData = userData;
-        this.baseUrl = window.location.origin + window.location.pathname.replace('index.html', '');
+        this.baseUrl = baseUrl || StaticBookshelfGenerator.resolveBaseUrl(userData?.settings, window.location);
+        // スマート本棚の「ハイライトがある」条件に使う（Node.jsでは data/highlights-index.json から設定）
+        this.highlightBookIds = new Set();
+    }
+
+    /**
+     * 公開サイトのベースURLを決定（末尾スラッシュ付き）
+     * 優先順位: siteUrl（+ basePath） → 現在のURLのorigin + basePath → 現在のURLのパス
+     * @param {Object} settings - data/config.json の siteUrl / basePath を含む設定
+     * @param {{origin: string, pathname: string}|null} location - 自動判定に使うURL（window.location など）
+     * @returns {string|null} 判定できない場合はnull
+     */
+    static resolveBaseUrl(settings = {}, location = null) {
+        const basePath = settings?.basePath ?
+            `/${settings.basePath.replace(/^\/+|\/+$/g, '')}/`.replace(/\/+/g, '/') :
+            null;
+
+        if (settings?.siteUrl) {
+            return `${settings.siteUrl.replace(/\/+$/, '')}${basePath || '/'}`;
+        }
+
+        if (!location) {
+            return null;
+        }
+
+        if (basePath) {
+            return `${location.origin}${basePath}`;
+        }
+
+        const pathname = location.pathname.replace(/index\.html$/, '');
+        return `${location.origin}${pathname.endsWith('/') ? pathname : `${pathname}/`}`;
+    }
+
+    /**
+     * 本棚の静的ページの公開URLを取得
+     */
+    getStaticPageUrl(bookshelfId) {
+        return `${this.baseUrl}static/${bookshelfId}.html`;
     }
 
     /**
@@ -55,15 +97,26 @@ class StaticBookshelfGenerator {
      */
     getBookshelfBooks(bookshelfId) {
         // 最新のuserDataを取得
-        const latestUserData = window.bookshelf ? window.bookshelf.userData : this.userData;
+        const latestUserData = typeof window !== 'undefined' && window.bookshelf ? window.bookshelf.userData : this.userData;
         
         const bookshelf = latestUserData.bookshelves?.find(b => b.id === bookshelfId);
-        if (!bookshelf || !bookshelf.books) return [];
-
-        // 本棚の書籍順序に従って取得
-        let books = bookshelf.books
-            .map(bookId => this.bookManager.findBookByASIN(bookId))
-            .filter(book => book !== undefined);
+        if (!bookshelf) return [];
+
+        let books;
+        if (SmartBookshelf.isSmart(bookshelf)) {
+            // スマート本棚は生成時点の蔵書から条件に一致する本を集める
+            const browserBookshelf = typeof window !== 'undefined' ? window.bookshelf : null;
+            books = SmartBookshelf.filterBooks(bookshelf.rules, this.bookManager.getAllBooks(), browserBookshelf ?
+                browserBookshelf.getSmartBookshelfContext() :
+                { notes: latestUserData.notes, highlightBookIds: this.highlightBookIds });
+        } else {
+            if (!bookshelf.books) return [];
+
+            // 本棚の書籍順序に従って取得
+            books = bookshelf.books
+                .map(bookId => this.bookManager.findBookByASIN(bookId))
+                .filter(book => book !== undefined);
+        }
 
         // カスタム順序がある場合は適用
         const customOrder = latestUserData.bookOrder?.[bookshelfId];
@@ -87,9 +140,9 @@ class StaticBookshelfGenerator {
     /**
      * テンプレートファイルを読み込み
      */
-    async loadTemplate() {
+    async loadTemplate(templatePath = 'templates/bookshelf-template.html') {
         try {
-            const response = await fetch('templates/bookshelf-template.html');
+            const response = await fetch(templatePath);
             if (!response.ok) {
                 throw new Error('テンプレートファイルの読み込みに失敗しました');
             }
@@ -109,7 +162,7 @@ class StaticBookshelfGenerator {
         const coverImage = this.generateBookshelfCoverImage(books);
 
         // URL生成（本棚IDベースで固定）
-        const bookshelfUrl = `${this.baseUrl}static/${bookshelf.id}.html`;
+        const bookshelfUrl = this.getStaticPageUrl(bookshelf.id);
         const encodedUrl = encodeURIComponent(bookshelfUrl);
         const encodedTitle = encodeURIComponent(`${bookshelf.name} - Virtual Bookshelf`);
 
@@ -120,7 +173,7 @@ class StaticBookshelfGenerator {
             '{{BOOKSHELF_URL}}': bookshelfUrl,
             '{{BOOKSHELF_COVER_IMAGE}}': coverImage,
             '{{TOTAL_BOOKS}}': books.length,
-            '{{CREATED_DATE}}': this.formatDate(bookshelf.createdDate || now),
+            '{{CREATED_DATE}}': this.formatDate(bookshelf.createdAt || bookshelf.createdDate || now),
 
             '{{BOOKS_HTML}}': booksHtml,
             '{{ENCODED_URL}}': encodedUrl,
@@ -128,9 +181,76 @@ class StaticBookshelfGenerator {
             '{{ENCODED_BOOKSHELF_NAME}}': encodeURIComponent(bookshelf.name)
         };
 
+        return this.replacePlaceholders(template, replacements);
+    }
+
+    /**
+     * 公開本棚一覧ページのテンプレートに値を埋め込み
+     */
+    populateIndexTemplate(template, bookshelves) {
+        const indexUrl = `${this.baseUrl}static/index.html`;
+        const bookshelfBooks = bookshelves.map(bookshelf => this.getBookshelfBooks(bookshelf.id));
+        // 代表画像は本が入っている最初の本棚から
+        const coverImage = this.generateBookshelfCoverImage(bookshelfBooks.find(books => books.length > 0) || []);
+
+        const bookshelvesHtml = bookshelves.map((bookshelf, index) => {
+            const books = bookshelfBooks[index];
+            const coversHtml = books.slice(0, 4).map(book => `
+                        <img src="${this.escapeHtml(this.bookManager.getProductImageUrl(book))}" alt="${this.escapeHtml(book.title)}" loading="lazy">`
+            ).join('');
+
+            return `
+                <a class="static-bookshelf-card" href="${encodeURIComponent(bookshelf.id)}.html">
+                    <div class="static-bookshelf-covers">${coversHtml}
+                    </div>
+                    <div class="static-bookshelf-card-info">
+                        <div class="static-bookshelf-card-title">${bookshelf.emoji || '📚'} ${this.escapeHtml(bookshelf.name)}</div>
+                        <div class="static-bookshelf-card-description">${this.escapeHtml(bookshelf.description || '')}</div>
+                        <div class="static-bookshelf-card-count">📚 ${books.length}冊</div>
+                    </div>
+                </a>
+            `;
+        }).join('\n');
+
+        return this.replacePlaceholders(template, {
+            '{{INDEX_URL}}': indexUrl,
+            '{{INDEX_COVER_IMAGE}}': coverImage,
+            '{{TOTAL_BOOKSHELVES}}': bookshelves.length,
+            '{{UPDATED_DATE}}': this.formatDate(new Date()),
+            '{{BOOKSHELVES_HTML}}': bookshelvesHtml,
+            '{{ENCODED_URL}}': encodeURIComponent(indexUrl)
+        });
+    }
+
+    /**
+     * 公開ページのサイトマップ（sitemap.xml）を生成
+     */
+    generateSitemap(bookshelves) {
+        const entries = [
+            { url: this.baseUrl },
+            { url: `${this.baseUrl}static/index.html` },
+            ...bookshelves.map(bookshelf => ({
+                url: this.getStaticPageUrl(bookshelf.id),
+                lastmod: bookshelf.lastUpdated || bookshelf.createdAt
+            }))
+        ];
+
+        const urlsXml = entries.map(({ url, lastmod }) => {
+            const lastmodXml = lastmod ? `\n        <lastmod>${new Date(lastmod).toISOString().split('T')[0]}</lastmod>` : '';
+            return `    <url>\n        <loc>${this.escapeHtml(url)}</loc>${lastmodXml}\n    </url>`;
+        }).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urlsXml}\n</urlset>\n`;
+    }
+
+    /**
+     * テンプレート内のプレースホルダーを置換
+     */
+    replacePlaceholders(template, replacements) {
         let populatedTemplate = template;
         Object.entries(replacements).forEach(([placeholder, value]) => {
-            populatedTemplate = populatedTemplate.replace(new RegExp(placeholder, 'g'), value);
+            // 置換文字列中の $ を特殊パターンとして解釈させない
+            populatedTemplate = populatedTemplate.replace(new RegExp(placeholder, 'g'), () => value);
         });
 
         return populatedTemplate;
@@ -144,6 +264,7 @@ class StaticBookshelfGenerator {
             const userNote = this.userData.notes?.[book.bookId];
             const rating = userNote?.rating || 0;
             const memo = userNote?.memo || '';
+            const tags = userNote?.tags || [];
             const bookUrlInfo = this.bookManager.getBookUrl(book, this.userData.settings?.affiliateId);
             const bookUrl = bookUrlInfo?.url || '#';
 
@@ -162,6 +283,7 @@ class StaticBookshelfGenerator {
                         <div class="static-book-title">${this.escapeHtml(book.title)}</div>
                         <div class="static-book-author">${this.escapeHtml(book.authors)}</div>
                         ${rating > 0 ? `<div class="static-book-rating">${'⭐'.repeat(rating)}</div>` : ''}
+                        ${tags.length > 0 ? `<div class="static-book-tags">${tags.map(tag => `<span class="static-book-tag">#${this.escapeHtml(tag)}</span>`).join('')}</div>` : ''}
                         ${memoHtml ? `<div class="static-book-memo">${memoHtml}</div>` : ''}
                     </div>
                 </div>
@@ -238,9 +360,13 @@ class StaticBookshelfGenerator {
      * HTMLエスケープ
      */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        // Node.js（scripts/）からも使えるようDOMを使わずにエスケープ
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     /**
@@ -263,7 +389,7 @@ class StaticBookshelfGenerator {
             ?.filter(bookshelf => bookshelf.isPublic)
             .map(bookshelf => ({
                 ...bookshelf,
-                url: `${this.baseUrl}static/${bookshelf.id}.html`
+                url: this.getStaticPageUrl(bookshelf.id)
             })) || [];
     }
 
@@ -274,4 +400,9 @@ class StaticBookshelfGenerator {
         // マークダウンリンク記法 [text](url) をHTMLの <a> タグに変換
         return text.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
     }
-}
\ No newline at end of file
+}
+
+// Node.js（scripts/）からも利用できるようにエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StaticBookshelfGenerator;
+}
@@ -0,0 +1,368 @@
+// Stats Dashboard - 読書統計ダッシュボード
+// 外部のチャートライブラリを使わずHTML/CSSだけでグラフを描画する（オフラインでも動作）
+
+/**
+ * @typedef {Object} ChartRow
+ * @property {string} label - 表示ラベル
+ * @property {number} value - 値
+ * @property {string} [title] - ツールチップ
+ */
+
+class StatsDashboard {
+    constructor(bookshelf) {
+        this.bookshelf = bookshelf;
+        this.selectedYear = null;
+    }
+
+    /**
+     * 統計モーダルを表示
+     */
+    async show() {
+        const modal = document.getElementById('stats-modal');
+        const body = document.getElementById('stats-modal-body');
+        if (!modal || !body) return;
+
+        body.innerHTML = '<div class="stats-loading">統計を集計中...</div>';
+        modal.classList.add('show');
+
+        const stats = this.computeStats();
+        const highlightCounts = await this.loadHighlightCounts();
+        this.render(body, stats, highlightCounts);
+    }
+
+    /**
+     * 統計モーダルを閉じる
+     */
+    close() {
+        const modal = document.getElementById('stats-modal');
+        if (modal) {
+            modal.classList.remove('show');
+        }
+    }
+
+    /**
+     * 蔵書・ユーザーデータから統計を集計
+     * @returns {Object}
+     */
+    computeStats() {
+        const books = this.bookshelf.books;
+        const notes = this.bookshelf.userData.notes || {};
+
+        const acquiredByYear = new Map();
+        const acquiredByMonth = new Map(); // 'YYYY-MM' -> count
+        const finishedByYear = new Map();
+        const ratingCounts = [0, 0, 0, 0, 0, 0]; // index 0 = 未評価
+        const authorCounts = new Map();
+        const statusCounts = new Map();
+
+        books.forEach(book => {
+            const note = notes[book.bookId];
+
+            if (book.acquiredTime) {
+                const acquired = new Date(book.acquiredTime);
+                const year = acquired.getFullYear();
+                acquiredByYear.set(year, (acquiredByYear.get(year) || 0) + 1);
+                const monthKey = `${year}-${String(acquired.getMonth() + 1).padStart(2, '0')}`;
+                acquiredByMonth.set(monthKey, (acquiredByMonth.get(monthKey) || 0) + 1);
+            }
+
+            if (note?.finishedDate) {
+                const year = new Date(note.finishedDate).getFullYear();
+                finishedByYear.set(year, (finishedByYear.get(year) || 0) + 1);
+            }
+
+            const rating = note?.rating || 0;
+            ratingCounts[rating] = (ratingCounts[rating] || 0) + 1;
+
+            this.splitAuthors(book.authors).forEach(author => {
+                authorCounts.set(author, (authorCounts.get(author) || 0) + 1);
+            });
+
+            const status = this.bookshelf.getReadingStatus(book);
+            statusCounts.set(status, (statusCounts.get(status) || 0) + 1);
+        });
+
+        const years = Array.from(acquiredByYear.keys()).sort((a, b) => a - b);
+
+        return {
+            totalBooks: books.length,
+            acquiredByYear,
+            acquiredByMonth,
+            finishedByYear,
+            ratingCounts,
+            statusCounts,
+            years,
+            topAuthors: Array.from(authorCounts.entries())
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 10),
+            bookshelves: this.computeBookshelfStats()
+        };
+    }
+
+    /**
+     * 本棚ごとの冊数・平均評価・読了数を集計
+     * @returns {Array<{bookshelf: Object, total: number, rated: number, averageRating: number, read: number}>}
+     */
+    computeBookshelfStats() {
+        const notes = this.bookshelf.userData.notes || {};
+
+        return (this.bookshelf.userData.bookshelves || []).map(bookshelf => {
+            const books = this.bookshelf.getBookshelfBookIds(bookshelf)
+                .map(bookId => this.bookshelf.books.find(b => b.bookId === bookId))
+                .filter(Boolean);
+            const ratings = books.map(book => notes[book.bookId]?.rating || 0).filter(rating => rating > 0);
+
+            return {
+                bookshelf,
+                total: books.length,
+                rated: ratings.length,
+                averageRating: ratings.length > 0 ? ratings.reduce((sum, r) => sum + r, 0) / ratings.length : 0,
+                read: books.filter(book => this.bookshelf.getReadingStatus(book) === 'read').length
+            };
+        });
+    }
+
+    /**
+     * 本ごとのハイライト件数を取得
+     * 全文検索インデックスがあれば使い、なければ highlights-index.json の各ファイルを読み込む
+     * 統合した本（mergedBookIds）のハイライトは統合先の本の件数にまとめる
+     * @returns {Promise<Map<string, number>>}
+     */
+    async loadHighlightCounts() {
+        const counts = new Map();
+        const highlightsManager = window.highlightsManager;
+        if (!highlightsManager) {
+            return counts;
+        }
+
+        // bookId・統合した本のbookId → 本
+        const booksById = new Map();
+        this.bookshelf.books.forEach(book => {
+            [book.bookId, ...(book.mergedBookIds || [])].forEach(bookId => booksById.set(bookId, book));
+        });
+        const findBook = (bookId) => booksById.get(bookId);
+
+        const searchIndex = await highlightsManager.loadSearchIndex();
+        if (searchIndex) {
+            searchIndex.documents.forEach(doc => {
+                const book = findBook(doc.bookId);
+                if (book) {
+                    counts.set(book.bookId, (counts.get(book.bookId) || 0) + 1);
+                }
+            });
+            return counts;
+        }
+
+        try {
+            const response = await fetch('data/highlights-index.json');
+            if (!response.ok) {
+                return counts;
+            }
+            const index = await response.json();
+            // loadHighlightsForBook は統合した本のハイライトも読み込むため、1冊につき1回だけ読み込む
+            const books = new Set(Object.keys(index).map(findBook).filter(Boolean));
+            for (const book of books) {
+                const highlights = await highlightsManager.loadHighlightsForBook(book);
+                counts.set(book.bookId, highlights.length);
+            }
+        } catch (error) {
+            console.error('ハイライト件数の取得に失敗しました:', error);
+        }
+
+        return counts;
+    }
+
+    /**
+     * 著者文字列を個々の著者に分割
+     * @param {string} authors
+     * @returns {string[]}
+     */
+    splitAuthors(authors) {
+        if (!authors) return [];
+        return authors
+            .split(/\s*[,、，]\s*/)
+            .map(author => author.trim())
+            .filter(author => author && author !== '著者未設定' && author !== '著者未取得');
+    }
+
+    /**
+     * ダッシュボード全体を描画
+     */
+    render(container, stats, highlightCounts) {
+        if (stats.totalBooks === 0) {
+            container.innerHTML = '<p class="stats-empty">蔵書がありません</p>';
+            return;
+        }
+
+        if (!this.selectedYear || !stats.acquiredByYear.has(this.selectedYear)) {
+            this.selectedYear = stats.years[stats.years.length - 1];
+        }
+
+        const statuses = VirtualBookshelf.READING_STATUSES;
+        const finishedYears = Array.from(stats.finishedByYear.keys()).sort((a, b) => a - b);
+        const topHighlighted = Array.from(highlightCounts.entries())
+            .map(([bookId, count]) => ({ book: this.bookshelf.books.find(b => b.bookId === bookId), count }))
+            .filter(entry => entry.book)
+            .sort((a, b) => b.count - a.count);
+        const totalHighlights = topHighlighted.reduce((sum, entry) => sum + entry.count, 0);
+
+        container.innerHTML = `
+            <div class="stats-summary">
+                ${this.renderSummaryItem(stats.totalBooks.toLocaleString(), '総蔵書数')}
+                ${this.renderSummaryItem((stats.statusCounts.get('read') || 0).toLocaleString(), '読了')}
+                ${this.renderSummaryItem((stats.totalBooks - stats.ratingCounts[0]).toLocaleString(), '評価済み')}
+                ${this.renderSummaryItem(totalHighlights.toLocaleString(), 'ハイライト')}
+            </div>
+
+            <section class="stats-card">
+                <h3>📅 年別の購入冊数</h3>
+                ${this.renderColumnChart(stats.years.map(year => ({ label: String(year), value: stats.acquiredByYear.get(year) })))}
+            </section>
+
+            <section class="stats-card">
+                <div class="stats-card-header">
+                    <h3>🗓️ 月別の購入冊数</h3>
+                    <select id="stats-year-select">
+                        ${stats.years.map(year => `<option value="${year}" ${year === this.selectedYear ? 'selected' : ''}>${year}年</option>`).join('')}
+                    </select>
+                </div>
+                ${this.renderColumnChart(Array.from({ length: 12 }, (_, i) => {
+                    const key = `${this.selectedYear}-${String(i + 1).padStart(2, '0')}`;
+                    return { label: `${i + 1}月`, value: stats.acquiredByMonth.get(key) || 0 };
+                }))}
+            </section>
+
+            <section class="stats-card">
+                <h3>✅ 年別の読了冊数</h3>
+                ${finishedYears.length > 0 ?
+                    this.renderColumnChart(finishedYears.map(year => ({ label: String(year), value: stats.finishedByYear.get(year) }))) :
+                    '<p class="stats-empty">読了日が記録された本はまだありません（詳細モーダルで読書状況を「読了」にすると記録されます）</p>'
+                }
+            </section>
+
+            <section class="stats-card">
+                <h3>⭐ 評価の分布</h3>
+                ${this.renderBarChart([5, 4, 3, 2, 1, 0].map(rating => ({
+                    label: rating > 0 ? '⭐'.repeat(rating) : '☆ 未評価',
+                    value: stats.ratingCounts[rating] || 0
+                })))}
+            </section>
+
+            <section class="stats-card">
+                <h3>📖 読書状況</h3>
+                ${this.renderBarChart(Object.entries(statuses).map(([status, info]) => ({
+                    label: `${info.icon} ${info.label}`,
+                    value: stats.statusCounts.get(status) || 0
+                })))}
+            </section>
+
+            <section class="stats-card">
+                <h3>✍️ よく読む著者 TOP10</h3>
+                ${stats.topAuthors.length > 0 ?
+                    this.renderBarChart(stats.topAuthors.map(([author, count]) => ({ label: author, value: count }))) :
+                    '<p class="stats-empty">著者情報がありません</p>'
+                }
+            </section>
+
+            <section class="stats-card">
+                <h3>🎯 ハイライトの多い本</h3>
+                ${topHighlighted.length > 0 ?
+                    this.renderBarChart(topHighlighted.slice(0, 10).map(({ book, count }) => ({ label: book.title, value: count, title: book.title }))) :
+                    '<p class="stats-empty">ハイライトはまだありません</p>'
+                }
+            </section>
+
+            <section class="stats-card">
+                <h3>📚 本棚ごとの内訳</h3>
+                ${stats.bookshelves.length > 0 ? this.renderBookshelfTable(stats.bookshelves) : '<p class="stats-empty">本棚がありません</p>'}
+            </section>
+        `;
+
+        const yearSelect = container.querySelector('#stats-year-select');
+        if (yearSelect) {
+            yearSelect.addEventListener('change', (e) => {
+                this.selectedYear = parseInt(e.target.value, 10);
+                this.render(container, stats, highlightCounts);
+            });
+        }
+    }
+
+    renderSummaryItem(value, label) {
+        return `
+            <div class="stats-summary-item">
+                <span class="stat-value">${value}</span>
+                <span class="stat-label">${label}</span>
+            </div>
+        `;
+    }
+
+    /**
+     * 横棒グラフ
+     * @param {ChartRow[]} rows
+     * @returns {string}
+     */
+    renderBarChart(rows) {
+        const max = Math.max(1, ...rows.map(row => row.value));
+        return `
+            <div class="stats-bar-chart">
+                ${rows.map(row => `
+                    <div class="stats-bar-row" title="${this.escapeHtml(row.title || `${row.label}: ${row.value}`)}">
+                        <span class="stats-bar-label">${this.escapeHtml(row.label)}</span>
+                        <span class="stats-bar-track">
+                            <span class="stats-bar-fill" style="width: ${(row.value / max) * 100}%;"></span>
+                        </span>
+                        <span class="stats-bar-value">${row.value.toLocaleString()}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * 縦棒グラフ（時系列用）
+     * @param {ChartRow[]} columns
+     * @returns {string}
+     */
+    renderColumnChart(columns) {
+        const max = Math.max(1, ...columns.map(column => column.value));
+        return `
+            <div class="stats-column-chart">
+                ${columns.map(column => `
+                    <div class="stats-column" title="${this.escapeHtml(`${column.label}: ${column.value}冊`)}">
+                        <span class="stats-column-track">
+                            <span class="stats-column-value">${column.value || ''}</span>
+                            <span class="stats-column-bar" style="height: ${(column.value / max) * 100}%;"></span>
+                        </span>
+                        <span class="stats-column-label">${this.escapeHtml(column.label)}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderBookshelfTable(bookshelfStats) {
+        return `
+            <table class="stats-table">
+                <thead>
+                    <tr><th>本棚</th><th>冊数</th><th>読了</th><th>平均評価</th></tr>
+                </thead>
+                <tbody>
+                    ${bookshelfStats.map(({ bookshelf, total, rated, averageRating, read }) => `
+                        <tr>
+                            <td>${this.escapeHtml(`${bookshelf.emoji || '📚'} ${bookshelf.name}`)}</td>
+                            <td>${total}</td>
+                            <td>${read}</td>
+                            <td>${rated > 0 ? `⭐ ${averageRating.toFixed(1)}（${rated}冊）` : '-'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
@@ -0,0 +1,649 @@
+/**
+ * StorageManager - 保存先（ストレージバックエンド）の切り替えと端末間同期を担当するクラス
+ * BookManager.saveLibrary() / VirtualBookshelf.saveUserData() の下で動作し、
+ * localStorage・IndexedDB・REST/WebDAV サーバーのいずれかにデータを保存する
+ *
+ * 保存データはレコード（書籍・メモ・本棚など）単位で更新時刻を記録し、
+ * 他の端末（タブ）で保存された内容との競合をレコード単位で検出する
+ */
+
+/**
+ * @typedef {Object} StorageEnvelope
+ * @property {Object} data - 保存データ本体
+ * @property {string|null} revision - 保存ごとに変わるリビジョン
+ * @property {string|null} savedAt - 保存日時（ISO文字列）
+ * @property {Object<string, number>} timestamps - レコードID → 最終更新時刻（削除済みレコードも保持）
+ * @property {{revision: string|null, timestamps: Object<string, number>}} [base] - 最後に同期した時点の状態（キャッシュのみ）
+ */
+
+/**
+ * @typedef {Object} StorageConflict
+ * @property {string} key - ストレージキー
+ * @property {string} recordId - レコードID（例: "notes/B0CVL7DSBQ"）
+ * @property {*} local - この端末の値（削除の場合はundefined）
+ * @property {*} remote - 保存先の値（削除の場合はundefined）
+ * @property {number} localTimestamp - この端末での更新時刻
+ * @property {number} remoteTimestamp - 保存先での更新時刻
+ */
+
+/**
+ * localStorage バックエンド
+ * データ本体は従来と同じキーに保存し、同期用の情報は `${key}_sync` に保存する
+ */
+class LocalStorageAdapter {
+    constructor() {
+        this.type = 'localStorage';
+    }
+
+    async read(key) {
+        const saved = localStorage.getItem(key);
+        if (!saved) {
+            return null;
+        }
+
+        const meta = JSON.parse(localStorage.getItem(`${key}_sync`) || 'null');
+        return {
+            data: JSON.parse(saved),
+            revision: meta?.revision || null,
+            savedAt: meta?.savedAt || null,
+            timestamps: meta?.timestamps || {},
+            ...(meta?.base && { base: meta.base })
+        };
+    }
+
+    async write(key, envelope) {
+        const { data, ...meta } = envelope;
+        localStorage.setItem(key, JSON.stringify(data));
+        localStorage.setItem(`${key}_sync`, JSON.stringify(meta));
+    }
+}
+
+/**
+ * IndexedDB バックエンド（localStorage の容量制限を避けたい場合）
+ * 同じデータベースにスナップショット（SnapshotManager）用のストアも作成する
+ */
+class IndexedDBAdapter {
+    static DB_VERSION = 2;
+    static STORE_NAMES = ['documents', 'snapshots', 'snapshotData'];
+
+    /**
+     * データベースごとの接続（ストアごとのアダプターで共有）
+     */
+    static connections = {};
+
+    constructor(dbName = 'virtualBookshelf', storeName = 'documents') {
+        this.type = 'indexedDB';
+        this.dbName = dbName;
+        this.storeName = storeName;
+    }
+
+    static isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!IndexedDBAdapter.connections[this.dbName]) {
+            IndexedDBAdapter.connections[this.dbName] = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, IndexedDBAdapter.DB_VERSION);
+                request.onupgradeneeded = () => {
+                    IndexedDBAdapter.STORE_NAMES.forEach(name => {
+                        if (!request.result.objectStoreNames.contains(name)) {
+                            request.result.createObjectStore(name);
+                        }
+                    });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return IndexedDBAdapter.connections[this.dbName];
+    }
+
+    async read(key) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).get(key);
+            request.onsuccess = () => resolve(request.result || null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * ストア内の全データ
+     */
+    async readAll() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(this.storeName, 'readonly').objectStore(this.storeName).getAll();
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async write(key, envelope) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            transaction.objectStore(this.storeName).put(envelope, key);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async remove(key) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, 'readwrite');
+            transaction.objectStore(this.storeName).delete(key);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+/**
+ * REST / WebDAV バックエンド
+ * `${url}/${key}.json` に対して GET / PUT する（ETag があれば If-Match で上書き競合を防ぐ）
+ */
+class RemoteStorageAdapter {
+    /**
+     * @param {{url: string, username?: string, password?: string, token?: string}} options
+     */
+    constructor(options) {
+        if (!options?.url) {
+            throw new Error('同期サーバーのURLが設定されていません');
+        }
+
+        this.type = 'remote';
+        this.url = options.url.replace(/\/+$/, '');
+        this.headers = {};
+        if (options.token) {
+            this.headers.Authorization = `Bearer ${options.token}`;
+        } else if (options.username) {
+            this.headers.Authorization = `Basic ${btoa(unescape(encodeURIComponent(`${options.username}:${options.password || ''}`)))}`;
+        }
+        this.etags = {};
+    }
+
+    getDocumentUrl(key) {
+        return `${this.url}/${encodeURIComponent(key)}.json`;
+    }
+
+    async read(key) {
+        const response = await fetch(this.getDocumentUrl(key), {
+            headers: this.headers,
+            cache: 'no-store'
+        });
+
+        if (response.status === 404) {
+            delete this.etags[key];
+            return null;
+        }
+        if (!response.ok) {
+            throw new Error(`同期サーバーからの読み込みに失敗しました (${response.status})`);
+        }
+
+        this.etags[key] = response.headers.get('ETag');
+        const text = await response.text();
+        return text.trim() ? JSON.parse(text) : null;
+    }
+
+    async write(key, envelope) {
+        const headers = { ...this.headers, 'Content-Type': 'application/json' };
+        if (this.etags[key]) {
+            headers['If-Match'] = this.etags[key];
+        }
+
+        const response = await fetch(this.getDocumentUrl(key), {
+            method: 'PUT',
+            headers,
+            body: JSON.stringify(envelope)
+        });
+
+        if (response.status === 412) {
+            // 読み込み後に他の端末が保存した
+            const error = new Error('同期サーバーのデータが他の端末で更新されています');
+            error.status = 412;
+            throw error;
+        }
+        if (!response.ok) {
+            throw new Error(`同期サーバーへの保存に失敗しました (${response.status})`);
+        }
+
+        this.etags[key] = response.headers.get('ETag');
+    }
+}
+
+class StorageManager {
+    /**
+     * 保存データのキー（localStorage のキーと同じ）
+     */
+    static KEYS = {
+        library: 'virtualBookshelf_library',
+        userData: 'virtualBookshelf_userData'
+    };
+
+    /**
+     * 端末ごとの保存先設定（localStorage に保存）
+     */
+    static CONFIG_KEY = 'virtualBookshelf_storageConfig';
+
+    /**
+     * レコード単位で管理するコレクション
+     * 値が文字列の場合は配列（その項目をIDとする）、null の場合はオブジェクト（プロパティ名をIDとする）
+     */
+    static COLLECTIONS = {
+        virtualBookshelf_library: { books: 'bookId' },
+        virtualBookshelf_userData: { bookshelves: 'id', notes: null, bookOrder: null }
+    };
+
+    static MAX_WRITE_RETRIES = 3;
+
+    /**
+     * @param {Object} adapter - 保存先バックエンド
+     * @param {Object} [options]
+     * @param {Object} [options.cache] - 端末内キャッシュ（リモート利用時のオフライン対策）
+     * @param {Object} [options.fallback] - 保存先が空のときに読み込む旧保存先（移行用）
+     */
+    constructor(adapter, { cache = null, fallback = null } = {}) {
+        this.adapter = adapter;
+        this.cache = cache;
+        this.fallback = fallback;
+        this.states = {};
+        this.queued = {};
+        this.running = {};
+
+        // 他の端末の変更を取り込んだとき: (key, data) => void
+        this.onChange = null;
+        // 競合時の解決方法を返す: async (key, conflicts) => 'local' | 'remote' | null
+        this.onConflict = null;
+        // 保存先への保存に失敗したとき: (key, error) => void
+        this.onError = null;
+        // 保存が要求されたとき（操作履歴の記録用）: (key, data) => void
+        this.onSave = null;
+    }
+
+    /**
+     * 設定から StorageManager を生成
+     * @param {{type?: string, url?: string, username?: string, password?: string, token?: string}} config
+     */
+    static create(config = {}) {
+        switch (config?.type) {
+        case 'indexedDB':
+            return new StorageManager(new IndexedDBAdapter(), { fallback: new LocalStorageAdapter() });
+        case 'remote':
+            return new StorageManager(new RemoteStorageAdapter(config), { cache: new LocalStorageAdapter() });
+        default:
+            return new StorageManager(new LocalStorageAdapter());
+        }
+    }
+
+    /**
+     * 端末ごとの保存先設定を取得（config.json の storage を既定値とする）
+     */
+    static loadConfig(defaults = {}) {
+        try {
+            const saved = JSON.parse(localStorage.getItem(StorageManager.CONFIG_KEY) || 'null');
+            return { type: 'localStorage', ...defaults, ...saved };
+        } catch (error) {
+            return { type: 'localStorage', ...defaults };
+        }
+    }
+
+    static saveConfig(config) {
+        localStorage.setItem(StorageManager.CONFIG_KEY, JSON.stringify(config));
+    }
+
+    get isRemote() {
+        return this.adapter.type === 'remote';
+    }
+
+    /**
+     * データを読み込む（保存データがなければnull）
+     * リモート利用時は端末内キャッシュを優先し、起動後に sync() で最新化する
+     */
+    async load(key) {
+        let envelope = null;
+
+        if (this.cache) {
+            envelope = await this.cache.read(key);
+        }
+        if (!envelope) {
+            try {
+                envelope = await this.adapter.read(key);
+            } catch (error) {
+                this.notifyError(key, error);
+            }
+        }
+        if (!envelope && this.fallback) {
+            envelope = await this.fallback.read(key);
+            if (envelope) {
+                // 旧保存先からの移行: 保存先には未保存として扱う
+                envelope = { ...envelope, revision: null, base: { revision: null, timestamps: {} } };
+            }
+        }
+        if (!envelope) {
+            return null;
+        }
+
+        this.states[key] = {
+            snapshot: this.createSnapshot(key, envelope.data),
+            timestamps: { ...envelope.timestamps },
+            base: envelope.base || { revision: envelope.revision, timestamps: { ...envelope.timestamps } }
+        };
+
+        return envelope.data;
+    }
+
+    /**
+     * データを保存する
+     * 同じキーの保存は順番に実行し、待機中の保存はまとめる
+     * @returns {Promise<{status: 'saved'|'merged'|'conflict'|'offline', data: Object, conflicts?: StorageConflict[]}>}
+     */
+    save(key, data, options = {}) {
+        if (this.onSave) {
+            this.onSave(key, data);
+        }
+
+        if (this.queued[key]) {
+            this.queued[key].data = data;
+            this.queued[key].options = options;
+            return this.queued[key].promise;
+        }
+
+        const entry = { data, options };
+        entry.promise = (this.running[key] || Promise.resolve())
+            .catch(() => {})
+            .then(() => {
+                delete this.queued[key];
+                return this.saveNow(key, entry.data, entry.options);
+            });
+
+        this.queued[key] = entry;
+        this.running[key] = entry.promise;
+        return entry.promise;
+    }
+
+    /**
+     * 現在のデータで保存先と同期（他の端末の変更の取り込み）
+     */
+    sync(key, data) {
+        return this.save(key, data);
+    }
+
+    async saveNow(key, data, options = {}) {
+        const state = this.getState(key);
+        let records = this.splitRecords(key, data);
+        this.recordLocalChanges(state, records);
+
+        // リモート利用時は先に端末内へ保存（オフラインでも失われないように）
+        if (this.cache) {
+            await this.cache.write(key, this.createEnvelope(data, state, { base: state.base }));
+        }
+
+        let status = 'saved';
+        let conflicts = [];
+
+        for (let attempt = 1; attempt <= StorageManager.MAX_WRITE_RETRIES; attempt++) {
+            try {
+                const stored = await this.adapter.read(key);
+
+                if (stored && stored.revision && stored.revision !== state.base.revision) {
+                    // 前回の同期以降に他の端末（タブ）が保存している
+                    const result = this.mergeRecords(key, state, records, stored);
+                    records = result.records;
+                    conflicts = result.conflicts;
+                    if (result.merged) {
+                        status = 'merged';
+                    }
+
+                    if (conflicts.length > 0) {
+                        const resolution = options.resolution ||
+                            (this.onConflict ? await this.onConflict(key, conflicts) : null);
+                        if (!resolution) {
+                            return { status: 'conflict', data, conflicts };
+                        }
+                        this.resolveConflicts(state, records, conflicts, resolution);
+                        status = 'merged';
+                    }
+
+                    state.base = { revision: stored.revision, timestamps: { ...stored.timestamps } };
+                }
+
+                data = status === 'merged' ? this.joinRecords(key, records, data) : data;
+                state.snapshot = this.createSnapshot(key, data);
+
+                if (stored && !this.hasLocalChanges(state)) {
+                    // 保存先と同じ内容なので書き込み不要
+                    break;
+                }
+
+                const envelope = this.createEnvelope(data, state);
+                await this.adapter.write(key, envelope);
+
+                state.base = { revision: envelope.revision, timestamps: { ...envelope.timestamps } };
+                break;
+            } catch (error) {
+                if (error.status === 412 && attempt < StorageManager.MAX_WRITE_RETRIES) {
+                    continue;
+                }
+                if (!this.cache) {
+                    throw error;
+                }
+                // 端末内には保存済み。次回の保存時に改めて同期する
+                this.notifyError(key, error);
+                return { status: 'offline', data };
+            }
+        }
+
+        if (this.cache) {
+            await this.cache.write(key, this.createEnvelope(data, state, { base: state.base }));
+        }
+
+        if (status === 'merged' && this.onChange) {
+            this.onChange(key, data);
+        }
+
+        return { status, data, ...(conflicts.length > 0 && { conflicts }) };
+    }
+
+    getState(key) {
+        if (!this.states[key]) {
+            this.states[key] = {
+                snapshot: new Map(),
+                timestamps: {},
+                base: { revision: null, timestamps: {} }
+            };
+        }
+        return this.states[key];
+    }
+
+    /**
+     * 前回の保存から変わったレコードの更新時刻を記録（削除されたレコードも時刻を残す）
+     */
+    recordLocalChanges(state, records) {
+        const now = Date.now();
+        records.forEach((value, recordId) => {
+            if (state.snapshot.get(recordId) !== JSON.stringify(value)) {
+                state.timestamps[recordId] = now;
+            }
+        });
+        state.snapshot.forEach((_, recordId) => {
+            if (!records.has(recordId)) {
+                state.timestamps[recordId] = now;
+            }
+        });
+        state.snapshot = new Map(Array.from(records.entries()).map(([recordId, value]) => [recordId, JSON.stringify(value)]));
+    }
+
+    /**
+     * 前回の同期以降にこの端末で変更したレコードがあるか
+     */
+    hasLocalChanges(state) {
+        const recordIds = new Set([...Object.keys(state.timestamps), ...Object.keys(state.base.timestamps)]);
+        return Array.from(recordIds).some(recordId => state.timestamps[recordId] !== state.base.timestamps[recordId]);
+    }
+
+    /**
+     * 保存先の変更をレコード単位で取り込む
+     * 保存先だけで変更されたレコードは取り込み、両方で変更されたレコードは競合とする
+     */
+    mergeRecords(key, state, localRecords, stored) {
+        const records = new Map(localRecords);
+        const remoteRecords = this.splitRecords(key, stored.data);
+        const remoteTimestamps = stored.timestamps || {};
+        const baseTimestamps = state.base.timestamps;
+        const conflicts = [];
+        let merged = false;
+
+        const recordIds = new Set([
+            ...records.keys(),
+            ...remoteRecords.keys(),
+            ...Object.keys(state.timestamps),
+            ...Object.keys(remoteTimestamps)
+        ]);
+
+        recordIds.forEach(recordId => {
+            const remoteChanged = remoteTimestamps[recordId] !== baseTimestamps[recordId];
+            if (!remoteChanged) return;
+
+            const localChanged = state.timestamps[recordId] !== baseTimestamps[recordId];
+            const localValue = records.get(recordId);
+            const remoteValue = remoteRecords.get(recordId);
+
+            const sameValue = JSON.stringify(localValue) === JSON.stringify(remoteValue);
+
+            if (!localChanged || sameValue) {
+                if (!sameValue) {
+                    this.applyRecord(records, recordId, remoteValue);
+                    merged = true;
+                }
+                state.timestamps[recordId] = remoteTimestamps[recordId];
+            } else {
+                conflicts.push({
+                    key,
+                    recordId,
+                    local: localValue,
+                    remote: remoteValue,
+                    localTimestamp: state.timestamps[recordId],
+                    remoteTimestamp: remoteTimestamps[recordId]
+                });
+            }
+        });
+
+        return { records, conflicts, merged };
+    }
+
+    /**
+     * 競合を解決（'local': この端末の変更を優先、'remote': 保存先の変更を優先）
+     */
+    resolveConflicts(state, records, conflicts, resolution) {
+        const now = Date.now();
+        conflicts.forEach(conflict => {
+            if (resolution === 'remote') {
+                this.applyRecord(records, conflict.recordId, conflict.remote);
+                state.timestamps[conflict.recordId] = conflict.remoteTimestamp;
+            } else {
+                state.timestamps[conflict.recordId] = Math.max(now, (conflict.remoteTimestamp || 0) + 1);
+            }
+        });
+    }
+
+    applyRecord(records, recordId, value) {
+        if (value === undefined) {
+            records.delete(recordId);
+        } else {
+            records.set(recordId, value);
+        }
+    }
+
+    createSnapshot(key, data) {
+        const records = this.splitRecords(key, data);
+        return new Map(Array.from(records.entries()).map(([recordId, value]) => [recordId, JSON.stringify(value)]));
+    }
+
+    createEnvelope(data, state, extra = {}) {
+        return {
+            data,
+            revision: extra.base ? state.base.revision : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+            savedAt: new Date().toISOString(),
+            timestamps: { ...state.timestamps },
+            ...extra
+        };
+    }
+
+    /**
+     * データをレコードに分割
+     * @returns {Map<string, *>} レコードID（"コレクション名/ID" またはトップレベルの項目名）→ 値
+     */
+    splitRecords(key, data) {
+        const collections = StorageManager.COLLECTIONS[key] || {};
+        const records = new Map();
+
+        Object.entries(data || {}).forEach(([field, value]) => {
+            if (!(field in collections) || !value) {
+                records.set(field, value);
+                return;
+            }
+
+            const idField = collections[field];
+            if (idField) {
+                value.forEach(item => records.set(`${field}/${item[idField]}`, item));
+            } else {
+                Object.entries(value).forEach(([id, item]) => records.set(`${field}/${id}`, item));
+            }
+        });
+
+        return records;
+    }
+
+    /**
+     * レコードからデータを組み立てる（配列の並びは template の順を優先し、新しいものは末尾に追加）
+     */
+    joinRecords(key, records, template = {}) {
+        const collections = StorageManager.COLLECTIONS[key] || {};
+        const data = {};
+
+        Object.entries(collections).forEach(([field, idField]) => {
+            data[field] = idField ? [] : {};
+        });
+
+        const orderedIds = [];
+        Object.entries(template || {}).forEach(([field, value]) => {
+            if (field in collections && value) {
+                const idField = collections[field];
+                const ids = idField ? value.map(item => item[idField]) : Object.keys(value);
+                ids.forEach(id => orderedIds.push(`${field}/${id}`));
+            } else {
+                orderedIds.push(field);
+            }
+        });
+        const orderedIdSet = new Set(orderedIds);
+        const recordIds = [
+            ...orderedIds.filter(recordId => records.has(recordId)),
+            ...Array.from(records.keys()).filter(recordId => !orderedIdSet.has(recordId))
+        ];
+
+        recordIds.forEach(recordId => {
+            const separator = recordId.indexOf('/');
+            const field = separator === -1 ? recordId : recordId.slice(0, separator);
+
+            if (separator === -1 || !(field in collections)) {
+                data[recordId] = records.get(recordId);
+            } else if (collections[field]) {
+                data[field].push(records.get(recordId));
+            } else {
+                data[field][recordId.slice(separator + 1)] = records.get(recordId);
+            }
+        });
+
+        return data;
+    }
+
+    notifyError(key, error) {
+        console.error(`保存先との同期エラー (${key}):`, error);
+        if (this.onError) {
+            this.onError(key, error);
+        }
+    }
+}
@@ -0,0 +1,351 @@
+// Tag Manager - 本のタグ
+// 本棚（絵文字・説明・公開ページを持つ）より手軽な分類として、本ごとに自由なタグを付ける。
+// タグはメモ・評価と同じく userData.notes[bookId].tags に保存し、library.json では本の tags に書き出す
+// サイドバーのタグクラウドで選んだタグは、星評価などのフィルターと組み合わせて applyFilters() で絞り込む
+
+class TagManager {
+    /**
+     * 選択したタグでの絞り込み条件
+     */
+    static FILTER_MODES = {
+        all: 'すべて含む',
+        any: 'いずれかを含む'
+    };
+
+    /**
+     * タグクラウドの文字の大きさの段階数
+     */
+    static CLOUD_SIZES = 5;
+
+    constructor(bookshelf) {
+        this.bookshelf = bookshelf;
+        this.selectedTags = new Set();
+        this.filterMode = 'all';
+    }
+
+    get userData() {
+        return this.bookshelf.userData;
+    }
+
+    /**
+     * タグを整える（前後の空白・先頭の「#」を除き、連続する空白は1つにする）
+     */
+    normalizeTag(tag) {
+        return String(tag ?? '').trim().replace(/^[#＃]+/, '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * 入力をタグの一覧に分ける（カンマ・読点区切り）
+     * @returns {string[]}
+     */
+    parseTags(text) {
+        return this.uniqueTags(String(text ?? '').split(/[,、，]/));
+    }
+
+    /**
+     * 整えて重複を除いたタグ（全角・半角、大文字・小文字の違いは同じタグとし、既存のタグの表記に揃える）
+     */
+    uniqueTags(tags) {
+        const known = new Map(this.getAllTags().map(tag => [this.getTagKey(tag), tag]));
+        const result = new Map();
+        tags.map(tag => this.normalizeTag(tag)).filter(Boolean).forEach(tag => {
+            const key = this.getTagKey(tag);
+            if (!result.has(key)) {
+                result.set(key, known.get(key) || tag);
+            }
+        });
+        return Array.from(result.values());
+    }
+
+    getTagKey(tag) {
+        return tag.normalize('NFKC').toLowerCase();
+    }
+
+    getTags(bookId) {
+        return this.userData.notes[bookId]?.tags || [];
+    }
+
+    /**
+     * 本のタグを保存（空の場合は tags を削除し、メモ・評価なども残っていなければ note ごと削除）
+     * @returns {boolean} タグが変わったか（変わらなければ保存しない）
+     */
+    setTags(bookId, tags, { save = true } = {}) {
+        const uniqueTags = this.uniqueTags(tags);
+        const currentTags = this.getTags(bookId);
+        if (uniqueTags.length === currentTags.length && uniqueTags.every((tag, index) => tag === currentTags[index])) {
+            return false;
+        }
+
+        if (!this.userData.notes[bookId]) {
+            this.userData.notes[bookId] = { memo: '', rating: 0 };
+        }
+        const note = this.userData.notes[bookId];
+        if (uniqueTags.length > 0) {
+            note.tags = uniqueTags;
+        } else {
+            delete note.tags;
+            // library.json から読み込む時と同じ条件で、空になった note は持たない
+            if (!this.bookshelf.extractNoteFromLibraryBook(note)) {
+                delete this.userData.notes[bookId];
+            }
+        }
+
+        if (save) {
+            this.bookshelf.saveUserData();
+        }
+        return true;
+    }
+
+    addTags(bookId, tags, options) {
+        return this.setTags(bookId, [...this.getTags(bookId), ...tags], options);
+    }
+
+    removeTags(bookId, tags, options) {
+        const keys = new Set(tags.map(tag => this.getTagKey(this.normalizeTag(tag))));
+        return this.setTags(bookId, this.getTags(bookId).filter(tag => !keys.has(this.getTagKey(tag))), options);
+    }
+
+    /**
+     * 蔵書で使われているタグと冊数（冊数の多い順）
+     * @returns {{tag: string, count: number}[]}
+     */
+    getTagCounts() {
+        const bookIds = new Set(this.bookshelf.books.map(book => book.bookId));
+        const counts = new Map();
+        Object.entries(this.userData.notes || {}).forEach(([bookId, note]) => {
+            if (!bookIds.has(bookId)) return;
+            (note.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+
+        return Array.from(counts, ([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, 'ja'));
+    }
+
+    getAllTags() {
+        const tags = new Set();
+        Object.values(this.userData.notes || {}).forEach(note => (note.tags || []).forEach(tag => tags.add(tag)));
+        return Array.from(tags);
+    }
+
+    /**
+     * 選択したタグで絞り込むか（タグを選択していなければすべて表示）
+     */
+    matchesFilter(book) {
+        if (this.selectedTags.size === 0) return true;
+
+        const tags = new Set(this.getTags(book.bookId));
+        const selected = Array.from(this.selectedTags);
+        return this.filterMode === 'any' ?
+            selected.some(tag => tags.has(tag)) :
+            selected.every(tag => tags.has(tag));
+    }
+
+    toggleTag(tag) {
+        if (this.selectedTags.has(tag)) {
+            this.selectedTags.delete(tag);
+        } else {
+            this.selectedTags.add(tag);
+        }
+        this.renderTagCloud();
+        this.bookshelf.applyFilters();
+    }
+
+    /**
+     * 1つのタグだけで絞り込む（詳細画面のタグから）
+     */
+    showTag(tag) {
+        this.selectedTags = new Set([tag]);
+        this.renderTagCloud();
+        this.bookshelf.applyFilters();
+    }
+
+    clearFilter() {
+        this.selectedTags.clear();
+        this.renderTagCloud();
+        this.bookshelf.applyFilters();
+    }
+
+    setFilterMode(mode) {
+        this.filterMode = TagManager.FILTER_MODES[mode] ? mode : 'all';
+        this.bookshelf.applyFilters();
+    }
+
+    /**
+     * サイドバーのタグクラウドと、入力候補（datalist）を更新
+     */
+    renderTagCloud() {
+        const counts = this.getTagCounts();
+
+        // 削除されたタグは選択から外す
+        const existing = new Set(counts.map(({ tag }) => tag));
+        this.selectedTags.forEach(tag => {
+            if (!existing.has(tag)) this.selectedTags.delete(tag);
+        });
+
+        const suggestions = document.getElementById('tag-suggestions');
+        if (suggestions) {
+            suggestions.innerHTML = counts.map(({ tag }) => `<option value="${this.escapeHtml(tag)}"></option>`).join('');
+        }
+
+        const cloud = document.getElementById('tag-cloud');
+        if (!cloud) return;
+
+        if (counts.length === 0) {
+            cloud.innerHTML = '<p class="tag-cloud-empty">タグはまだありません（本の編集画面で追加できます）</p>';
+            return;
+        }
+
+        const max = counts[0].count;
+        cloud.innerHTML = `
+            ${counts.map(({ tag, count }) => {
+                const size = max > 1 ? Math.ceil((Math.log(count) / Math.log(max)) * (TagManager.CLOUD_SIZES - 1)) + 1 : 1;
+                return `<button class="tag-cloud-item tag-size-${size} ${this.selectedTags.has(tag) ? 'active' : ''}" data-tag="${this.escapeHtml(tag)}" title="${count}冊">#${this.escapeHtml(tag)}<span class="tag-count">${count}</span></button>`;
+            }).join('')}
+            ${this.selectedTags.size > 0 ? '<button class="tag-cloud-clear">✕ 選択を解除</button>' : ''}
+        `;
+
+        cloud.querySelectorAll('.tag-cloud-item').forEach(button => {
+            button.addEventListener('click', () => this.toggleTag(button.dataset.tag));
+        });
+        cloud.querySelector('.tag-cloud-clear')?.addEventListener('click', () => this.clearFilter());
+    }
+
+    /**
+     * 詳細画面（表示モード）のタグ
+     */
+    renderTagLinks(bookId) {
+        return this.getTags(bookId)
+            .map(tag => `<button class="tag-chip tag-link" data-tag="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</button>`)
+            .join('');
+    }
+
+    /**
+     * 詳細画面（編集モード）のタグ入力
+     */
+    renderTagEditor(bookId) {
+        return `
+            <div class="tag-editor" data-book-id="${this.escapeHtml(bookId)}">
+                ${this.getTags(bookId).map(tag => `
+                    <span class="tag-chip">#${this.escapeHtml(tag)}<button class="tag-remove" data-tag="${this.escapeHtml(tag)}" title="タグを外す">×</button></span>
+                `).join('')}
+                <input type="text" class="tag-input" list="tag-suggestions" placeholder="タグを追加（Enter・カンマで区切る）">
+            </div>
+        `;
+    }
+
+    /**
+     * 詳細画面（編集モード）のタグ入力のイベントを設定（追加・削除のたびに描き直す）
+     */
+    setupTagEditor(container, bookId) {
+        const editor = container.querySelector('.tag-editor');
+        if (!editor) return;
+
+        const input = editor.querySelector('.tag-input');
+        const addInput = () => {
+            const tags = this.parseTags(input.value);
+            input.value = '';
+            if (tags.length === 0) return;
+            this.addTags(bookId, tags);
+            this.refreshTagEditor(container, bookId);
+        };
+
+        input.addEventListener('keydown', (e) => {
+            // 日本語入力の変換確定のEnterでは追加しない
+            if (e.key === 'Enter' && !e.isComposing) {
+                e.preventDefault();
+                addInput();
+            }
+        });
+        input.addEventListener('input', () => {
+            if (/[,、，]/.test(input.value)) addInput();
+        });
+        input.addEventListener('change', addInput);
+
+        editor.querySelectorAll('.tag-remove').forEach(button => {
+            button.addEventListener('click', () => {
+                this.removeTags(bookId, [button.dataset.tag]);
+                this.refreshTagEditor(container, bookId);
+            });
+        });
+    }
+
+    /**
+     * 詳細画面（表示モード）のタグをクリックしたら、そのタグで絞り込む
+     */
+    setupTagLinks(container) {
+        container.querySelectorAll('.tag-link').forEach(button => {
+            button.addEventListener('click', () => {
+                this.bookshelf.closeModal();
+                this.showTag(button.dataset.tag);
+            });
+        });
+    }
+
+    refreshTagEditor(container, bookId) {
+        const editor = container.querySelector('.tag-editor');
+        editor.outerHTML = this.renderTagEditor(bookId);
+        this.setupTagEditor(container, bookId);
+        container.querySelector('.tag-input').focus();
+
+        this.renderTagCloud();
+        this.bookshelf.applyFilters();
+    }
+
+    /**
+     * 一括タグ付けダイアログ（表示中の本が対象）
+     */
+    showBulkDialog() {
+        const books = this.bookshelf.filteredBooks;
+        document.getElementById('bulk-tag-count').textContent = `${books.length}冊`;
+        document.getElementById('bulk-tag-input').value = '';
+        document.getElementById('bulk-tag-modal').classList.add('show');
+    }
+
+    closeBulkDialog() {
+        document.getElementById('bulk-tag-modal').classList.remove('show');
+    }
+
+    /**
+     * 表示中の本にタグを付ける・外す
+     * @param {'add'|'remove'} action
+     */
+    applyBulk(action) {
+        const tags = this.parseTags(document.getElementById('bulk-tag-input').value);
+        if (tags.length === 0) {
+            alert('🏷️ タグを入力してください');
+            return;
+        }
+
+        const books = this.bookshelf.filteredBooks;
+        if (books.length === 0) {
+            alert('📚 表示中の本がありません');
+            return;
+        }
+
+        const label = tags.map(tag => `#${tag}`).join(' ');
+        const message = action === 'add' ?
+            `🏷️ 表示中の${books.length}冊に ${label} を付けますか？` :
+            `🏷️ 表示中の${books.length}冊から ${label} を外しますか？`;
+        if (!confirm(message)) return;
+
+        const changed = books.filter(book => action === 'add' ?
+            this.addTags(book.bookId, tags, { save: false }) :
+            this.removeTags(book.bookId, tags, { save: false }));
+
+        this.closeBulkDialog();
+        if (changed.length === 0) {
+            alert('🏷️ タグが変わる本はありませんでした');
+            return;
+        }
+        // 操作履歴には1回の操作として記録する
+        this.bookshelf.saveUserData();
+
+        this.renderTagCloud();
+        this.bookshelf.applyFilters();
+        alert(`✅ ${changed.length}冊のタグを更新しました`);
+    }
+
+    escapeHtml(text) {
+        return this.bookshelf.escapeHtml(text);
+    }
+}
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+// 静的本棚ページ一括生成スクリプト
+// data/library.json の公開本棚（isPublic）をすべて static/ に書き出し、
+// 非公開・削除済みの本棚のページを削除して、公開本棚の一覧ページ（static/index.html）とsitemap.xmlを生成する
+
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const { parseArgs } = require('util');
+const StaticBookshelfGenerator = require('../js/static-bookshelf-generator.js');
+// StaticBookshelfGenerator はブラウザと同じくグローバルの SmartBookshelf でスマート本棚の本を集める
+global.SmartBookshelf = require('../js/smart-bookshelf.js');
+const { loadLibraryFile, loadHighlightBookIds } = require('./library-file.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const LIBRARY_FILE = path.join(ROOT_DIR, 'data/library.json');
+const CONFIG_FILE = path.join(ROOT_DIR, 'data/config.json');
+const HIGHLIGHTS_INDEX_FILE = path.join(ROOT_DIR, 'data/highlights-index.json');
+const STATIC_DIR = path.join(ROOT_DIR, 'static');
+const SITEMAP_FILE = path.join(ROOT_DIR, 'sitemap.xml');
+const INDEX_FILENAME = 'index.html';
+
+/**
+ * Node.js用のStaticBookshelfGenerator
+ * テンプレートをファイルから読み込み、ダウンロードの代わりに static/ へ書き出す
+ */
+class FileStaticBookshelfGenerator extends StaticBookshelfGenerator {
+    async loadTemplate(templatePath = 'templates/bookshelf-template.html') {
+        return fs.readFileSync(path.join(ROOT_DIR, templatePath), 'utf8');
+    }
+
+    async saveStaticFile(filename, content) {
+        fs.writeFileSync(path.join(STATIC_DIR, filename), content);
+        return `${this.baseUrl}static/${filename}`;
+    }
+}
+
+/**
+ * git の origin から GitHub Pages のURLを推測
+ * 例: git@github.com:user/repo.git → https://user.github.io/repo/
+ */
+function detectGitHubPagesUrl() {
+    try {
+        const remoteUrl = execSync('git config --get remote.origin.url', { cwd: ROOT_DIR, encoding: 'utf8' }).trim();
+        const match = remoteUrl.match(/github\.com[:/]([^/]+)\/(.+?)(?:\.git)?$/);
+        if (!match) return null;
+
+        const [, owner, repo] = match;
+        // ユーザーサイト（user.github.io リポジトリ）はルートで公開される
+        return repo.toLowerCase() === `${owner.toLowerCase()}.github.io` ?
+            `https://${repo}/` :
+            `https://${owner}.github.io/${repo}/`;
+    } catch (error) {
+        return null;
+    }
+}
+
+function loadConfig() {
+    try {
+        return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+    } catch (error) {
+        console.log('⚠️ data/config.json を読み込めませんでした（デフォルト設定で続行）');
+        return {};
+    }
+}
+
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            'base-url': { type: 'string' },
+            'dry-run': { type: 'boolean' }
+        }
+    });
+
+    console.log('🔄 静的本棚ページ生成開始...');
+
+    const { libraryData, bookManager, notes } = loadLibraryFile(LIBRARY_FILE);
+    const userData = {
+        bookshelves: libraryData.bookshelves || [],
+        notes,
+        // ブラウザと同じく config.json の設定を優先
+        settings: { ...libraryData.settings, ...loadConfig() },
+        bookOrder: libraryData.bookOrder || {}
+    };
+
+    // 公開URL: --base-url → config.json の siteUrl/basePath → gitのoriginから推測
+    const detectedUrl = detectGitHubPagesUrl();
+    let baseUrl = options['base-url'] ||
+        StaticBookshelfGenerator.resolveBaseUrl(userData.settings, detectedUrl ? new URL(detectedUrl) : null);
+    if (!baseUrl) {
+        throw new Error('公開URLを判定できませんでした。data/config.json に siteUrl を設定するか、--base-url https://example.github.io/repo/ のように指定してください');
+    }
+    if (!baseUrl.endsWith('/')) {
+        baseUrl += '/';
+    }
+    console.log(`🌐 公開URL: ${baseUrl}`);
+
+    const generator = new FileStaticBookshelfGenerator(bookManager, userData, baseUrl);
+    generator.highlightBookIds = loadHighlightBookIds(HIGHLIGHTS_INDEX_FILE);
+    const publicBookshelves = generator.getPublicBookshelves();
+    const expectedFiles = new Set([INDEX_FILENAME, ...publicBookshelves.map(bookshelf => `${bookshelf.id}.html`)]);
+
+    // static/ 内の生成済みページのうち、公開本棚に対応しないものを削除
+    if (!fs.existsSync(STATIC_DIR)) {
+        fs.mkdirSync(STATIC_DIR);
+    }
+    const staleFiles = fs.readdirSync(STATIC_DIR)
+        .filter(filename => filename.endsWith('.html') && !expectedFiles.has(filename));
+
+    if (options['dry-run']) {
+        publicBookshelves.forEach(bookshelf => console.log(`📄 生成予定: static/${bookshelf.id}.html（${bookshelf.name}）`));
+        staleFiles.forEach(filename => console.log(`🗑️ 削除予定: static/${filename}`));
+        console.log('ℹ️ --dry-run のためファイルは変更していません');
+        return;
+    }
+
+    for (const bookshelf of publicBookshelves) {
+        const result = await generator.generateStaticBookshelf(bookshelf.id);
+        if (!result.success) {
+            throw new Error(`「${bookshelf.name}」の生成に失敗しました: ${result.error}`);
+        }
+        console.log(`✅ ${bookshelf.emoji || '📚'} ${bookshelf.name}: static/${result.filename}（${result.totalBooks}冊）`);
+    }
+
+    staleFiles.forEach(filename => {
+        fs.unlinkSync(path.join(STATIC_DIR, filename));
+        console.log(`🗑️ 非公開・削除済みの本棚のページを削除: static/${filename}`);
+    });
+
+    const indexTemplate = await generator.loadTemplate('templates/index-template.html');
+    await generator.saveStaticFile(INDEX_FILENAME, generator.populateIndexTemplate(indexTemplate, publicBookshelves));
+    console.log(`📚 一覧ページ: static/${INDEX_FILENAME}（${publicBookshelves.length}個の本棚）`);
+
+    fs.writeFileSync(SITEMAP_FILE, generator.generateSitemap(publicBookshelves));
+    console.log(`🗺️ サイトマップ: ${path.relative(ROOT_DIR, SITEMAP_FILE)}`);
+
+    console.log(`🎉 完了: ${baseUrl}static/${INDEX_FILENAME}`);
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
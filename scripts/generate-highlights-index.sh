@@ -53,4 +53,11 @@ echo "" >> "$OUTPUT_FILE"
 echo "}" >> "$OUTPUT_FILE"
 
 echo "🎉 完了: $OUTPUT_FILE を生成しました"
-echo "📁 ASCII用ハイライトファイルを $ASCII_DIR に作成しました"
\ No newline at end of file
+echo "📁 ASCII用ハイライトファイルを $ASCII_DIR に作成しました"
+
+# 全文検索用インデックスを生成（Node.jsがある場合のみ）
+if command -v node > /dev/null 2>&1; then
+    node scripts/generate-highlights-search-index.js
+else
+    echo "⚠️ Node.jsが見つからないため検索インデックスの生成をスキップしました"
+fi
\ No newline at end of file
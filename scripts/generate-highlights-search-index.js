@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+// ハイライト全文検索インデックス生成スクリプト
+// data/highlights-index.json と data/HighlightsASCII/ から
+// data/highlights-search-index.json（bigram転置インデックス）を生成する
+
+const fs = require('fs');
+const path = require('path');
+const HighlightsManager = require('../js/highlights.js');
+// HighlightsManager はブラウザと同じくグローバルの JapaneseText で検索用に文字列を揃える
+global.JapaneseText = require('../js/japanese-text.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const INDEX_FILE = path.join(ROOT_DIR, 'data/highlights-index.json');
+const ASCII_DIR = path.join(ROOT_DIR, 'data/HighlightsASCII');
+const OUTPUT_FILE = path.join(ROOT_DIR, 'data/highlights-search-index.json');
+
+function main() {
+    console.log('🔄 ハイライト検索インデックス生成開始...');
+
+    if (!fs.existsSync(INDEX_FILE)) {
+        console.error(`❌ ${path.relative(ROOT_DIR, INDEX_FILE)} がありません。先に generate-highlights-index.sh を実行してください`);
+        process.exit(1);
+    }
+
+    const highlightsIndex = JSON.parse(fs.readFileSync(INDEX_FILE, 'utf8'));
+    const parser = new HighlightsManager(null);
+    const entries = [];
+
+    Object.entries(highlightsIndex).forEach(([bookId, fileName]) => {
+        const filePath = path.join(ASCII_DIR, fileName);
+        if (!fs.existsSync(filePath)) {
+            console.log(`⚠️ ファイルが見つかりません: ${fileName}`);
+            return;
+        }
+
+        const highlights = parser.parseMarkdownHighlights(fs.readFileSync(filePath, 'utf8'));
+        entries.push({ bookId, highlights });
+    });
+
+    const searchIndex = HighlightsManager.buildSearchIndex(entries);
+    fs.writeFileSync(OUTPUT_FILE, JSON.stringify(searchIndex));
+
+    console.log(`✅ ${entries.length}冊・${searchIndex.documents.length}件のハイライトを登録しました`);
+    console.log(`🎉 完了: ${path.relative(ROOT_DIR, OUTPUT_FILE)} を生成しました`);
+}
+
+main();
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+
+// Kindleの「My Clippings.txt」・ノートブックのHTMLエクスポートからハイライトを取り込むスクリプト
+// 本ごとに data/KindleHighlights/ へMarkdown（Obsidian Kindle Pluginと同じ形式）を書き出す
+// ASINがないためタイトル・著者で data/library.json の蔵書と照合し、候補が複数ある本は確認する
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline/promises');
+const { parseArgs } = require('util');
+const HighlightsManager = require('../js/highlights.js');
+const KindleClippingsParser = require('../js/kindle-clippings.js');
+const { loadLibraryFile } = require('./library-file.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_LIBRARY_FILE = path.join(ROOT_DIR, 'data/library.json');
+const HIGHLIGHTS_DIR = path.join(ROOT_DIR, 'data/KindleHighlights');
+
+const USAGE = `使い方: node scripts/import-kindle-clippings.js <My Clippings.txt | ノートブック.html> [オプション]
+
+オプション:
+  --file <パス>       照合に使う蔵書ファイル（既定: data/library.json）
+  --book <bookId>     ノートブックを照合せずに指定した本に取り込む
+  --dry-run           照合結果のみ表示し、ファイルは書き出さない
+  --yes               候補が複数ある本も確認せずスキップ（CIなど対話できない環境向け）`;
+
+/**
+ * data/KindleHighlights/ の既存ファイル（bookId → ファイル情報）
+ * このスクリプトで書き出したファイルは、前回確認したクリップのタイトルも記録している
+ */
+function loadExistingHighlights(parser) {
+    const existing = new Map();
+    if (!fs.existsSync(HIGHLIGHTS_DIR)) {
+        return existing;
+    }
+
+    fs.readdirSync(HIGHLIGHTS_DIR).filter(name => name.endsWith('.md')).forEach(name => {
+        const content = fs.readFileSync(path.join(HIGHLIGHTS_DIR, name), 'utf8');
+        const bookId = parser.extractBookIdFromMarkdown(content);
+        if (!bookId) return;
+
+        const clippingTitle = content.match(/^clippingTitle:\s*(.+)$/m);
+        existing.set(bookId, {
+            fileName: name,
+            fromClippings: /^source:\s*kindle-clippings\s*$/m.test(content),
+            clippingTitle: clippingTitle ? JSON.parse(clippingTitle[1]) : null
+        });
+    });
+    return existing;
+}
+
+function formatCandidate(book) {
+    return `${book.title} / ${book.authors || '著者不明'}（${book.bookId}）`;
+}
+
+async function askCandidate(rl, match) {
+    const { clippingBook, candidates } = match;
+    console.log(`\n❓ 「${clippingBook.title}」（${clippingBook.authors || '著者不明'}）の候補:`);
+    candidates.slice(0, 5).forEach(({ book, score }, index) => {
+        console.log(`  ${index + 1}) ${formatCandidate(book)} 一致度 ${Math.round(score * 100)}%`);
+    });
+    console.log('  0) スキップ');
+
+    while (true) {
+        const answer = (await rl.question('番号を入力: ')).trim();
+        const index = Number(answer);
+        if (answer !== '' && Number.isInteger(index) && index >= 0 && index <= Math.min(candidates.length, 5)) {
+            return index === 0 ? null : candidates[index - 1].book;
+        }
+    }
+}
+
+function toFileName(book) {
+    const name = `${book.authors || 'unknown'}-${book.title}`
+        .replace(/[\\/:*?"<>|\n]/g, '_')
+        .slice(0, 120);
+    return `${name}.md`;
+}
+
+async function main() {
+    const { values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            file: { type: 'string' },
+            book: { type: 'string' },
+            'dry-run': { type: 'boolean' },
+            yes: { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const [inputFile] = positionals;
+    if (options.help || !inputFile) {
+        console.log(USAGE);
+        return;
+    }
+    if (!fs.existsSync(inputFile)) {
+        throw new Error(`ファイルが見つかりません: ${inputFile}`);
+    }
+
+    const libraryFile = options.file ? path.resolve(options.file) : DEFAULT_LIBRARY_FILE;
+    const { bookManager } = loadLibraryFile(libraryFile);
+    const books = bookManager.getAllBooks();
+
+    const parser = new KindleClippingsParser();
+    const content = fs.readFileSync(inputFile, 'utf8');
+    const isNotebook = /\.html?$/i.test(inputFile);
+    const clippingBooks = isNotebook ? [parser.parseNotebook(content)] : parser.parse(content);
+    console.log(`📖 ${clippingBooks.length}冊・${clippingBooks.reduce((sum, book) => sum + book.highlights.length, 0)}件のハイライトを読み込みました`);
+
+    const existing = loadExistingHighlights(new HighlightsManager(null));
+    let matches;
+    if (options.book) {
+        if (!isNotebook) {
+            throw new Error('--book はノートブック（HTML）の取り込みでのみ指定できます');
+        }
+        const book = bookManager.findBookById(options.book);
+        if (!book) {
+            throw new Error(`書籍が見つかりません: ${options.book}`);
+        }
+        matches = [{ clippingBook: clippingBooks[0], status: 'matched', candidates: [{ book, score: 1 }] }];
+    } else {
+        matches = parser.matchBooks(clippingBooks, books);
+    }
+
+    // 前回確認した組み合わせは再度確認しない
+    matches.filter(match => match.status === 'ambiguous').forEach(match => {
+        const confirmed = Array.from(existing.entries())
+            .find(([, info]) => info.clippingTitle === match.clippingBook.title);
+        const candidate = confirmed && match.candidates.find(({ book }) => book.bookId === confirmed[0]);
+        if (candidate) {
+            match.status = 'matched';
+            match.candidates = [candidate];
+        }
+    });
+
+    const interactive = !options.yes && process.stdin.isTTY;
+    const rl = interactive ? readline.createInterface({ input: process.stdin, output: process.stdout }) : null;
+
+    const results = { written: 0, skipped: [], unmatched: [] };
+    try {
+        for (const match of matches) {
+            const { clippingBook } = match;
+            let book = null;
+
+            if (match.status === 'matched') {
+                book = match.candidates[0].book;
+            } else if (match.status === 'ambiguous' && rl) {
+                book = await askCandidate(rl, match);
+            }
+
+            if (!book) {
+                (match.status === 'unmatched' ? results.unmatched : results.skipped).push(clippingBook);
+                continue;
+            }
+
+            const current = existing.get(book.bookId);
+            if (current && !current.fromClippings) {
+                console.log(`⚠️ 既にハイライトがあるためスキップ: ${book.title}（${current.fileName}）`);
+                results.skipped.push(clippingBook);
+                continue;
+            }
+
+            const fileName = current ? current.fileName : toFileName(book);
+            console.log(`✅ ${clippingBook.title} → ${formatCandidate(book)}: ${clippingBook.highlights.length}件`);
+            if (!options['dry-run']) {
+                fs.mkdirSync(HIGHLIGHTS_DIR, { recursive: true });
+                fs.writeFileSync(path.join(HIGHLIGHTS_DIR, fileName), parser.toMarkdown(clippingBook, book));
+            }
+            results.written++;
+        }
+    } finally {
+        if (rl) {
+            rl.close();
+        }
+    }
+
+    if (results.skipped.length > 0) {
+        console.log(`\n⏭️ スキップ: ${results.skipped.length}冊`);
+        results.skipped.forEach(book => console.log(`  ${book.title}（${book.authors || '著者不明'}）`));
+    }
+    if (results.unmatched.length > 0) {
+        console.log(`\n❔ 蔵書に見つからない本: ${results.unmatched.length}冊`);
+        results.unmatched.forEach(book => console.log(`  ${book.title}（${book.authors || '著者不明'}）`));
+    }
+
+    if (options['dry-run']) {
+        console.log(`\n🔍 ${results.written}冊を取り込めます（--dry-run のため書き出していません）`);
+    } else if (results.written > 0) {
+        console.log(`\n🎉 ${results.written}冊のハイライトを ${path.relative(process.cwd(), HIGHLIGHTS_DIR)} に書き出しました`);
+        console.log('   ./scripts/generate-highlights-index.sh を実行するとブラウザに反映されます');
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,524 @@
+#!/usr/bin/env node
+
+// 蔵書管理CLI
+// ブラウザを使わずに data/library.json を編集する（CIやスクリプトからの一括更新用）
+// 正規化・ID判定はブラウザと同じ BookManager のロジックを使う
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const BookManager = require('../js/book-manager.js');
+const CsvImporter = require('../js/csv-importer.js');
+const ImportMapper = require('../js/import-mapper.js');
+const SmartBookshelf = require('../js/smart-bookshelf.js');
+const SearchQuery = require('../js/search-query.js');
+// SearchQuery はブラウザと同じくグローバルの JapaneseText で文字列を比べる
+global.JapaneseText = require('../js/japanese-text.js');
+const { loadLibraryFile, saveLibraryFile, hasNoteContent, loadHighlightBookIds } = require('./library-file.js');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_LIBRARY_FILE = path.join(ROOT_DIR, 'data/library.json');
+const HIGHLIGHTS_INDEX_FILE = path.join(ROOT_DIR, 'data/highlights-index.json');
+
+const USAGE = `使い方: node scripts/library-cli.js <コマンド> [引数] [オプション]
+
+書籍:
+  list [--bookshelf <本棚ID>] [--query <検索式>]
+                                           書籍一覧を表示
+                                           --query: ブラウザの検索ボックスと同じ検索式
+                                           （例: 'author:からあげ rating:>=4 -tag:漫画 acquired:2024..2025'）
+  show <bookId>                            書籍の詳細を表示
+  add <bookId> [--title] [--authors] [--image] [--source]
+                                           書籍を追加
+  update <bookId> [--title] [--yomi] [--authors] [--image] [--updated-book-id]
+                                           書籍情報を更新（空文字で項目を削除）
+  remove <bookId>                          書籍を削除（メモ・本棚からも削除）
+  rate <bookId> <0-5>                      星評価を設定（0で未評価）
+  memo <bookId> <テキスト>                 メモを設定（空文字で削除）
+  import-kindle <kindle.json> [--dry-run] [--exclude <bookId|bookId/項目>] [--removed <処理>]
+                                           Kindleエクスポートを取り込む（既存の本は変更された項目を上書き）
+                                           --dry-run: 変更内容の表示のみ
+                                           --exclude: 適用しない本・項目（複数指定可、項目は title,
+                                           authors, acquiredTime, readStatus, productImage, ownership）
+                                           --removed: エクスポートに含まれなくなった本の処理
+                                           （keep: そのまま（既定）, unowned: 所有していない, archived: アーカイブ）
+  import-mapped <ファイル> [--mapping <名前|mapping.json>] [--dry-run]
+                                           その他の形式のJSON・CSVを列の対応付けで取り込む（新しい本のみ追加）
+                                           --mapping: ブラウザで保存した対応付けの名前、または対応付けのJSONファイル
+                                           （省略時は列名から推測）
+  import-log                               インポート記録（追加・変更した内容）を表示
+
+本棚:
+  bookshelf list                           本棚一覧を表示
+  bookshelf create <名前> [--emoji] [--description] [--public]
+                                           本棚を作成
+  bookshelf delete <本棚ID>                本棚を削除
+  bookshelf add <本棚ID> <bookId...>       本棚に書籍を追加
+  bookshelf remove <本棚ID> <bookId...>    本棚から書籍を除外
+
+共通オプション:
+  --file <パス>                            対象ファイル（既定: data/library.json）`;
+
+function requireBook(bookManager, bookId) {
+    const book = bookManager.findBookById(bookId);
+    if (!book) {
+        throw new Error(`書籍が見つかりません: ${bookId}`);
+    }
+    return book;
+}
+
+function requireBookshelf(libraryData, bookshelfId) {
+    const bookshelf = (libraryData.bookshelves || []).find(b => b.id === bookshelfId);
+    if (!bookshelf) {
+        throw new Error(`本棚が見つかりません: ${bookshelfId}`);
+    }
+    return bookshelf;
+}
+
+/**
+ * 本棚の本（スマート本棚は条件に一致する本）
+ */
+function getBookshelfBooks(library, bookshelf) {
+    const { bookManager, notes } = library;
+    if (SmartBookshelf.isSmart(bookshelf)) {
+        return SmartBookshelf.filterBooks(bookshelf.rules, bookManager.getAllBooks(), {
+            notes,
+            highlightBookIds: loadHighlightBookIds(HIGHLIGHTS_INDEX_FILE)
+        });
+    }
+    return (bookshelf.books || []).map(bookId => bookManager.findBookById(bookId)).filter(Boolean);
+}
+
+function formatBook(book, note) {
+    const rating = note?.rating ? ` ${'⭐'.repeat(note.rating)}` : '';
+    return `${book.bookId}\t${book.title} / ${book.authors}${rating}`;
+}
+
+// ===== 書籍コマンド =====
+
+function listBooks(library, args, options) {
+    const { bookManager, notes, libraryData } = library;
+    let books = bookManager.getAllBooks();
+
+    if (options.bookshelf) {
+        books = getBookshelfBooks(library, requireBookshelf(libraryData, options.bookshelf));
+    }
+
+    if (options.query) {
+        const bookshelves = libraryData.bookshelves || [];
+        const parsed = SearchQuery.parse(options.query, { bookshelves });
+        if (parsed.errors.length > 0) {
+            throw new Error(`検索式に誤りがあります:\n${parsed.errors.join('\n')}`);
+        }
+        const context = {
+            notes,
+            getReadingStatus: (book) => notes[book.bookId]?.readingStatus ||
+                (String(book.readStatus).toUpperCase() === 'READ' ? 'read' : 'none'),
+            getBookshelfBookIds: (text) => new Set(SearchQuery.findBookshelves(text, bookshelves)
+                .flatMap(bookshelf => getBookshelfBooks(library, bookshelf).map(book => book.bookId)))
+        };
+        books = SearchQuery.filter(books, parsed, context);
+    }
+
+    books.forEach(book => console.log(formatBook(book, notes[book.bookId])));
+    console.log(`📚 ${books.length}冊`);
+    return false;
+}
+
+function showBook(library, [bookId]) {
+    const book = requireBook(library.bookManager, bookId);
+    console.log(JSON.stringify({ ...book, ...library.notes[bookId] }, null, 2));
+    const bookshelves = (library.libraryData.bookshelves || []).filter(b => (b.books || []).includes(bookId));
+    if (bookshelves.length > 0) {
+        console.log(`📚 本棚: ${bookshelves.map(b => `${b.emoji || '📚'} ${b.name}`).join(', ')}`);
+    }
+    return false;
+}
+
+async function addBook(library, [bookId], options) {
+    const book = await library.bookManager.addBookManually({
+        bookId,
+        title: options.title,
+        authors: options.authors,
+        productImage: options.image,
+        source: options.source
+    });
+    console.log(`✅ 追加しました: ${formatBook(book)}`);
+    return true;
+}
+
+async function updateBook(library, [bookId], options) {
+    requireBook(library.bookManager, bookId);
+
+    const updates = {};
+    const fieldMap = {
+        title: 'title',
+        yomi: 'yomi',
+        authors: 'authors',
+        image: 'productImage',
+        'updated-book-id': 'updatedBookId'
+    };
+    Object.entries(fieldMap).forEach(([option, field]) => {
+        if (options[option] !== undefined) {
+            updates[field] = options[option] === '' ? undefined : options[option];
+        }
+    });
+
+    if (Object.keys(updates).length === 0) {
+        throw new Error('更新する項目を指定してください（--title, --yomi, --authors, --image, --updated-book-id）');
+    }
+    if (updates.updatedBookId && !library.bookManager.isValidBookId(updates.updatedBookId)) {
+        throw new Error(`無効なbookIdです: ${updates.updatedBookId}`);
+    }
+
+    const book = await library.bookManager.updateBook(bookId, updates);
+    console.log(`✅ 更新しました: ${formatBook(book, library.notes[bookId])}`);
+    return true;
+}
+
+async function removeBook(library, [bookId]) {
+    const { bookManager, notes, libraryData } = library;
+    const book = requireBook(bookManager, bookId);
+
+    await bookManager.deleteBook(bookId, true);
+    delete notes[bookId];
+
+    (libraryData.bookshelves || []).forEach(bookshelf => {
+        if (bookshelf.books) {
+            bookshelf.books = bookshelf.books.filter(id => id !== bookId);
+        }
+    });
+    Object.keys(libraryData.bookOrder || {}).forEach(key => {
+        libraryData.bookOrder[key] = libraryData.bookOrder[key].filter(id => id !== bookId);
+    });
+
+    console.log(`🗑️ 削除しました: ${book.title}`);
+    return true;
+}
+
+function updateNote(library, bookId, updates) {
+    requireBook(library.bookManager, bookId);
+    const note = { memo: '', rating: 0, ...library.notes[bookId], ...updates };
+
+    if (hasNoteContent(note)) {
+        library.notes[bookId] = note;
+    } else {
+        delete library.notes[bookId];
+    }
+}
+
+function rateBook(library, [bookId, value]) {
+    const rating = Number(value);
+    if (!Number.isInteger(rating) || rating < 0 || rating > 5) {
+        throw new Error('評価は0〜5の整数で指定してください');
+    }
+
+    updateNote(library, bookId, { rating });
+    console.log(rating > 0 ? `⭐ ${bookId} を星${rating}に設定しました` : `☆ ${bookId} の評価をリセットしました`);
+    return true;
+}
+
+function setMemo(library, [bookId, ...text]) {
+    const memo = text.join(' ').replace(/\\n/g, '\n');
+
+    updateNote(library, bookId, { memo });
+    console.log(memo ? `📝 ${bookId} のメモを更新しました` : `📝 ${bookId} のメモを削除しました`);
+    return true;
+}
+
+function formatChange(bookManager, change) {
+    const before = bookManager.formatImportValue(change.field, change.before);
+    const after = bookManager.formatImportValue(change.field, change.after);
+    return `${BookManager.IMPORT_FIELDS[change.field]}: ${before} → ${after}`;
+}
+
+async function importKindle(library, [kindleFile], options) {
+    if (!kindleFile || !fs.existsSync(kindleFile)) {
+        throw new Error(`Kindleエクスポートファイルが見つかりません: ${kindleFile || '(未指定)'}`);
+    }
+
+    // library.json ではメモ・評価を書籍と一緒に保存するため、削除はブラウザの画面からのみ（メモ・評価はブラウザに残る）
+    const removed = options.removed || 'keep';
+    if (removed === 'delete' || !BookManager.REMOVAL_ACTIONS[removed]) {
+        throw new Error(`--removed には keep, unowned, archived のいずれかを指定してください: ${removed}`);
+    }
+
+    const { bookManager } = library;
+    const results = await bookManager.importFromKindle(kindleFile, {
+        dryRun: Boolean(options['dry-run']),
+        exclude: options.exclude || [],
+        removed
+    });
+
+    // 本ごと・項目ごとの変更内容
+    results.plan.forEach(entry => {
+        if (entry.status === 'add') {
+            console.log(`➕ ${entry.bookId}\t${entry.book.title}`);
+        } else if (entry.status === 'update' && entry.changes.length > 0) {
+            console.log(`✏️ ${entry.existingBookId}\t${entry.book.title}`);
+            entry.changes.forEach(change => console.log(`     ${formatChange(bookManager, change)}`));
+        } else if (entry.status === 'excluded') {
+            console.log(`⏭️ ${entry.bookId}\t${entry.book.title}（除外）`);
+        }
+    });
+
+    // 以前インポートし、今回のエクスポートに含まれない本
+    const removals = new Map((results.dryRun ? results.removals : results.record.removed)
+        .map(removal => [removal.bookId, removal.action]));
+    results.removedBooks.forEach(book => {
+        const action = removals.get(book.bookId) || 'keep';
+        console.log(`📤 ${book.bookId}\t${book.title}（${BookManager.REMOVAL_ACTIONS[action]}）`);
+    });
+
+    console.log(`📥 ${results.total}冊中 追加: ${results.added} / 更新: ${results.updated} / スキップ: ${results.skipped}`);
+    if (results.removedBooks.length > 0) {
+        console.log(`📤 エクスポートに含まれない本: ${results.removedBooks.length}冊（処理: ${removals.size}冊）`);
+    }
+    if (results.dryRun) {
+        console.log('🔍 --dry-run のため保存していません');
+        return false;
+    }
+    return results.added > 0 || results.updated > 0 || removals.size > 0;
+}
+
+/**
+ * --mapping の対応付け（保存済みの名前・JSONファイル）、省略時は列名から推測
+ * @returns {ImportMapping}
+ */
+function loadImportMapping(library, mapper, records, name) {
+    if (!name) {
+        return mapper.guessMapping(mapper.getColumns(records));
+    }
+    if (name.endsWith('.json') && fs.existsSync(name)) {
+        return { ...mapper.guessMapping([]), ...JSON.parse(fs.readFileSync(name, 'utf8')) };
+    }
+
+    const mappings = library.libraryData.settings?.importMappings || [];
+    const mapping = mappings.find(saved => saved.name === name);
+    if (!mapping) {
+        const names = mappings.map(saved => saved.name).join(', ');
+        throw new Error(`対応付けが見つかりません: ${name}${names ? `（保存済み: ${names}）` : ''}`);
+    }
+    return mapping;
+}
+
+async function importMapped(library, [inputFile], options) {
+    if (!inputFile || !fs.existsSync(inputFile)) {
+        throw new Error(`ファイルが見つかりません: ${inputFile || '(未指定)'}`);
+    }
+
+    const { bookManager } = library;
+    const mapper = new ImportMapper(bookManager, new CsvImporter(bookManager));
+    const records = mapper.parse(fs.readFileSync(inputFile, 'utf8'), inputFile);
+    const mapping = loadImportMapping(library, mapper, records, options.mapping);
+
+    const fields = Object.entries(mapping.fields)
+        .map(([field, column]) => `${ImportMapper.FIELDS[field].label} ← ${column}`);
+    console.log(`🧭 対応付け${mapping.name ? `「${mapping.name}」` : '（列名から推測）'}: ${fields.join(' / ') || '（なし）'}`);
+
+    const { books, skipped } = mapper.mapRecords(records, mapping);
+    const plan = bookManager.planImport(books);
+    plan.filter(entry => entry.status === 'add').forEach(entry => {
+        console.log(`➕ ${entry.bookId}\t${entry.book.title}`);
+    });
+
+    const added = plan.filter(entry => entry.status === 'add').length;
+    console.log(`📥 ${records.length}件中 追加: ${added} / 蔵書にある本: ${plan.length - added} / スキップ: ${skipped}`);
+    if (options['dry-run']) {
+        console.log('🔍 --dry-run のため保存していません');
+        return false;
+    }
+
+    const results = await bookManager.applyImport(plan, { source: ImportMapper.SOURCE });
+    return results.added > 0;
+}
+
+function showImportLog(library) {
+    const { bookManager } = library;
+    const importLog = bookManager.getImportLog();
+    if (importLog.length === 0) {
+        console.log('インポート記録はありません');
+        return false;
+    }
+
+    importLog.forEach(record => {
+        console.log(`📥 ${record.date}\t${record.source}\t追加: ${record.added.length} / 更新: ${record.updated.length}`);
+        record.updated.forEach(item => {
+            console.log(`  ✏️ ${item.bookId}\t${item.title}`);
+            item.changes.forEach(change => console.log(`       ${formatChange(bookManager, change)}`));
+        });
+        record.added.forEach(bookId => {
+            console.log(`  ➕ ${bookId}\t${bookManager.findBookById(bookId)?.title || ''}`);
+        });
+        (record.removed || []).forEach(item => {
+            console.log(`  📤 ${item.bookId}\t${item.title}（${BookManager.REMOVAL_ACTIONS[item.action] || item.action}）`);
+        });
+    });
+    return false;
+}
+
+// ===== 本棚コマンド =====
+
+function runBookshelfCommand(library, [subcommand, ...args], options) {
+    const { libraryData, bookManager } = library;
+    libraryData.bookshelves = libraryData.bookshelves || [];
+
+    switch (subcommand) {
+    case 'list':
+        libraryData.bookshelves.forEach(bookshelf => {
+            const visibility = bookshelf.isPublic ? '公開' : '非公開';
+            console.log(`${bookshelf.id}\t${bookshelf.emoji || '📚'} ${bookshelf.name}（${(bookshelf.books || []).length}冊・${visibility}）`);
+        });
+        return false;
+
+    case 'create': {
+        const name = (args[0] || '').trim();
+        if (!name) {
+            throw new Error('本棚の名前を指定してください');
+        }
+        const newBookshelf = {
+            id: `bookshelf_${Date.now()}`,
+            name: name,
+            emoji: options.emoji || '📚',
+            description: options.description || '',
+            isPublic: Boolean(options.public),
+            books: [],
+            createdAt: new Date().toISOString()
+        };
+        libraryData.bookshelves.push(newBookshelf);
+        console.log(`✅ 本棚を作成しました: ${newBookshelf.id}`);
+        return true;
+    }
+
+    case 'delete': {
+        const bookshelf = requireBookshelf(libraryData, args[0]);
+        libraryData.bookshelves = libraryData.bookshelves.filter(b => b.id !== bookshelf.id);
+        if (libraryData.bookOrder) {
+            delete libraryData.bookOrder[bookshelf.id];
+        }
+        console.log(`🗑️ 本棚「${bookshelf.name}」を削除しました`);
+        return true;
+    }
+
+    case 'add':
+    case 'remove': {
+        const [bookshelfId, ...bookIds] = args;
+        const bookshelf = requireBookshelf(libraryData, bookshelfId);
+        if (SmartBookshelf.isSmart(bookshelf)) {
+            throw new Error(`「${bookshelf.name}」はスマート本棚のため、条件に一致する本が自動で入ります`);
+        }
+        if (bookIds.length === 0) {
+            throw new Error('bookIdを指定してください');
+        }
+        bookshelf.books = bookshelf.books || [];
+
+        let changed = 0;
+        bookIds.forEach(bookId => {
+            if (subcommand === 'add') {
+                requireBook(bookManager, bookId);
+                if (bookshelf.books.includes(bookId)) {
+                    console.log(`⚠️ 既に「${bookshelf.name}」に追加済みです: ${bookId}`);
+                    return;
+                }
+                bookshelf.books.push(bookId);
+            } else {
+                if (!bookshelf.books.includes(bookId)) {
+                    console.log(`⚠️ 「${bookshelf.name}」にありません: ${bookId}`);
+                    return;
+                }
+                bookshelf.books = bookshelf.books.filter(id => id !== bookId);
+            }
+            changed++;
+        });
+
+        if (changed > 0) {
+            bookshelf.lastUpdated = new Date().toISOString();
+        }
+        console.log(`✅ 「${bookshelf.name}」${subcommand === 'add' ? 'に追加' : 'から除外'}: ${changed}冊`);
+        return changed > 0;
+    }
+
+    default:
+        throw new Error(`不明な本棚コマンドです: ${subcommand || '(未指定)'}`);
+    }
+}
+
+const COMMANDS = {
+    list: listBooks,
+    show: showBook,
+    add: addBook,
+    update: updateBook,
+    remove: removeBook,
+    rate: rateBook,
+    memo: setMemo,
+    'import-kindle': importKindle,
+    'import-mapped': importMapped,
+    'import-log': showImportLog,
+    bookshelf: runBookshelfCommand
+};
+
+// コマンドごとの必須の位置引数の数
+const COMMAND_ARITY = {
+    show: 1,
+    add: 1,
+    update: 1,
+    remove: 1,
+    rate: 2,
+    memo: 1,
+    'import-kindle': 1,
+    'import-mapped': 1
+};
+
+async function main() {
+    const { values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            file: { type: 'string' },
+            bookshelf: { type: 'string' },
+            query: { type: 'string' },
+            title: { type: 'string' },
+            yomi: { type: 'string' },
+            authors: { type: 'string' },
+            image: { type: 'string' },
+            source: { type: 'string' },
+            'updated-book-id': { type: 'string' },
+            emoji: { type: 'string' },
+            description: { type: 'string' },
+            public: { type: 'boolean' },
+            'dry-run': { type: 'boolean' },
+            exclude: { type: 'string', multiple: true },
+            removed: { type: 'string' },
+            mapping: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    });
+
+    const [command, ...args] = positionals;
+    if (options.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+
+    const handler = COMMANDS[command];
+    if (!handler) {
+        throw new Error(`不明なコマンドです: ${command}\n\n${USAGE}`);
+    }
+    if (args.length < (COMMAND_ARITY[command] || 0)) {
+        throw new Error(`引数が足りません\n\n${USAGE}`);
+    }
+
+    const filePath = options.file ? path.resolve(options.file) : DEFAULT_LIBRARY_FILE;
+    const library = loadLibraryFile(filePath);
+
+    const changed = await handler(library, args, options);
+
+    if (changed) {
+        saveLibraryFile(filePath, library);
+        console.log(`💾 ${path.relative(process.cwd(), filePath)} を更新しました`);
+    }
+}
+
+main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+});
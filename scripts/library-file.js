@@ -0,0 +1,135 @@
+// library.json 読み書きの共通処理（scripts/ の各CLIから利用）
+// 書籍は BookManager で正規化し、メモ・評価などはブラウザの userData.notes と同じ形で扱う
+
+const fs = require('fs');
+const BookManager = require('../js/book-manager.js');
+
+/**
+ * Node.js用のBookManager
+ * ファイル読み込みとLocalStorage保存をNode.js向けに置き換える
+ */
+class LibraryFileManager extends BookManager {
+    readFileContent(filePath) {
+        return Promise.resolve(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    async saveLibrary() {
+        // 保存はCLI側でlibrary.jsonへまとめて書き出す
+        return this.library;
+    }
+}
+
+/**
+ * メモ・評価・読書記録・タグのいずれかがあるか（ない本の notes は持たない）
+ * ブラウザの VirtualBookshelf.extractNoteFromLibraryBook と同じ条件
+ */
+function hasNoteContent(note) {
+    return Boolean(note.memo || note.rating || note.readingStatus || note.startedDate || note.finishedDate || note.tags?.length);
+}
+
+/**
+ * library.json を読み込み、書籍（BookManager）とメモ・評価などのユーザーデータに分離
+ */
+function loadLibraryFile(filePath) {
+    const libraryData = fs.existsSync(filePath) ?
+        JSON.parse(fs.readFileSync(filePath, 'utf8')) :
+        { books: {}, bookshelves: [], settings: {}, bookOrder: {}, version: '2.0' };
+
+    const bookManager = new LibraryFileManager();
+    const notes = {};
+
+    Object.entries(libraryData.books || {}).forEach(([bookId, book]) => {
+        const normalized = bookManager.normalizeBook(book, bookId);
+        // メモ・評価はbookではなくnotesで管理する（ブラウザのuserData.notesと同じ）
+        delete normalized.memo;
+        delete normalized.rating;
+        bookManager.library.books.push(normalized);
+
+        const note = {
+            memo: book.memo || '',
+            rating: book.rating || 0,
+            ...(book.readingStatus && { readingStatus: book.readingStatus }),
+            ...(book.startedDate && { startedDate: book.startedDate }),
+            ...(book.finishedDate && { finishedDate: book.finishedDate }),
+            ...(book.tags?.length > 0 && { tags: book.tags })
+        };
+        if (hasNoteContent(note)) {
+            notes[normalized.bookId] = note;
+        }
+    });
+
+    bookManager.library.metadata.totalBooks = bookManager.library.books.length;
+    bookManager.library.metadata.importLog = libraryData.importLog || [];
+
+    return { libraryData, bookManager, notes };
+}
+
+/**
+ * ブラウザの「データエクスポート」と同じ形式で library.json を書き出す
+ */
+function saveLibraryFile(filePath, { libraryData, bookManager, notes }) {
+    const books = {};
+    bookManager.getAllBooks().forEach(book => {
+        const note = notes[book.bookId] || {};
+        books[book.bookId] = {
+            title: book.title || '',
+            authors: book.authors || '',
+            acquiredTime: book.acquiredTime || Date.now(),
+            readStatus: book.readStatus || 'UNREAD',
+            productImage: book.productImage || '',
+            source: book.source || 'unknown',
+            addedDate: book.addedDate || Date.now(),
+            memo: note.memo || '',
+            rating: note.rating || 0,
+            ...(note.readingStatus && { readingStatus: note.readingStatus }),
+            ...(note.startedDate && { startedDate: note.startedDate }),
+            ...(note.finishedDate && { finishedDate: note.finishedDate }),
+            ...(note.tags?.length > 0 && { tags: note.tags }),
+            ...(book.isbn && { isbn: book.isbn }),
+            ...(book.yomi && { yomi: book.yomi }),
+            ...(book.ownership && { ownership: book.ownership }),
+            ...(book.mergedBookIds?.length > 0 && { mergedBookIds: book.mergedBookIds }),
+            ...(book.updatedBookId && { updatedAsin: book.updatedBookId })
+        };
+    });
+
+    const exportData = {
+        exportDate: new Date().toISOString(),
+        books,
+        bookshelves: libraryData.bookshelves || [],
+        settings: libraryData.settings || {},
+        bookOrder: libraryData.bookOrder || {},
+        stats: {
+            totalBooks: Object.keys(books).length,
+            notesCount: Object.keys(notes).length
+        },
+        version: libraryData.version || '2.0'
+    };
+
+    const importLog = bookManager.getImportLog();
+    if (importLog.length > 0) {
+        exportData.importLog = importLog;
+    }
+
+    fs.writeFileSync(filePath, JSON.stringify(exportData, null, 2) + '\n');
+}
+
+/**
+ * ハイライトのある本のbookId（data/highlights-index.json のキー。スマート本棚の「ハイライトがある」条件に使う）
+ * @returns {Set<string>} ファイルがなければ空
+ */
+function loadHighlightBookIds(filePath) {
+    try {
+        return new Set(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8'))));
+    } catch (error) {
+        return new Set();
+    }
+}
+
+module.exports = {
+    LibraryFileManager,
+    loadLibraryFile,
+    saveLibraryFile,
+    hasNoteContent,
+    loadHighlightBookIds
+};
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+// 同期サーバー（開発・動作確認用）
+// 「保存先・同期設定」の同期サーバーとして使える最小限のRESTサーバー
+// GET/PUT /<キー>.json でJSONを保存し、ETag / If-Match で他の端末による上書きを検出する
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { parseArgs } = require('util');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_DATA_DIR = path.join(ROOT_DIR, 'tmp/storage-dev');
+const DEFAULT_PORT = 8787;
+const MAX_BODY_SIZE = 50 * 1024 * 1024;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type, If-Match',
+    'Access-Control-Expose-Headers': 'ETag'
+};
+
+function createEtag(content) {
+    return `"${crypto.createHash('sha1').update(content).digest('hex')}"`;
+}
+
+function send(res, status, body = '', headers = {}) {
+    res.writeHead(status, { ...CORS_HEADERS, ...headers });
+    res.end(body);
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new Error('リクエストが大きすぎます'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function createHandler(dataDir, token) {
+    return async (req, res) => {
+        if (req.method === 'OPTIONS') {
+            send(res, 204);
+            return;
+        }
+
+        if (token && req.headers.authorization !== `Bearer ${token}`) {
+            send(res, 401, 'Unauthorized');
+            return;
+        }
+
+        // キーはファイル名として使うため、英数字と一部の記号のみ許可
+        const match = decodeURIComponent(new URL(req.url, 'http://localhost').pathname).match(/^\/([\w.-]+\.json)$/);
+        if (!match) {
+            send(res, 404, 'Not Found');
+            return;
+        }
+
+        const filePath = path.join(dataDir, match[1]);
+        const current = fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+
+        if (req.method === 'GET') {
+            if (current === null) {
+                send(res, 404, 'Not Found');
+                return;
+            }
+            send(res, 200, current, { 'Content-Type': 'application/json', ETag: createEtag(current) });
+            return;
+        }
+
+        if (req.method === 'PUT') {
+            const ifMatch = req.headers['if-match'];
+            if (ifMatch && (current === null || ifMatch !== createEtag(current))) {
+                send(res, 412, 'Precondition Failed');
+                return;
+            }
+
+            const body = await readBody(req);
+            try {
+                JSON.parse(body);
+            } catch (error) {
+                send(res, 400, 'Invalid JSON');
+                return;
+            }
+
+            fs.writeFileSync(filePath, body);
+            console.log(`💾 ${match[1]} を保存しました（${body.length}バイト）`);
+            send(res, current === null ? 201 : 200, '', { ETag: createEtag(body) });
+            return;
+        }
+
+        send(res, 405, 'Method Not Allowed');
+    };
+}
+
+function main() {
+    const { values: options } = parseArgs({
+        options: {
+            port: { type: 'string' },
+            dir: { type: 'string' },
+            token: { type: 'string' }
+        }
+    });
+
+    const port = Number(options.port || DEFAULT_PORT);
+    const dataDir = options.dir ? path.resolve(options.dir) : DEFAULT_DATA_DIR;
+    fs.mkdirSync(dataDir, { recursive: true });
+
+    const handler = createHandler(dataDir, options.token);
+    const server = http.createServer((req, res) => {
+        handler(req, res).catch(error => {
+            console.error(`❌ ${error.message}`);
+            send(res, 500, 'Internal Server Error');
+        });
+    });
+
+    server.on('error', error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+
+    server.listen(port, () => {
+        console.log(`☁️ 同期サーバーを起動しました: http://localhost:${port}`);
+        console.log(`📁 保存先: ${path.relative(process.cwd(), dataDir) || '.'}`);
+        if (options.token) {
+            console.log('🔑 Bearerトークン認証: 有効');
+        }
+    });
+}
+
+main();